@@ -1,15 +1,71 @@
+import preprocess from "./preprocessor.js";
 import lexer from "./lexer.js";
 import parser from "./parser.js";
+import assignSegments from "./segments.js";
 import buildSymbolTable from "./symbolTable.js";
 import pass2 from "./pass2.js";
+import buildListing, { formatListing } from "./listing.js";
+import buildSourceMap from "./sourceMap.js";
+import buildObject from "./objectFile.js";
+import { Diagnostics } from "./diagnostics.js";
+import { evaluate } from "./expressions.js";
 
-export default function assemble(code) {
+/**
+ * Runs every stage over the whole source. Problems do not stop assembly: they are
+ * collected in `diagnostics` (see diagnostics.js), and the lines they occur on emit nothing.
+ * @param {string} code
+ * @param {object} [options]
+ * @param {object} [options.defines] - Constants defined from outside (name -> number or
+ *   expression), as if the source started with NAME EQU value
+ * @param {function} [options.readFile] - INCLUDE file reader: name -> text
+ * @param {string} [options.name] - Module name in the object module (for link errors)
+ */
+export default function assemble(code, { defines = {}, readFile = null, name = null } = {}) {
+  const diagnostics = new Diagnostics();
+  const predefined = evaluateDefines(defines, diagnostics);
 
-  const tokens = lexer(code);
-  const parsed = parser(tokens);
+  const tokens = lexer(preprocess(code, diagnostics, { defines: predefined, readFile }), diagnostics);
+  const parsed = parser(tokens, diagnostics);
+  assignSegments(parsed, diagnostics);
 
-  const symbolTable = buildSymbolTable(parsed);
-  const machineCode = pass2(parsed, symbolTable);
+  const symbols = buildSymbolTable(parsed, diagnostics, predefined);
+  const { machineCode, origin, statements, fixups, entry } = pass2(parsed, symbols, diagnostics);
 
-  return { symbolTable, machineCode };
+  // symbolTable keeps the plain name -> value view; symbols has types and sizes
+  const symbolTable = Object.fromEntries(Object.entries(symbols).map(([name, symbol]) => [name, symbol.value]));
+
+  const sorted = diagnostics.sorted();
+  const listing = buildListing(code, parsed, statements, symbols, sorted);
+
+  return {
+    symbolTable,
+    symbols,
+    machineCode,
+    origin,
+    entry,
+    diagnostics: sorted,
+    listing,
+    listingText: formatListing(listing),
+    sourceMap: buildSourceMap(statements, parsed, symbols),
+    object: buildObject(name, { machineCode, origin, symbols, fixups })
+  };
+}
+
+/**
+ * Values of the defines; a bad one is reported (it is not in the source, so at line 0) and left out
+ */
+function evaluateDefines(defines, diagnostics) {
+  const values = {};
+  for (const [name, value] of Object.entries(defines)) {
+    if (!/^[A-Z_@?][\w@?$]*$/i.test(name)) {
+      diagnostics.error(null, `Invalid define name: ${name}`);
+      continue;
+    }
+    try {
+      values[name.toUpperCase()] = typeof value === "number" ? value : evaluate(String(value), values);
+    } catch (error) {
+      diagnostics.error(null, `Invalid value for define ${name}: ${error.message}`);
+    }
+  }
+  return values;
 }
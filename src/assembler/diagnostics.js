@@ -0,0 +1,99 @@
+// diagnostics.js
+// Errors and warnings collected while assembling, each tied to a place in the source
+
+/**
+ * Collects diagnostics instead of stopping at the first problem. Every entry is
+ *   { severity: "error" | "warning", line, column, message, snippet }
+ * with 1-based line and column in the original source and snippet being that source line.
+ * A problem outside the source (a bad define) has line and column 0.
+ * A problem in an INCLUDE file also has `file`, and `includedAt`: the line of the main
+ * source that included it (line and column are then in that file).
+ */
+export class Diagnostics {
+  constructor() {
+    this.items = [];
+  }
+
+  /**
+   * @param {object} location - { line, column, source, file?, includedAt? } of the statement (see lexer.js)
+   * @param {Error|string} problem
+   */
+  error(location, problem) {
+    this.add("error", location, problem);
+  }
+
+  warning(location, problem) {
+    this.add("warning", location, problem);
+  }
+
+  add(severity, location, problem) {
+    const message = problem instanceof Error ? problem.message : problem;
+    const { line = 0, column = 0, source = "", file, includedAt } = location ?? {};
+
+    // Both passes encode every line, so the same problem tends to be found twice; different
+    // problems on one line (two operands, the lines of a macro expansion) are all kept
+    const seen = d => d.severity === severity && d.line === line && d.column === column &&
+      d.file === file && d.message === message;
+    if (this.items.some(seen)) return;
+
+    const entry = { severity, line, column, message, snippet: source };
+    if (file !== undefined) Object.assign(entry, { file, includedAt });
+    this.items.push(entry);
+  }
+
+  /**
+   * Adds everything another collection found
+   */
+  merge(other) {
+    for (const d of other.items) {
+      this.add(d.severity, { line: d.line, column: d.column, source: d.snippet, file: d.file, includedAt: d.includedAt }, d.message);
+    }
+  }
+
+  /**
+   * Diagnostics in source order, errors before warnings on the same line;
+   * those of an included file come at the line that included it
+   */
+  sorted() {
+    return [...this.items].sort((a, b) =>
+      (a.includedAt ?? a.line) - (b.includedAt ?? b.line) || (a.file === undefined ? -1 : 0) - (b.file === undefined ? -1 : 0) ||
+      a.line - b.line || a.column - b.column || (a.severity === "error" ? -1 : 1) - (b.severity === "error" ? -1 : 1));
+  }
+}
+
+/**
+ * Points an error at one operand of its line: `operand` is the operand's index, `index` how
+ * far into the operand the problem is. An expression error already knows how far into its
+ * expression it is (error.index); that is added, so pass where the expression starts.
+ * An error that already points at an operand keeps it.
+ * @returns {Error} The error, for throwing it on
+ */
+export function atOperand(error, operand, index = 0) {
+  if (!(error instanceof Error) || error.operand !== undefined) return error;
+  error.operand = operand;
+  error.index = index + (error.index ?? 0);
+  return error;
+}
+
+/**
+ * Location to report an error on a parsed line at: the column of the operand and token it
+ * points at (see atOperand), otherwise the start of the instruction
+ * @param {object} line - A parsed line ({ location, operandColumns, mnemonicColumn }, see parser.js)
+ * @param {Error|string} problem
+ */
+export function problemLocation(line, problem) {
+  const column = problem?.operand === undefined ? undefined : line.operandColumns?.[problem.operand];
+  if (column !== undefined) return { ...line.location, column: column + (problem.index ?? 0) };
+  if (line.mnemonicColumn !== undefined) return { ...line.location, column: line.mnemonicColumn };
+  return line.location;
+}
+
+/**
+ * "Line 3, column 5: Undefined symbol: FOO", or "DEFS.INC, line 3, column 5: ..." in an included file;
+ * just the message for a problem outside the source
+ */
+export function formatDiagnostic({ line, column, message, file }) {
+  if (line === 0) return message;
+  const where = file === undefined ? `Line ${line}` : `${file}, line ${line}`;
+  return `${where}, column ${column}: ${message}`;
+}
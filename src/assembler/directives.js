@@ -0,0 +1,219 @@
+// directives.js
+// Assembler directives: ORG, DB/DW/DD data definitions, structure variables and EQU/= constants
+
+import { checkRange, evaluate, parseExpression } from "./expressions.js";
+import { segmentFrame } from "./segments.js";
+import { addFixup } from "./objectFile.js";
+import { atOperand } from "./diagnostics.js";
+import { splitOperands } from "./utils.js";
+
+// Data definitions and the type their label gets in the symbol table
+export const DATA_DIRECTIVES = {
+  DB: { type: "BYTE", size: 1 },
+  DW: { type: "WORD", size: 2 },
+  DD: { type: "DWORD", size: 4 }
+};
+
+// Declarations for linking (see objectFile.js); they emit nothing
+export const LINKAGE_DIRECTIVES = ["EXTRN", "PUBLIC"];
+
+// Program structure (see segments.js); they emit nothing either
+export const STRUCTURE_DIRECTIVES = ["SEGMENT", "ENDS", "GROUP", "ASSUME", "PROC", "ENDP", "STRUC", "END"];
+
+// Data stops at the end of its segment
+const SEGMENT_SIZE = 0x10000;
+
+/**
+ * Whether a line defines data: DB / DW / DD, or a variable of a structure type (P1 POINT <>)
+ */
+export function isDataLine(line, symbolTable) {
+  return Object.hasOwn(DATA_DIRECTIVES, line.mnemonic) || symbolTable[line.mnemonic]?.type === "STRUC";
+}
+
+/**
+ * Bytes of a DB/DW/DD line. Items are expressions (numbers, symbols, $, ...),
+ * '?' (reserved, emitted as zeros), quoted strings (DB; up to two characters in
+ * DW/DD, as a character literal) and count DUP(items).
+ * An error points at the item it is in (see atOperand).
+ * @param {number} offset - Location of the line; $ is the location of each item
+ * @param {object[]} [fixups] - Receives a relocation for every DW / DD item holding an address
+ */
+export function encodeData(line, symbolTable, offset, fixups) {
+  const bytes = [];
+  for (const [index, item] of line.operands.entries()) {
+    try {
+      bytes.push(...encodeItem(line.mnemonic, item, symbolTable, offset + bytes.length, fixups));
+    } catch (error) {
+      throw atOperand(error, index);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Value of a directive's operand (EQU, =, ORG); an error in it points into the operand
+ */
+export function evaluateOperand(line, index, symbolTable, location) {
+  try {
+    return evaluate(line.operands[index], symbolTable, location);
+  } catch (error) {
+    throw atOperand(error, index);
+  }
+}
+
+// One item of a DB / DW / DD line or of a structure variable
+function encodeItem(mnemonic, item, symbolTable, location, fixups) {
+  if (Object.hasOwn(DATA_DIRECTIVES, mnemonic)) {
+    return encodeDataItem(item, DATA_DIRECTIVES[mnemonic].size, symbolTable, location, fixups);
+  }
+  return encodeStructureItem(item, mnemonic, symbolTable[mnemonic], symbolTable, location, fixups);
+}
+
+function encodeDataItem(item, size, symbolTable, location, fixups, repeats = 1) {
+  // Reserved storage
+  if (item === "?") return new Array(size).fill(0);
+
+  // String literal: one byte per character
+  const stringMatch = item.match(/^(['"])(.*)\1$/);
+  if (stringMatch && (size === 1 || stringMatch[2].length > 2)) {
+    if (size !== 1) throw new Error(`String literals are only allowed in DB: ${item}`);
+    return Array.from(stringMatch[2], ch => ch.charCodeAt(0) & 0xFF);
+  }
+
+  // count DUP(items)
+  const dupMatch = item.match(/^(.+?)\s+DUP\s*\((.*)\)$/i);
+  if (dupMatch) {
+    return encodeDup(dupMatch, item, symbolTable, location, repeats,
+      (inner, at, times) => encodeDataItem(inner, size, symbolTable, at, fixups, times));
+  }
+
+  const expression = parseExpression(item, symbolTable, location);
+  const { unresolved, relocatable, external } = expression;
+  let { value } = expression;
+  if (!unresolved) checkRange(value, size * 8, item);
+  if (relocatable) {
+    // An address is relocated as a 16-bit offset; in a DD it is a far pointer,
+    // with the segment in the high word
+    if (size === 1 && external) throw new Error(`External symbol ${external} needs DW or DD: ${item}`);
+    if (size > 1) addFixup(fixups, location, "OFFSET", external);
+    if (size === 4) {
+      value += segmentFrame(symbolTable, expression.segment) * 0x10000;
+      addFixup(fixups, location + 2, "SEG", null);
+    }
+  } else if (expression.paragraph && size > 1) {
+    addFixup(fixups, location, "SEG", null);
+  }
+  const bytes = [];
+  for (let i = 0; i < size; i++) {
+    bytes.push(Math.floor(value / 2 ** (8 * i)) & 0xFF);
+  }
+  return bytes;
+}
+
+/**
+ * Bytes of a structure variable: P1 POINT <1, 2>, or count DUP (<...>) for several.
+ * The values in <> initialize the fields in order; a field that is left out or empty
+ * keeps the default from the STRUC definition. A value may be shorter than its field
+ * (the rest is zeros) but not longer.
+ */
+function encodeStructureItem(item, name, struc, symbolTable, location, fixups, repeats = 1) {
+  const dupMatch = item.match(/^(.+?)\s+DUP\s*\((.*)\)$/i);
+  if (dupMatch) {
+    return encodeDup(dupMatch, item, symbolTable, location, repeats,
+      (inner, at, times) => encodeStructureItem(inner, name, struc, symbolTable, at, fixups, times));
+  }
+
+  const initMatch = item.match(/^<(.*)>$/);
+  if (!initMatch) throw new Error(`Structure ${name} needs its values in <>: ${item}`);
+  const values = initMatch[1].trim() === "" ? [] : splitOperands(initMatch[1], true);
+  if (values.length > struc.fields.length) throw new Error(`Too many values for structure ${name}: ${item}`);
+
+  // Values are looked for from the '<' on, in order
+  let cursor = 1;
+  const bytes = [];
+  struc.fields.forEach((field, index) => {
+    const at = location + bytes.length;
+    const defaults = fieldDefaults(field, symbolTable, at);
+    const value = values[index] ?? "";
+    if (value === "") {
+      bytes.push(...fieldDefaults(field, symbolTable, at, fixups));
+      return;
+    }
+    const start = item.indexOf(value, cursor);
+    if (start !== -1) cursor = start + value.length;
+    try {
+      const encoded = encodeItem(field.mnemonic, value, symbolTable, at, fixups);
+      if (encoded.length > defaults.length) {
+        throw new Error(`Value ${value} does not fit field ${field.label ?? index + 1} of ${name}`);
+      }
+      bytes.push(...encoded, ...new Array(defaults.length - encoded.length).fill(0));
+    } catch (error) {
+      throw within(error, item, value, Math.max(start, 0));
+    }
+  });
+  return bytes;
+}
+
+// The bytes a structure field holds unless a variable gives it a value
+function fieldDefaults(field, symbolTable, location, fixups) {
+  const bytes = [];
+  for (const item of field.operands) {
+    bytes.push(...encodeItem(field.mnemonic, item, symbolTable, location + bytes.length, fixups));
+  }
+  return bytes;
+}
+
+/**
+ * Moves an error's position (error.index, see atOperand) from `part` to the item it is in,
+ * looking for the part from `from` on; an error with no position points at the part
+ */
+function within(error, item, part, from = 0) {
+  const start = item.indexOf(part, from);
+  if (error instanceof Error && error.operand === undefined && start !== -1) {
+    error.index = start + (error.index ?? 0);
+  }
+  return error;
+}
+
+/**
+ * count DUP(items): the items, encoded by encodeInner(inner, location, repeats), count times.
+ * `repeats` is how often the enclosing DUPs repeat this one: nested counts together stay
+ * within a segment, so items that emit nothing ('' or an empty structure) cannot spin either.
+ */
+function encodeDup(dupMatch, item, symbolTable, location, repeats, encodeInner) {
+  const [, countText, list] = dupMatch;
+  if (list.trim() === "") throw new Error(`DUP needs at least one item: ${item}`);
+  const count = dupCount(countText, symbolTable, location, item);
+  if (count * repeats > SEGMENT_SIZE) {
+    throw new Error(`Nested DUP counts come to ${count * repeats}, more than a 64K segment holds: ${item}`);
+  }
+
+  const inners = splitOperands(list);
+  const bytes = [];
+  for (let i = 0; i < count; i++) {
+    for (const inner of inners) {
+      try {
+        bytes.push(...encodeInner(inner, location + bytes.length, count * repeats));
+      } catch (error) {
+        throw within(error, item, inner, countText.length);
+      }
+      checkSegmentEnd(location + bytes.length, item);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * The count of count DUP(...): no more than a segment holds, so a typo cannot fill memory
+ */
+function dupCount(text, symbolTable, location, item) {
+  const count = evaluate(text, symbolTable, location);
+  if (count < 0) throw new Error(`Invalid DUP count: ${text}`);
+  if (count > SEGMENT_SIZE) throw new Error(`DUP count ${count} does not fit in a 64K segment: ${item}`);
+  return count;
+}
+
+// Data is stopped as soon as it runs past the end of the segment
+function checkSegmentEnd(end, item) {
+  if (end > SEGMENT_SIZE) throw new Error(`Data does not fit in a 64K segment: ${item}`);
+}
@@ -0,0 +1,354 @@
+// encoder.js
+// Turns one parsed line into its machine code bytes.
+// Pass 1 (symbolTable.js) only needs the length, pass 2 needs the bytes themselves.
+
+import instructionMap from "./instructionMap.js";
+import registers, { SREG } from "./registers.js";
+import buildModRM, { encodeModRM, parseMemoryOperand, segmentPrefix } from "./modrm.js";
+import { checkRange, parseExpression, parseNumber } from "./expressions.js";
+import { addFixup } from "./objectFile.js";
+import { assumedRegister, segmentFrame } from "./segments.js";
+import { atOperand } from "./diagnostics.js";
+import { detectInstructionKey, isFarPointer, isMemory, isRegister, operandKind, toLittleEndian16 } from "./utils.js";
+
+// Operand width implied by a data label's type
+const TYPE_WIDTHS = { BYTE: 8, WORD: 16 };
+
+/**
+ * @param {object} line - A parsed line ({ prefix, mnemonic, operands }, plus proc and assume
+ *   from segments.js)
+ * @param {object} symbolTable - Symbols from pass 1. While pass 1 is still measuring,
+ *   symbols further down have no value yet: they read as 0 and ranges are not checked.
+ * @param {number} offset - Offset of the first byte of this line (the value of $)
+ * @param {object[]} [fixups] - Receives a { offset, kind, symbol } relocation for every
+ *   16-bit field that holds an address (see objectFile.js)
+ * @param {function(Error): void} [warn] - Receives the warnings for the line (pass 2 only)
+ * @returns {number[]} The encoded bytes
+ * Errors point at the operand they are about (see atOperand in diagnostics.js).
+ */
+export default function encodeInstruction(line, symbolTable, offset, fixups, warn = () => {}) {
+  // RET returns the way the enclosing procedure is called
+  const mnemonic = line.mnemonic === "RET" && line.proc?.distance === "FAR" ? "RETF" : line.mnemonic;
+  const { distance, operands: written } = splitDistance(line.operands ?? []);
+  const operands = written.map((op, i) => inOperand(line, i, op, () => normalizeOperand(op, symbolTable)));
+
+  const key = detectInstructionKey(mnemonic, operands, symbolTable);
+  const entry = instructionMap[key];
+
+  // Memory operand, if any; without BYTE PTR / WORD PTR it takes the size of the variable it names
+  const memIndex = operands.findIndex(isMemory);
+  const mem = memIndex === -1 ? null : inOperand(line, memIndex, operands[memIndex], () => parseMemoryOperand(operands[memIndex]));
+  const disp = mem?.disp ? inOperand(line, memIndex, mem.disp, () => parseExpression(mem.disp, symbolTable, offset)) : null;
+  if (mem && mem.size === null && disp) {
+    mem.size = TYPE_WIDTHS[disp.type] ?? null;
+  }
+  // A variable in a named segment is reached through the register ASSUMEd for it;
+  // with none ASSUMEd the default register is used, and the warning says so
+  if (mem && mem.segment === null && disp?.segment && !entry?.addressOnly) {
+    const register = assumedRegister(disp.segment, mem, line.assume ?? {}, symbolTable);
+    if (register === undefined) {
+      const fallback = mem.base === "BP" ? "SS" : "DS";
+      warn(atOperand(new Error(`No segment register is ASSUMEd for segment ${disp.segment}, using ${fallback}`), memIndex));
+    }
+    mem.segment = register ?? null;
+  }
+
+  // LEA only takes the address of its memory operand, and a shift count or an I/O port is
+  // not sized by the other operand, so sizes are only compared for the other instructions;
+  // for a mnemonic that does not exist, "Unsupported instruction" says more
+  if (entry ? !entry.addressOnly && !entry.shift && !entry.port : isKnownMnemonic(mnemonic)) {
+    checkOperandSizes(operands, mem);
+  }
+  if (!entry) throw new Error(`Unsupported instruction ${key}`);
+  if (distance && !entry.relative) throw atOperand(new Error(`${distance} needs a jump target: ${line.operands[0]}`), 0);
+
+  const bytes = [];
+
+  // Immediate operand `index`, range-checked against the width it is encoded in and appended
+  const immediate = (index, width) => inOperand(line, index, operands[index], () => {
+    const text = operands[index];
+    const value = parseExpression(text, symbolTable, offset);
+    if (!value.unresolved) checkRange(value.value, width, text);
+    if (width === 8) {
+      if (value.external) throw new Error(`External symbol ${value.external} needs a 16-bit operand: ${text}`);
+      bytes.push(value.value & 0xFF);
+    } else {
+      if (value.relocatable) addFixup(fixups, offset + bytes.length, "OFFSET", value.external);
+      if (value.paragraph) addFixup(fixups, offset + bytes.length, "SEG", null);
+      bytes.push(...toLittleEndian16(value.value));
+    }
+  });
+  // ModR/M byte and displacement; a displacement holding an address is always disp16
+  const modrm = (reg, rm) => {
+    const encoded = inOperand(line, memIndex, "", () => encodeModRM(reg, rm, disp ? disp.value : 0, disp?.relocatable ?? false));
+    if (disp?.relocatable && encoded.length === 3) {
+      addFixup(fixups, offset + bytes.length + 1, "OFFSET", disp.external);
+    }
+    bytes.push(...encoded);
+  };
+
+  const opcode = entry.opcode;
+
+  // Prefix byte (REP/REPE/REPNE) goes in front of the instruction
+  if (line.prefix) {
+    bytes.push(instructionMap[line.prefix].opcode);
+  }
+
+  // Segment override prefix for the memory operand
+  const override = segmentPrefix(mem);
+  if (override !== null) bytes.push(override);
+
+  // --- Logic for shifts and rotates (Group 2: by 1, or by CL) ---
+  if (entry.shift) {
+    if (operands.length === 2) checkShiftCount(line, operands[1], entry, symbolTable, offset);
+    const width = mem
+      ? inOperand(line, 0, "", () => memoryWidth(entry, mem, operands[0]))
+      : operandKind(operands[0]) === "REG8" ? 8 : 16;
+    bytes.push(width === 8 ? entry.byteOpcode : opcode);
+    if (mem) {
+      modrm(entry.group, mem);
+    } else {
+      bytes.push(buildModRM(0b11, entry.group, registers[operands[0]]));
+    }
+  }
+  // --- Logic for IN / OUT (the accumulator, and the port as imm8 or in DX) ---
+  else if (entry.port) {
+    const [accumulator, port] = mnemonic === "IN" ? [0, 1] : [1, 0];
+    if (!["AL", "AX"].includes(operands[accumulator])) {
+      throw atOperand(new Error(`${mnemonic} needs AL or AX: ${operands[accumulator]}`), accumulator);
+    }
+    bytes.push(opcode);
+    if (entry.size === 2) {
+      immediate(port, 8);
+    } else if (operands[port] !== "DX") {
+      throw atOperand(new Error(`${mnemonic} takes the port as a number or in DX: ${operands[port]}`), port);
+    }
+  }
+  // --- Logic for segment register moves (segment register in the reg field) ---
+  else if (/_SREG_|_SREG$/.test(key) && operands.length === 2) {
+    const sregIndex = operandKind(operands[0]) === "SREG" ? 0 : 1;
+    const sreg = operands[sregIndex].toUpperCase();
+    if (sregIndex === 0 && sreg === "CS") throw atOperand(new Error("CS cannot be a destination operand"), 0);
+    const other = memIndex === -1 ? operands[1 - sregIndex] : mem;
+    bytes.push(opcode);
+    modrm(SREG[sreg], other);
+  }
+  // --- Logic for REG_REG / REG8_REG8 ---
+  else if (/_REG8?_REG8?$/.test(key)) {
+    bytes.push(opcode, buildModRM(0b11, registers[operands[1]], registers[operands[0]]));
+  }
+  // --- Logic for REG_MEM / MEM_REG (register in the reg field, memory in r/m) ---
+  else if (/_REG8?_MEM$|_MEM_REG8?$/.test(key)) {
+    const reg = operands[1 - memIndex];
+    bytes.push(opcode);
+    modrm(registers[reg], mem);
+  }
+  // --- Logic for MEM_IMM ---
+  else if (key.endsWith("_MEM_IMM")) {
+    const width = inOperand(line, 0, "", () => memoryWidth(entry, mem, operands[0]));
+    bytes.push(width === 8 ? entry.byteOpcode : opcode);
+    modrm(entry.group, mem);
+    immediate(1, width);
+  }
+  // --- Logic for single MEM operand (INC, NOT, PUSH, JMP [BX], ...) ---
+  else if (key.endsWith("_MEM")) {
+    const width = inOperand(line, 0, "", () => memoryWidth(entry, mem, operands[0]));
+    bytes.push(width === 8 ? entry.byteOpcode : opcode);
+    modrm(entry.group, mem);
+  }
+  // --- Logic for REG_IMM / REG8_IMM ---
+  else if (/_REG8?_IMM$/.test(key)) {
+    if (entry.regOpcode) {
+      bytes.push(opcode + registers[operands[0]]);
+    } else {
+      bytes.push(opcode, buildModRM(0b11, entry.group, registers[operands[0]]));
+    }
+    immediate(1, key.endsWith("_REG8_IMM") ? 8 : 16);
+  }
+  // --- Logic for single SREG operand (PUSH ES, POP DS) ---
+  else if (key.endsWith("_SREG")) {
+    const sreg = operands[0].toUpperCase();
+    if (mnemonic === "POP" && sreg === "CS") throw atOperand(new Error("POP CS is not allowed"), 0);
+    bytes.push(opcode | (SREG[sreg] << 3));
+  }
+  // --- Logic for single REG / REG8 operand ---
+  else if (/_REG8?$/.test(key)) {
+    if (entry.regOpcode) {
+      bytes.push(opcode + registers[operands[0]]);
+    } else {
+      bytes.push(opcode, buildModRM(0b11, entry.group, registers[operands[0]]));
+    }
+  }
+  // --- Logic for single IMM operand (RET n, INT n) ---
+  else if (key.endsWith("_IMM")) {
+    bytes.push(opcode);
+    immediate(0, entry.size === 2 ? 8 : 16);
+  }
+  // --- Logic for direct FAR pointers (SEG:OFF) ---
+  else if (key.endsWith("_FAR")) {
+    const [seg, off] = operands[0].split(":").map(part => parseNumber(part));
+    bytes.push(opcode, ...toLittleEndian16(off), ...toLittleEndian16(seg));
+  }
+  // --- Logic for far CALL / JMP to a label (PROC FAR, or FAR PTR) ---
+  else if (entry.relative && inOperand(line, 0, operands[0], () => isFarTarget(operands[0], distance, symbolTable))) {
+    const far = instructionMap[`${mnemonic}_FAR`];
+    if (!far) throw atOperand(new Error(`${mnemonic} cannot jump to the far label ${operands[0]}`), 0);
+    const target = inOperand(line, 0, operands[0], () => parseExpression(operands[0], symbolTable, offset));
+    if (target.external) throw atOperand(new Error(`External symbol ${target.external} cannot be a far target`), 0);
+    addFixup(fixups, offset + bytes.length + 1, "OFFSET", null);
+    addFixup(fixups, offset + bytes.length + 3, "SEG", null);
+    bytes.push(far.opcode, ...toLittleEndian16(target.value), ...toLittleEndian16(segmentFrame(symbolTable, target.segment)));
+  }
+  // --- Logic for RELATIVE JUMPS ---
+  else if (entry.relative) {
+    bytes.push(...inOperand(line, 0, operands[0],
+      () => encodeBranch(line, entry, operands[0], distance, symbolTable, offset + bytes.length, fixups)));
+  }
+  else {
+    bytes.push(opcode);
+    if (entry.operandByte !== undefined) bytes.push(entry.operandByte);
+  }
+
+  return bytes;
+}
+
+/**
+ * Relative jumps and calls. JMP and Jcc take the shortest form that reaches the target:
+ * - JMP: short (EBh rel8) when the target is within reach, otherwise near (E9h rel16)
+ * - Jcc only has a rel8 form, so an out-of-range Jcc becomes the opposite condition
+ *   jumping over a near JMP (JNZ FAR_AWAY -> JZ $+5 / JMP FAR_AWAY)
+ * A target that is not laid out yet is assumed to be within reach. Once a branch has
+ * needed the long form it keeps it (line.longBranch): sizes only grow from one sizing
+ * pass to the next, so label addresses settle (see symbolTable.js).
+ * SHORT forces the rel8 form, NEAR the long one.
+ * An external target is placed by the linker, so it always gets the rel16 form and a fixup.
+ */
+function encodeBranch(line, entry, operand, distance, symbolTable, offset, fixups) {
+  const target = parseExpression(operand, symbolTable, offset);
+  const reach = target.value - (offset + 2);
+  const inReach = target.unresolved || (reach >= -128 && reach <= 127);
+  const tooFar = () => target.external
+    ? new Error(`Jump to external symbol ${target.external} needs a near jump`)
+    : new Error(`Jump to ${operand} is too far (${reach} bytes)`);
+  // The rel16 field is the last two bytes of the instruction
+  const near = (size) => {
+    if (target.external) addFixup(fixups, offset + size - 2, "REL16", target.external);
+    return toLittleEndian16(target.value - (offset + size));
+  };
+
+  // Near CALL (E8h rel16) is the only form
+  if (entry.size === 3 && entry.shortOpcode === undefined) {
+    if (distance === "SHORT") throw new Error(`SHORT is not allowed with ${line.mnemonic}`);
+    return [entry.opcode, ...near(3)];
+  }
+
+  const long = distance === "NEAR" || line.longBranch || !inReach || target.external !== null;
+  if (long && distance === "SHORT") throw tooFar();
+  if (!long) return [entry.shortOpcode ?? entry.opcode, reach & 0xFF];
+
+  if (entry.shortOpcode !== undefined) {
+    line.longBranch = true;
+    return [entry.opcode, ...near(3)];
+  }
+  // Jcc is 70h-7Fh, and flipping the low bit gives the opposite condition;
+  // LOOP and JCXZ have no opposite, so they can only be short
+  if (entry.opcode < 0x70 || entry.opcode > 0x7F) throw tooFar();
+  line.longBranch = true;
+  return [entry.opcode ^ 1, 3, 0xE9, ...near(5)];
+}
+
+/**
+ * A jump or call goes far with FAR PTR, or to the label of a PROC FAR unless NEAR PTR says otherwise
+ */
+function isFarTarget(operand, distance, symbolTable) {
+  if (distance !== null) return distance === "FAR";
+  return parseExpression(operand, symbolTable).type === "FAR";
+}
+
+/**
+ * Takes a SHORT / NEAR / NEAR PTR / FAR PTR distance off a jump target (JMP SHORT DONE)
+ */
+function splitDistance(operands) {
+  const match = operands.length === 1 && operands[0].match(/^(SHORT|NEAR|FAR)(?:\s+PTR)?\s+(.*)$/i);
+  if (!match) return { distance: null, operands };
+  return { distance: match[1].toUpperCase(), operands: [match[2]] };
+}
+
+/**
+ * An operand that names a variable is a memory reference: MOV AX, COUNT means
+ * MOV AX, [COUNT], and so does COUNT+2. With BYTE PTR / WORD PTR or a segment
+ * override (ES:COUNT) any address expression is a memory reference.
+ */
+function normalizeOperand(op, symbolTable) {
+  if (isRegister(op) || isMemory(op) || isFarPointer(op)) return op;
+
+  const [, prefix, rest] = op.match(/^((?:(?:BYTE|WORD)\s+PTR\s+)?(?:(?:ES|CS|SS|DS)\s*:\s*)?)(.*)$/i);
+  if (prefix || parseExpression(rest, symbolTable).kind === "MEM") {
+    return `${prefix}[${rest}]`;
+  }
+  return op;
+}
+
+/**
+ * Rejects operand pairs of different widths (MOV AL, BX) and BYTE PTR / WORD PTR
+ * overrides that contradict the register they are combined with
+ */
+function checkOperandSizes(operands, mem) {
+  const widths = operands.map(op => {
+    const kind = isRegister(op) || isMemory(op) ? operandKind(op) : null;
+    if (kind === "REG" || kind === "SREG") return 16;
+    if (kind === "REG8") return 8;
+    if (kind === "MEM") return mem.size;
+    return null;
+  }).filter(width => width !== null);
+
+  if (widths.length === 2 && widths[0] !== widths[1]) {
+    throw atOperand(new Error(`Operand size mismatch: ${operands.join(", ")}`), 1);
+  }
+}
+
+/**
+ * The 8086 shifts and rotates by 1 (D0h / D1h) or by CL (D2h / D3h), nothing else
+ */
+function checkShiftCount(line, count, entry, symbolTable, offset) {
+  let valid = count === "CL";
+  if (entry.opcode !== 0xD3) {
+    // A count that pass 1 cannot work out yet is checked in pass 2
+    const { value, unresolved } = inOperand(line, 1, count, () => parseExpression(count, symbolTable, offset));
+    valid = unresolved || value === 1;
+  }
+  if (!valid) throw atOperand(new Error(`Shift count must be 1 or CL: ${count}`), 1);
+}
+
+// Whether instructionMap has any form of the mnemonic
+function isKnownMnemonic(mnemonic) {
+  return Object.keys(instructionMap).some(key => key === mnemonic || key.startsWith(`${mnemonic}_`));
+}
+
+/**
+ * Runs `encode`, pointing what it throws at operand `index` of the line. `text` is the part
+ * of the operand that is being encoded (an expression error counts from its start), or "".
+ */
+function inOperand(line, index, text, encode) {
+  try {
+    return encode();
+  } catch (error) {
+    const start = text === "" ? 0 : (line.operands[index] ?? "").indexOf(text);
+    throw atOperand(error, index, Math.max(start, 0));
+  }
+}
+
+/**
+ * Operand width of an instruction whose only size information is a memory operand:
+ * BYTE PTR / WORD PTR decides, and it is required when the instruction has a byte form.
+ */
+function memoryWidth(entry, mem, text) {
+  if (entry.byteOpcode === undefined) {
+    if (mem.size === 8) throw new Error(`BYTE PTR is not allowed here: ${text}`);
+    return 16;
+  }
+  if (mem.size === null) {
+    throw new Error(`Operand size of ${text} is ambiguous, use BYTE PTR or WORD PTR`);
+  }
+  return mem.size;
+}
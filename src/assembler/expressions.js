@@ -0,0 +1,410 @@
+// expressions.js
+// Constant-expression evaluator for operands and directive arguments
+//
+// Operators, from lowest to highest precedence:
+//   OR XOR  <  AND  <  NOT  <  EQ NE LT LE GT GE  <  binary + -  <  * / MOD SHL SHR  <  unary + -
+//   <  HIGH LOW  <  OFFSET SEG  <  . (structure field)
+// Relational operators give -1 (true, all bits set) or 0 (false), as in MASM.
+// Terms: numbers (0x1F, 1Fh, 1010b, 17o / 17q, 10d, 10), character literals ('A', 'AB'),
+// symbols from the symbol table, $ (address of the current line) and parenthesized expressions.
+// Segment and group names stand for their paragraph number, a structure name for its size
+// and a field name for its offset in the structure; P1.X is P1 + X with the type of field X.
+
+import registers from "./registers.js";
+import { segmentFrame } from "./segments.js";
+
+const DATA_TYPES = ["BYTE", "WORD", "DWORD"];
+
+// Symbols whose value is a number rather than an address
+const ABSOLUTE_TYPES = ["CONST", "FIELD", "STRUC", "SEGMENT", "GROUP"];
+
+const KEYWORD_OPERATORS = [
+  "MOD", "SHL", "SHR", "AND", "OR", "XOR", "NOT", "OFFSET", "SEG", "HIGH", "LOW",
+  "EQ", "NE", "LT", "LE", "GT", "GE"
+];
+
+const RELATIONS = {
+  EQ: (a, b) => a === b,
+  NE: (a, b) => a !== b,
+  LT: (a, b) => a < b,
+  LE: (a, b) => a <= b,
+  GT: (a, b) => a > b,
+  GE: (a, b) => a >= b
+};
+
+/**
+ * Numeric literal in C (0x1F) or MASM (1Fh, 1010b, 17o, 17q, 10d) notation, optionally negative
+ */
+export function isNumber(text) {
+  return parseNumber(text) !== null;
+}
+
+export function parseNumber(text) {
+  const t = text.trim().toUpperCase();
+  const sign = t.startsWith("-") ? -1 : 1;
+  const digits = sign < 0 ? t.slice(1) : t;
+
+  let match;
+  if ((match = digits.match(/^0X([0-9A-F]+)$/))) return sign * parseInt(match[1], 16);
+  if ((match = digits.match(/^([0-9][0-9A-F]*)H$/))) return sign * parseInt(match[1], 16);
+  if ((match = digits.match(/^([01]+)B$/))) return sign * parseInt(match[1], 2);
+  if ((match = digits.match(/^([0-7]+)[OQ]$/))) return sign * parseInt(match[1], 8);
+  if ((match = digits.match(/^([0-9]+)D?$/))) return sign * parseInt(match[1], 10);
+  return null;
+}
+
+/**
+ * Value of a symbol. Symbols that are declared but not laid out yet (forward
+ * references while pass 1 is still sizing) read as 0.
+ */
+export function symbolValue(symbolTable, name) {
+  const symbol = symbolTable[name.toUpperCase()];
+  if (!symbol) throw new Error(`Undefined symbol: ${name}`);
+  return symbol.value ?? 0;
+}
+
+/**
+ * Evaluates an expression to a number.
+ * @param {string} text
+ * @param {object} symbolTable
+ * @param {number} [location=0] - Value of $
+ */
+export function evaluate(text, symbolTable, location = 0) {
+  return parseExpression(text, symbolTable, location).value;
+}
+
+/**
+ * Evaluates an expression and classifies it:
+ *   kind "IMM"   - a constant (numbers, EQU constants, label differences, OFFSET x)
+ *   kind "MEM"   - refers to a variable (DB/DW/DD label or structure variable), i.e. a memory
+ *                  operand; `type` is its type (BYTE, WORD, DWORD, a structure name, or the
+ *                  type of the structure field it ends in)
+ *   kind "LABEL" - the address of a code label or $
+ * `relocatable` is true when the value is the address of a label (OFFSET x included),
+ * `external` names the EXTRN symbol it is relative to (null when there is none; the value
+ * is then only the part added to that symbol's address, which the linker fills in),
+ * `segment` names the SEGMENT the address is in (null for the unnamed one),
+ * `paragraph` is true when the value is a segment's paragraph number (DATA, SEG VAR),
+ * which the loader adds the load segment to,
+ * `unresolved` is true when a symbol in it has no value yet.
+ */
+export function parseExpression(text, symbolTable, location = 0) {
+  const parser = new ExpressionParser(tokenize(text), text, symbolTable, location);
+  const node = parser.parseOr();
+  if (parser.peek() !== undefined) {
+    throw tokenError(`Unexpected '${parser.peek().text}' in expression ${text}`, parser.peek().index);
+  }
+
+  const type = node.fieldType ?? node.type;
+  let kind;
+  if (node.rel === 0 || node.offset) {
+    kind = "IMM";
+  } else if (node.rel === 1) {
+    kind = DATA_TYPES.includes(type) || symbolTable[type]?.type === "STRUC" ? "MEM" : "LABEL";
+  } else {
+    throw new Error(`Invalid address expression: ${text}`);
+  }
+
+  return {
+    value: node.value,
+    kind,
+    type,
+    relocatable: node.rel !== 0,
+    external: node.rel !== 0 ? node.external ?? null : null,
+    segment: node.rel !== 0 ? node.segment ?? null : null,
+    paragraph: Boolean(node.paragraph),
+    unresolved: node.unresolved
+  };
+}
+
+/**
+ * Throws when value does not fit in `width` bits, signed or unsigned
+ */
+export function checkRange(value, width, text) {
+  const limit = 2 ** width;
+  if (value < -(limit / 2) || value >= limit) {
+    const shown = String(value) === text.trim() ? text.trim() : `${text.trim()} (${value})`;
+    throw new Error(`Value ${shown} does not fit in ${width} bits`);
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:('[^']*'|"[^"]*")|([0-9]\w*)|([A-Z_@?$][\w@?$]*)|(\S))/giy;
+  let match;
+
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text)) !== null) {
+    const [whole, quoted, number, word, punct] = match;
+    // Where the token starts, after the spaces in front of it
+    const index = pattern.lastIndex - whole.trimStart().length;
+    if (quoted !== undefined) {
+      tokens.push({ type: "char", text: quoted, index });
+    } else if (number !== undefined) {
+      if (parseNumber(number) === null) throw tokenError(`Invalid number: ${number}`, index);
+      tokens.push({ type: "number", text: number, index });
+    } else if (word !== undefined) {
+      const upper = word.toUpperCase();
+      if (KEYWORD_OPERATORS.includes(upper)) {
+        tokens.push({ type: "op", text: upper, index });
+      } else if (Object.hasOwn(registers, upper)) {
+        throw tokenError(`Register ${upper} cannot be used in an expression: ${text}`, index);
+      } else {
+        tokens.push({ type: "symbol", text: upper, index });
+      }
+    } else if (punct !== undefined) {
+      if (!"+-*/().".includes(punct)) throw tokenError(`Unexpected '${punct}' in expression ${text}`, index);
+      tokens.push({ type: "op", text: punct, index });
+    }
+  }
+  if (tokens.length === 0) throw new Error("Missing expression");
+
+  return tokens;
+}
+
+// An error about one token: `index` is where it starts in the expression, so the
+// diagnostic can point at it (see atOperand in diagnostics.js)
+function tokenError(message, index) {
+  const error = new Error(message);
+  error.index = index;
+  return error;
+}
+
+/**
+ * Recursive-descent parser. Each node is
+ * { value, rel, type, offset, external, segment, paragraph, fieldType, unresolved } where
+ * rel counts label addresses in it (+1 per added label, -1 per subtracted one):
+ * label differences cancel out to a constant, a single label stays an address.
+ * An external symbol reads as 0 and can only have constants added to it.
+ */
+class ExpressionParser {
+  constructor(tokens, text, symbolTable, location) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.text = text;
+    this.symbolTable = symbolTable;
+    this.location = location;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  accept(...ops) {
+    const token = this.peek();
+    if (token && token.type === "op" && ops.includes(token.text)) {
+      this.pos++;
+      return token.text;
+    }
+    return null;
+  }
+
+  // Operators other than + and - only make sense on constants
+  constant(node, op) {
+    this.internal(node, op);
+    if (node.rel !== 0 && !node.offset) {
+      throw new Error(`${op} needs constant operands: ${this.text}`);
+    }
+    return node;
+  }
+
+  // The address of an external symbol is only known to the linker, which can only add it in
+  internal(node, op) {
+    if (node.external) {
+      throw new Error(`${op} cannot be used with external symbol ${node.external}: ${this.text}`);
+    }
+    return node;
+  }
+
+  combine(left, right, value, rel = 0) {
+    return {
+      value,
+      rel,
+      type: rel !== 0 ? left.type ?? right.type : undefined,
+      offset: left.offset || right.offset,
+      external: rel !== 0 ? left.external ?? right.external : undefined,
+      segment: rel !== 0 ? left.segment ?? right.segment : undefined,
+      paragraph: left.paragraph || right.paragraph,
+      fieldType: right.fieldType ?? left.fieldType,
+      unresolved: left.unresolved || right.unresolved
+    };
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    let op;
+    while ((op = this.accept("OR", "XOR"))) {
+      const right = this.constant(this.parseAnd(), op);
+      this.constant(left, op);
+      left = this.combine(left, right, op === "OR" ? left.value | right.value : left.value ^ right.value);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept("AND")) {
+      const right = this.constant(this.parseNot(), "AND");
+      this.constant(left, "AND");
+      left = this.combine(left, right, left.value & right.value);
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept("NOT")) {
+      const operand = this.constant(this.parseNot(), "NOT");
+      return { ...operand, value: ~operand.value };
+    }
+    return this.parseRelational();
+  }
+
+  parseRelational() {
+    let left = this.parseAdditive();
+    let op;
+    while ((op = this.accept(...Object.keys(RELATIONS)))) {
+      const right = this.internal(this.parseAdditive(), op);
+      this.internal(left, op);
+      // Addresses can be compared too; the result is a constant
+      left = this.combine(left, right, RELATIONS[op](left.value, right.value) ? -1 : 0);
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    let op;
+    while ((op = this.accept("+", "-"))) {
+      const right = this.parseMultiplicative();
+      if (op === "+" && left.external && right.external) {
+        throw new Error(`Only one external symbol can be added in: ${this.text}`);
+      }
+      // EXT - LABEL would need the distance between two modules
+      if (op === "-" && right.rel !== 0) {
+        this.internal(left, op);
+        this.internal(right, op);
+      }
+      left = op === "+"
+        ? this.combine(left, right, left.value + right.value, left.rel + right.rel)
+        : this.combine(left, right, left.value - right.value, left.rel - right.rel);
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    let op;
+    while ((op = this.accept("*", "/", "MOD", "SHL", "SHR"))) {
+      const right = this.constant(this.parseUnary(), op);
+      this.constant(left, op);
+      let value;
+      switch (op) {
+        case "*": value = left.value * right.value; break;
+        case "SHL": value = left.value << right.value; break;
+        case "SHR": value = left.value >>> right.value; break;
+        default:
+          // Division by an unresolved (still 0) symbol is only a placeholder during sizing
+          if (right.value === 0) {
+            if (right.unresolved) { value = 0; break; }
+            throw new Error(`Division by zero in ${this.text}`);
+          }
+          value = op === "/" ? Math.trunc(left.value / right.value) : left.value % right.value;
+      }
+      left = this.combine(left, right, value);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    let op;
+    if ((op = this.accept("+", "-"))) {
+      const operand = this.parseUnary();
+      if (op === "+") return operand;
+      this.constant(operand, "Unary -");
+      return { ...operand, value: -operand.value };
+    }
+    if ((op = this.accept("HIGH", "LOW"))) {
+      const operand = this.constant(this.parseUnary(), op);
+      return { ...operand, value: op === "HIGH" ? (operand.value >> 8) & 0xFF : operand.value & 0xFF };
+    }
+    if (this.accept("OFFSET")) {
+      return { ...this.parseUnary(), offset: true };
+    }
+    if (this.accept("SEG")) {
+      const operand = this.internal(this.parseUnary(), "SEG");
+      if (operand.paragraph) return operand;
+      if (operand.rel !== 1) throw new Error(`SEG needs a label or variable: ${this.text}`);
+      return { value: segmentFrame(this.symbolTable, operand.segment), rel: 0, paragraph: true };
+    }
+    return this.parseField();
+  }
+
+  // term.FIELD: the field's offset is added and its type taken; POINT.X is just the offset
+  parseField() {
+    let node = this.parsePrimary();
+    while (this.accept(".")) {
+      const token = this.peek();
+      const field = token?.type === "symbol" ? this.symbolTable[token.text] : null;
+      if (field?.type !== "FIELD") {
+        throw tokenError(`Structure field expected after '.' in ${this.text}`, token?.index ?? this.text.length);
+      }
+      this.pos++;
+      const base = node.struc ? { value: 0, rel: 0 } : node;
+      node = this.combine(base, { value: field.value ?? 0, rel: 0, fieldType: field.dataType, unresolved: field.value === undefined },
+        base.value + (field.value ?? 0), base.rel);
+    }
+    return node;
+  }
+
+  // MAIN.LOOP is the local label .LOOP of MAIN (see parser.js) when there is one,
+  // otherwise '.' is the structure field operator
+  qualifiedName(name) {
+    const [dot, local] = this.tokens.slice(this.pos, this.pos + 2);
+    if (dot?.text !== "." || local?.type !== "symbol" || !Object.hasOwn(this.symbolTable, `${name}.${local.text}`)) {
+      return name;
+    }
+    this.pos += 2;
+    return `${name}.${local.text}`;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw new Error(`Incomplete expression: ${this.text}`);
+    this.pos++;
+
+    if (token.type === "number") {
+      return { value: parseNumber(token.text), rel: 0 };
+    }
+    if (token.type === "char") {
+      // 'AB' is 4142h: the first character is the high byte
+      const chars = token.text.slice(1, -1);
+      if (chars.length === 0 || chars.length > 2) {
+        throw tokenError(`Character literal ${token.text} must have one or two characters`, token.index);
+      }
+      return { value: Array.from(chars).reduce((v, ch) => (v << 8) | (ch.charCodeAt(0) & 0xFF), 0), rel: 0 };
+    }
+    if (token.type === "symbol") {
+      if (token.text === "$") return { value: this.location, rel: 1, type: "NEAR" };
+      const name = this.qualifiedName(token.text);
+      const symbol = this.symbolTable[name];
+      if (!symbol) throw tokenError(`Undefined symbol: ${name}`, token.index);
+      const absolute = ABSOLUTE_TYPES.includes(symbol.type);
+      return {
+        value: symbol.value ?? 0,
+        rel: absolute ? 0 : 1,
+        type: absolute ? undefined : symbol.type,
+        external: symbol.external ? name : undefined,
+        segment: symbol.segment,
+        paragraph: symbol.type === "SEGMENT" || symbol.type === "GROUP",
+        fieldType: symbol.type === "FIELD" ? symbol.dataType : undefined,
+        struc: symbol.type === "STRUC",
+        unresolved: symbol.value === undefined
+      };
+    }
+    if (token.text === "(") {
+      const inner = this.parseOr();
+      if (!this.accept(")")) throw new Error(`Missing ')' in ${this.text}`);
+      return inner;
+    }
+    throw tokenError(`Unexpected '${token.text}' in expression ${this.text}`, token.index);
+  }
+}
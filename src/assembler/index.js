@@ -1,20 +1,41 @@
 import assemble from "./assembler.js";
+import { formatDiagnostic } from "./diagnostics.js";
 import { toHexString } from "./utils.js";
 
 /**
  * Main entry point for the Assembler module.
  * @param {string} source - The raw assembly text.
- * @returns {object} - Contains the machineCode (Uint8Array) and symbolTable.
+ * @param {object} [options]
+ * @param {boolean} [options.throwOnError=true] - Throw when there are errors. With false the
+ *   result is returned anyway, so an editor can show every problem at once.
+ * @param {object} [options.defines] - Constants for conditional assembly, e.g. { DEBUG: 1 }:
+ *   defined as if by NAME EQU value before the first line.
+ * @param {function} [options.readFile] - Reads an INCLUDE file: called with the name as
+ *   written and returns its text (e.g. name => fs.readFileSync(name, "utf8"), or a lookup
+ *   in the editor's open files). Without it INCLUDE is an error.
+ * @param {string} [options.name] - Module name recorded in the object module.
+ * @returns {object} - Contains the machineCode (Uint8Array), its load offset (origin),
+ *   the entry point given by END ({ segment, offset }, segment as a paragraph relative to
+ *   the start of the program; null without END label), the symbolTable (name -> value), symbols (name -> { value, type, ... }) and
+ *   diagnostics: errors and warnings as { severity, line, column, message, snippet },
+ *   the listing (see listing.js) both structured (listing) and as text (listingText),
+ *   the sourceMap from addresses to source lines (see sourceMap.js) and the object module
+ *   with relocations, PUBLIC and EXTRN symbols, for linker.js (see objectFile.js).
+ * @throws {Error} "Assembly Error: Line 3, column 5: ..." listing every error, with the
+ *   structured list in its `diagnostics` property.
  */
-export default function runAssembler(source) {
-  try {
-    const result = assemble(source);
-    
-    // Add a formatted string for the UI person (Role 3)
-    result.hexString = toHexString(result.machineCode); 
-    
-    return result;
-  } catch (error) {
-    throw new Error(`Assembly Error: ${error.message}`);
+export default function runAssembler(source, { throwOnError = true, defines = {}, readFile = null, name = null } = {}) {
+  const result = assemble(source, { defines, readFile, name });
+
+  const errors = result.diagnostics.filter(d => d.severity === "error");
+  if (errors.length > 0 && throwOnError) {
+    const error = new Error(`Assembly Error: ${errors.map(formatDiagnostic).join("\n")}`);
+    error.diagnostics = result.diagnostics;
+    throw error;
   }
-}
\ No newline at end of file
+
+  // Add a formatted string for the UI person (Role 3)
+  result.hexString = toHexString(result.machineCode);
+
+  return result;
+}
@@ -3,32 +3,136 @@ export default {
   // =====================
   // DATA TRANSFER
   // =====================
+  // Operand kinds in the keys: REG (16-bit), REG8, SREG, MEM, IMM.
+  // Memory forms (_MEM) add their displacement to `size`; byteOpcode is used with BYTE PTR
   MOV_REG_REG: { opcode: 0x89, size: 2, modrm: true },
   MOV_REG_IMM: { opcode: 0xB8, size: 3, regOpcode: true },
+  MOV_REG_MEM: { opcode: 0x8B, size: 2, modrm: true },
+  MOV_MEM_REG: { opcode: 0x89, size: 2, modrm: true },
+  MOV_MEM_IMM: { opcode: 0xC7, byteOpcode: 0xC6, size: 4, group: 0 },  // /0
+
+  MOV_REG8_REG8: { opcode: 0x88, size: 2, modrm: true },
+  MOV_REG8_IMM:  { opcode: 0xB0, size: 2, regOpcode: true },
+  MOV_REG8_MEM:  { opcode: 0x8A, size: 2, modrm: true },
+  MOV_MEM_REG8:  { opcode: 0x88, size: 2, modrm: true },
+
+  // Segment registers always sit in the reg field of the ModR/M byte
+  MOV_REG_SREG: { opcode: 0x8C, size: 2, modrm: true },
+  MOV_MEM_SREG: { opcode: 0x8C, size: 2, modrm: true },
+  MOV_SREG_REG: { opcode: 0x8E, size: 2, modrm: true },
+  MOV_SREG_MEM: { opcode: 0x8E, size: 2, modrm: true },
 
   PUSH_REG: { opcode: 0x50, size: 1, regOpcode: true },
   POP_REG:  { opcode: 0x58, size: 1, regOpcode: true },
+  PUSH_MEM: { opcode: 0xFF, size: 2, group: 6 },  // /6
+  POP_MEM:  { opcode: 0x8F, size: 2, group: 0 },  // /0
+  PUSH_SREG: { opcode: 0x06, size: 1, sregOpcode: true },  // 06 | sreg << 3
+  POP_SREG:  { opcode: 0x07, size: 1, sregOpcode: true },
 
   XCHG_REG_REG: { opcode: 0x87, size: 2, modrm: true },
-  LEA_REG_MEM:  { opcode: 0x8D, size: 2, modrm: true },
+  XCHG_REG_MEM: { opcode: 0x87, size: 2, modrm: true },
+  XCHG_MEM_REG: { opcode: 0x87, size: 2, modrm: true },
+  XCHG_REG8_REG8: { opcode: 0x86, size: 2, modrm: true },
+  XCHG_REG8_MEM:  { opcode: 0x86, size: 2, modrm: true },
+  XCHG_MEM_REG8:  { opcode: 0x86, size: 2, modrm: true },
+  LEA_REG_MEM:  { opcode: 0x8D, size: 2, modrm: true, addressOnly: true },
+
+  XLAT:  { opcode: 0xD7, size: 1 },
+  XLATB: { opcode: 0xD7, size: 1 },
+  CBW:   { opcode: 0x98, size: 1 },
+  CWD:   { opcode: 0x99, size: 1 },
+
+  PUSHF: { opcode: 0x9C, size: 1 },
+  POPF:  { opcode: 0x9D, size: 1 },
+  SAHF:  { opcode: 0x9E, size: 1 },
+  LAHF:  { opcode: 0x9F, size: 1 },
 
   // =====================
   // ARITHMETIC
   // =====================
   ADD_REG_REG: { opcode: 0x01, size: 2, modrm: true },
   ADD_REG_IMM: { opcode: 0x81, size: 4, group: 0 },  // /0
+  ADD_REG_MEM: { opcode: 0x03, size: 2, modrm: true },
+  ADD_MEM_REG: { opcode: 0x01, size: 2, modrm: true },
+  ADD_MEM_IMM: { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 0 },
+  ADD_REG8_REG8: { opcode: 0x00, size: 2, modrm: true },
+  ADD_REG8_IMM:  { opcode: 0x80, size: 3, group: 0 },
+  ADD_REG8_MEM:  { opcode: 0x02, size: 2, modrm: true },
+  ADD_MEM_REG8:  { opcode: 0x00, size: 2, modrm: true },
 
   SUB_REG_REG: { opcode: 0x29, size: 2, modrm: true },
   SUB_REG_IMM: { opcode: 0x81, size: 4, group: 5 },  // /5
+  SUB_REG_MEM: { opcode: 0x2B, size: 2, modrm: true },
+  SUB_MEM_REG: { opcode: 0x29, size: 2, modrm: true },
+  SUB_MEM_IMM: { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 5 },
+  SUB_REG8_REG8: { opcode: 0x28, size: 2, modrm: true },
+  SUB_REG8_IMM:  { opcode: 0x80, size: 3, group: 5 },
+  SUB_REG8_MEM:  { opcode: 0x2A, size: 2, modrm: true },
+  SUB_MEM_REG8:  { opcode: 0x28, size: 2, modrm: true },
 
   CMP_REG_REG: { opcode: 0x39, size: 2, modrm: true },
   CMP_REG_IMM: { opcode: 0x81, size: 4, group: 7 },  // /7
+  CMP_REG_MEM: { opcode: 0x3B, size: 2, modrm: true },
+  CMP_MEM_REG: { opcode: 0x39, size: 2, modrm: true },
+  CMP_MEM_IMM: { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 7 },
+  CMP_REG8_REG8: { opcode: 0x38, size: 2, modrm: true },
+  CMP_REG8_IMM:  { opcode: 0x80, size: 3, group: 7 },
+  CMP_REG8_MEM:  { opcode: 0x3A, size: 2, modrm: true },
+  CMP_MEM_REG8:  { opcode: 0x38, size: 2, modrm: true },
+
+  ADC_REG_REG: { opcode: 0x11, size: 2, modrm: true },
+  ADC_REG_IMM: { opcode: 0x81, size: 4, group: 2 },  // /2
+  ADC_REG_MEM: { opcode: 0x13, size: 2, modrm: true },
+  ADC_MEM_REG: { opcode: 0x11, size: 2, modrm: true },
+  ADC_MEM_IMM: { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 2 },
+  ADC_REG8_REG8: { opcode: 0x10, size: 2, modrm: true },
+  ADC_REG8_IMM:  { opcode: 0x80, size: 3, group: 2 },
+  ADC_REG8_MEM:  { opcode: 0x12, size: 2, modrm: true },
+  ADC_MEM_REG8:  { opcode: 0x10, size: 2, modrm: true },
+
+  SBB_REG_REG: { opcode: 0x19, size: 2, modrm: true },
+  SBB_REG_IMM: { opcode: 0x81, size: 4, group: 3 },  // /3
+  SBB_REG_MEM: { opcode: 0x1B, size: 2, modrm: true },
+  SBB_MEM_REG: { opcode: 0x19, size: 2, modrm: true },
+  SBB_MEM_IMM: { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 3 },
+  SBB_REG8_REG8: { opcode: 0x18, size: 2, modrm: true },
+  SBB_REG8_IMM:  { opcode: 0x80, size: 3, group: 3 },
+  SBB_REG8_MEM:  { opcode: 0x1A, size: 2, modrm: true },
+  SBB_MEM_REG8:  { opcode: 0x18, size: 2, modrm: true },
 
   INC_REG: { opcode: 0x40, size: 1, regOpcode: true },
   DEC_REG: { opcode: 0x48, size: 1, regOpcode: true },
+  INC_MEM: { opcode: 0xFF, byteOpcode: 0xFE, size: 2, group: 0 },  // /0
+  DEC_MEM: { opcode: 0xFF, byteOpcode: 0xFE, size: 2, group: 1 },  // /1
+  INC_REG8: { opcode: 0xFE, size: 2, group: 0 },
+  DEC_REG8: { opcode: 0xFE, size: 2, group: 1 },
 
   MUL_REG: { opcode: 0xF7, size: 2, group: 4 },  // /4
   DIV_REG: { opcode: 0xF7, size: 2, group: 6 },  // /6
+  MUL_MEM: { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 4 },
+  DIV_MEM: { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 6 },
+  MUL_REG8: { opcode: 0xF6, size: 2, group: 4 },
+  DIV_REG8: { opcode: 0xF6, size: 2, group: 6 },
+
+  NEG_REG:  { opcode: 0xF7, size: 2, group: 3 },  // /3
+  IMUL_REG: { opcode: 0xF7, size: 2, group: 5 },  // /5
+  IDIV_REG: { opcode: 0xF7, size: 2, group: 7 },  // /7
+  NEG_MEM:  { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 3 },
+  IMUL_MEM: { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 5 },
+  IDIV_MEM: { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 7 },
+  NEG_REG8:  { opcode: 0xF6, size: 2, group: 3 },
+  IMUL_REG8: { opcode: 0xF6, size: 2, group: 5 },
+  IDIV_REG8: { opcode: 0xF6, size: 2, group: 7 },
+
+  // Decimal adjust. AAM/AAD carry their base as an immediate byte (10 unless given)
+  DAA: { opcode: 0x27, size: 1 },
+  DAS: { opcode: 0x2F, size: 1 },
+  AAA: { opcode: 0x37, size: 1 },
+  AAS: { opcode: 0x3F, size: 1 },
+  AAM: { opcode: 0xD4, size: 2, operandByte: 0x0A },
+  AAD: { opcode: 0xD5, size: 2, operandByte: 0x0A },
+  AAM_IMM: { opcode: 0xD4, size: 2 },
+  AAD_IMM: { opcode: 0xD5, size: 2 },
 
   // =====================
   // LOGICAL
@@ -38,37 +142,158 @@ export default {
   XOR_REG_REG:  { opcode: 0x31, size: 2, modrm: true },
   TEST_REG_REG: { opcode: 0x85, size: 2, modrm: true },
 
+  AND_REG_IMM:  { opcode: 0x81, size: 4, group: 4 },  // /4
+  OR_REG_IMM:   { opcode: 0x81, size: 4, group: 1 },  // /1
+  XOR_REG_IMM:  { opcode: 0x81, size: 4, group: 6 },  // /6
+  TEST_REG_IMM: { opcode: 0xF7, size: 4, group: 0 },  // /0
+
+  AND_REG_MEM:  { opcode: 0x23, size: 2, modrm: true },
+  OR_REG_MEM:   { opcode: 0x0B, size: 2, modrm: true },
+  XOR_REG_MEM:  { opcode: 0x33, size: 2, modrm: true },
+  TEST_REG_MEM: { opcode: 0x85, size: 2, modrm: true },
+  AND_MEM_REG:  { opcode: 0x21, size: 2, modrm: true },
+  OR_MEM_REG:   { opcode: 0x09, size: 2, modrm: true },
+  XOR_MEM_REG:  { opcode: 0x31, size: 2, modrm: true },
+  TEST_MEM_REG: { opcode: 0x85, size: 2, modrm: true },
+
+  AND_MEM_IMM:  { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 4 },
+  OR_MEM_IMM:   { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 1 },
+  XOR_MEM_IMM:  { opcode: 0x81, byteOpcode: 0x80, size: 4, group: 6 },
+  TEST_MEM_IMM: { opcode: 0xF7, byteOpcode: 0xF6, size: 4, group: 0 },
+
+  AND_REG8_REG8:  { opcode: 0x20, size: 2, modrm: true },
+  OR_REG8_REG8:   { opcode: 0x08, size: 2, modrm: true },
+  XOR_REG8_REG8:  { opcode: 0x30, size: 2, modrm: true },
+  TEST_REG8_REG8: { opcode: 0x84, size: 2, modrm: true },
+
+  AND_REG8_IMM:  { opcode: 0x80, size: 3, group: 4 },
+  OR_REG8_IMM:   { opcode: 0x80, size: 3, group: 1 },
+  XOR_REG8_IMM:  { opcode: 0x80, size: 3, group: 6 },
+  TEST_REG8_IMM: { opcode: 0xF6, size: 3, group: 0 },
+
+  AND_REG8_MEM:  { opcode: 0x22, size: 2, modrm: true },
+  OR_REG8_MEM:   { opcode: 0x0A, size: 2, modrm: true },
+  XOR_REG8_MEM:  { opcode: 0x32, size: 2, modrm: true },
+  TEST_REG8_MEM: { opcode: 0x84, size: 2, modrm: true },
+  AND_MEM_REG8:  { opcode: 0x20, size: 2, modrm: true },
+  OR_MEM_REG8:   { opcode: 0x08, size: 2, modrm: true },
+  XOR_MEM_REG8:  { opcode: 0x30, size: 2, modrm: true },
+  TEST_MEM_REG8: { opcode: 0x84, size: 2, modrm: true },
+
   NOT_REG: { opcode: 0xF7, size: 2, group: 2 },  // /2
+  NOT_MEM: { opcode: 0xF7, byteOpcode: 0xF6, size: 2, group: 2 },
+  NOT_REG8: { opcode: 0xF6, size: 2, group: 2 },
 
   // =====================
   // STRING OPERATIONS
   // =====================
   MOVSB: { opcode: 0xA4, size: 1 },
-  LODSB: { opcode: 0xAC, size: 1 },
-  STOSB: { opcode: 0xAA, size: 1 },
+  MOVSW: { opcode: 0xA5, size: 1 },
   CMPSB: { opcode: 0xA6, size: 1 },
+  CMPSW: { opcode: 0xA7, size: 1 },
+  STOSB: { opcode: 0xAA, size: 1 },
+  STOSW: { opcode: 0xAB, size: 1 },
+  LODSB: { opcode: 0xAC, size: 1 },
+  LODSW: { opcode: 0xAD, size: 1 },
+  SCASB: { opcode: 0xAE, size: 1 },
+  SCASW: { opcode: 0xAF, size: 1 },
+
+  // Repeat prefixes: written before a string instruction on the same line (REP MOVSB)
+  REP:   { opcode: 0xF3, size: 1, prefix: true },
+  REPE:  { opcode: 0xF3, size: 1, prefix: true },
+  REPZ:  { opcode: 0xF3, size: 1, prefix: true },
+  REPNE: { opcode: 0xF2, size: 1, prefix: true },
+  REPNZ: { opcode: 0xF2, size: 1, prefix: true },
 
   // =====================
   // CONTROL TRANSFER
   // =====================
-  JMP:  { opcode: 0xE9, size: 3, relative: true },
+  JMP:  { opcode: 0xE9, size: 3, relative: true, shortOpcode: 0xEB }, // near, or short (EB rel8) when in reach
   CALL: { opcode: 0xE8, size: 3, relative: true },
   RET:  { opcode: 0xC3, size: 1 },
 
-  JE:  { opcode: 0x74, size: 2, relative: true },
-  JZ:  { opcode: 0x74, size: 2, relative: true },
-  JNE: { opcode: 0x75, size: 2, relative: true },
-  JNZ: { opcode: 0x75, size: 2, relative: true },
-  JC:  { opcode: 0x72, size: 2, relative: true },
-  JNC: { opcode: 0x73, size: 2, relative: true },
+  JMP_REG: { opcode: 0xFF, size: 2, group: 4 },  // /4 (near indirect)
+  CALL_REG: { opcode: 0xFF, size: 2, group: 2 }, // /2 (near indirect)
+  JMP_MEM:  { opcode: 0xFF, size: 2, group: 4 },
+  CALL_MEM: { opcode: 0xFF, size: 2, group: 2 },
+  JMP_FAR:  { opcode: 0xEA, size: 5 },           // ptr16:16
+  CALL_FAR: { opcode: 0x9A, size: 5 },           // ptr16:16
+
+  RET_IMM:  { opcode: 0xC2, size: 3 },
+  RETN:     { opcode: 0xC3, size: 1 },           // RET, also inside a FAR procedure
+  RETN_IMM: { opcode: 0xC2, size: 3 },
+  RETF:     { opcode: 0xCB, size: 1 },
+  RETF_IMM: { opcode: 0xCA, size: 3 },
+
+  // Conditional jumps (rel8), grouped with their aliases
+  JO:   { opcode: 0x70, size: 2, relative: true },
+  JNO:  { opcode: 0x71, size: 2, relative: true },
+  JB:   { opcode: 0x72, size: 2, relative: true },
+  JNAE: { opcode: 0x72, size: 2, relative: true },
+  JC:   { opcode: 0x72, size: 2, relative: true },
+  JAE:  { opcode: 0x73, size: 2, relative: true },
+  JNB:  { opcode: 0x73, size: 2, relative: true },
+  JNC:  { opcode: 0x73, size: 2, relative: true },
+  JE:   { opcode: 0x74, size: 2, relative: true },
+  JZ:   { opcode: 0x74, size: 2, relative: true },
+  JNE:  { opcode: 0x75, size: 2, relative: true },
+  JNZ:  { opcode: 0x75, size: 2, relative: true },
+  JBE:  { opcode: 0x76, size: 2, relative: true },
+  JNA:  { opcode: 0x76, size: 2, relative: true },
+  JA:   { opcode: 0x77, size: 2, relative: true },
+  JNBE: { opcode: 0x77, size: 2, relative: true },
+  JS:   { opcode: 0x78, size: 2, relative: true },
+  JNS:  { opcode: 0x79, size: 2, relative: true },
+  JP:   { opcode: 0x7A, size: 2, relative: true },
+  JPE:  { opcode: 0x7A, size: 2, relative: true },
+  JNP:  { opcode: 0x7B, size: 2, relative: true },
+  JPO:  { opcode: 0x7B, size: 2, relative: true },
+  JL:   { opcode: 0x7C, size: 2, relative: true },
+  JNGE: { opcode: 0x7C, size: 2, relative: true },
+  JGE:  { opcode: 0x7D, size: 2, relative: true },
+  JNL:  { opcode: 0x7D, size: 2, relative: true },
+  JLE:  { opcode: 0x7E, size: 2, relative: true },
+  JNG:  { opcode: 0x7E, size: 2, relative: true },
+  JG:   { opcode: 0x7F, size: 2, relative: true },
+  JNLE: { opcode: 0x7F, size: 2, relative: true },
+
+  // Loops (rel8, count in CX)
+  LOOPNE: { opcode: 0xE0, size: 2, relative: true },
+  LOOPNZ: { opcode: 0xE0, size: 2, relative: true },
+  LOOPE:  { opcode: 0xE1, size: 2, relative: true },
+  LOOPZ:  { opcode: 0xE1, size: 2, relative: true },
+  LOOP:   { opcode: 0xE2, size: 2, relative: true },
+  JCXZ:   { opcode: 0xE3, size: 2, relative: true },
+
+  // Interrupts
+  INT_IMM: { opcode: 0xCD, size: 2 },
+  INTO:    { opcode: 0xCE, size: 1 },
+  IRET:    { opcode: 0xCF, size: 1 },
 
   // =====================
   // ROTATE / SHIFT (Group 2)
   // =====================
-  ROL: { opcode: 0xD1, size: 2, group: 0 },
-  ROR: { opcode: 0xD1, size: 2, group: 1 },
-  SHL: { opcode: 0xD1, size: 2, group: 4 },
-  SHR: { opcode: 0xD1, size: 2, group: 5 },
+  ...shiftForms("ROL", 0),
+  ...shiftForms("ROR", 1),
+  ...shiftForms("RCL", 2),
+  ...shiftForms("RCR", 3),
+  ...shiftForms("SHL", 4),
+  ...shiftForms("SAL", 4),
+  ...shiftForms("SHR", 5),
+  ...shiftForms("SAR", 7),
+
+  // =====================
+  // INPUT / OUTPUT
+  // =====================
+  // The accumulator (AL or AX) and the port (imm8, or DX) are fixed operands: port: true
+  IN_REG8_IMM:  { opcode: 0xE4, size: 2, port: true },
+  IN_REG_IMM:   { opcode: 0xE5, size: 2, port: true },
+  IN_REG8_REG:  { opcode: 0xEC, size: 1, port: true },
+  IN_REG_REG:   { opcode: 0xED, size: 1, port: true },
+  OUT_IMM_REG8: { opcode: 0xE6, size: 2, port: true },
+  OUT_IMM_REG:  { opcode: 0xE7, size: 2, port: true },
+  OUT_REG_REG8: { opcode: 0xEE, size: 1, port: true },
+  OUT_REG_REG:  { opcode: 0xEF, size: 1, port: true },
 
   // =====================
   // PROCESSOR CONTROL
@@ -76,6 +301,32 @@ export default {
   NOP: { opcode: 0x90, size: 1 },
   HLT: { opcode: 0xF4, size: 1 },
   CLC: { opcode: 0xF8, size: 1 },
-  STC: { opcode: 0xF9, size: 1 }
+  STC: { opcode: 0xF9, size: 1 },
+  CMC: { opcode: 0xF5, size: 1 },
+  CLI: { opcode: 0xFA, size: 1 },
+  STI: { opcode: 0xFB, size: 1 },
+  CLD: { opcode: 0xFC, size: 1 },
+  STD: { opcode: 0xFD, size: 1 }
 
 };
+
+/**
+ * The forms of a shift or rotate: by 1 (D0h / D1h), written SHL AX, 1 or just SHL AX, and
+ * by CL (D2h / D3h), on a register or on memory. The count is not an operand of its own
+ * width (shift: true); opcode is the 16-bit form, byteOpcode the 8-bit one.
+ */
+function shiftForms(mnemonic, group) {
+  const byOne = { opcode: 0xD1, byteOpcode: 0xD0, size: 2, group, shift: true };
+  const byCL = { opcode: 0xD3, byteOpcode: 0xD2, size: 2, group, shift: true };
+  return {
+    [`${mnemonic}_REG`]: byOne,
+    [`${mnemonic}_REG8`]: byOne,
+    [`${mnemonic}_MEM`]: byOne,
+    [`${mnemonic}_REG_IMM`]: byOne,
+    [`${mnemonic}_REG8_IMM`]: byOne,
+    [`${mnemonic}_MEM_IMM`]: byOne,
+    [`${mnemonic}_REG_REG8`]: byCL,
+    [`${mnemonic}_REG8_REG8`]: byCL,
+    [`${mnemonic}_MEM_REG8`]: byCL
+  };
+}
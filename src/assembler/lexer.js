@@ -1,15 +1,28 @@
 // lexer.js
 // Converts raw assembly text into cleaned line tokens
 
-export default function lexer(code) {
-  const lines = code.split("\n");
+/**
+ * @param {string|object[]} code - The raw assembly text, or the preprocessor's output
+ *   ({ text, line, source, file?, includedAt? } per line, see preprocessor.js)
+ * @param {Diagnostics} [diagnostics] - Receives lexical errors (unterminated strings)
+ * @returns {{ text: string, location: { line: number, column: number, source: string }, exact: boolean, broken?: boolean }[]}
+ *   One token per non-empty line: the cleaned text, plus where it came from
+ *   (1-based line and column of its first character, and the original line for error snippets).
+ *   Lines of an INCLUDE file add `file` and `includedAt` to their location.
+ *   `exact` is true when the text is written at `column` of the source line, so a position in
+ *   the text is a column as well; a line of a macro expansion is not (it points at the invocation).
+ *   `broken` marks a line with a lexical error, which has been reported already.
+ */
+export default function lexer(code, diagnostics) {
+  const lines = typeof code === "string" ? sourceLines(code) : code;
 
   const tokens = [];
 
-  for (let line of lines) {
+  for (const { text, line: lineNumber, source, file, includedAt } of lines) {
+    let line = text;
 
-    // Remove comments
-    const commentIndex = line.indexOf(";");
+    // Remove comments (a ';' inside a string literal does not start one)
+    const commentIndex = findOutsideQuotes(line, ";");
     if (commentIndex !== -1) {
       line = line.substring(0, commentIndex);
     }
@@ -18,11 +31,63 @@ export default function lexer(code) {
 
     if (line.length === 0) continue;
 
-    // Normalize to uppercase (8086 is case-insensitive)
-    line = line.toUpperCase();
+    // Lines from a macro expansion point at the line that invoked the macro
+    const column = source.length - source.trimStart().length + 1;
+    const location = file === undefined
+      ? { line: lineNumber, column, source }
+      : { line: lineNumber, column, source, file, includedAt };
 
-    tokens.push(line);
+    const exact = source.startsWith(line, column - 1);
+
+    const quote = openQuote(line);
+    if (quote !== -1) {
+      diagnostics?.error(exact ? { ...location, column: column + quote } : location, "Unterminated string literal");
+    }
+
+    // Normalize to uppercase (8086 is case-insensitive), leaving string literals as written
+    line = line.replace(/('[^']*'?|"[^"]*"?)|[^'"]+/g, (part, quoted) => quoted ? part : part.toUpperCase());
+
+    tokens.push(quote === -1 ? { text: line, location, exact } : { text: line, location, exact, broken: true });
   }
 
   return tokens;
 }
+
+/**
+ * Splits raw text into { text, line, source } lines, the form the preprocessor produces
+ */
+export function sourceLines(code) {
+  return code.split("\n").map((raw, index) => {
+    const source = raw.replace(/\r$/, "");
+    return { text: source, line: index + 1, source };
+  });
+}
+
+// Index of the first `char` that is not inside '...' or "...", or -1
+export function findOutsideQuotes(line, char) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Index of the quote that opens a string literal still open at the end of the line, or -1
+function openQuote(line) {
+  let open = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (open !== -1) {
+      if (line[i] === line[open]) open = -1;
+    } else if (line[i] === "'" || line[i] === '"') {
+      open = i;
+    }
+  }
+  return open;
+}
@@ -0,0 +1,107 @@
+// linker.js
+// Combines object modules (see objectFile.js) into one program image
+
+// The linked program has to fit in one segment
+const SEGMENT_SIZE = 0x10000;
+
+/**
+ * Places the modules one after another, starting at `origin`, connects every EXTRN to the
+ * PUBLIC symbol of the same name and applies the relocations.
+ * @param {object[]} objects - The `object` of each assembled module, in link order
+ * @param {object} [options]
+ * @param {number} [options.origin] - Load offset of the image (default: the first module's origin,
+ *   e.g. 100h for a .COM program)
+ * @param {boolean} [options.throwOnError=true] - Throw when there are errors; with false the
+ *   result is returned anyway, with the problems in `diagnostics`
+ * @returns {object} - machineCode (Uint8Array) and origin like runAssembler's, symbols
+ *   (PUBLIC name -> address in the image), modules ({ name, start, end } per module) and
+ *   diagnostics ({ severity, module, message })
+ * Modules are linked as one segment: a module with SEGMENT lines or segment relocations
+ * (SEG, far CALL) is rejected.
+ * @throws {Error} "Link Error: ..." listing every error (duplicate or unresolved symbols),
+ *   with the structured list in its `diagnostics` property.
+ */
+export default function link(objects, { origin = objects[0]?.origin ?? 0, throwOnError = true } = {}) {
+  const diagnostics = [];
+  const error = (module, message) => diagnostics.push({ severity: "error", module, message });
+
+  // Layout: each module moves by `delta` from the origin it was assembled for
+  let address = origin;
+  const modules = objects.map((object, index) => {
+    const name = object.name ?? `module ${index + 1}`;
+    const placed = { name, start: address, end: address + object.code.length, delta: address - object.origin };
+    address = placed.end;
+    return placed;
+  });
+  if (address > SEGMENT_SIZE) error(null, `Linked program does not fit in 64K (ends at ${address.toString(16).toUpperCase()}h)`);
+  objects.forEach((object, index) => {
+    if (object.segments?.length > 0 || object.relocations.some(({ kind }) => kind === "SEG")) {
+      error(modules[index].name, "Modules with segments cannot be linked");
+    }
+  });
+
+  // PUBLIC symbols of every module; constants keep their value
+  const symbols = {};
+  const definedIn = {};
+  objects.forEach((object, index) => {
+    for (const [name, symbol] of Object.entries(object.publics)) {
+      if (Object.hasOwn(symbols, name)) {
+        error(modules[index].name, `Duplicate public symbol ${name} (also defined in ${definedIn[name]})`);
+        continue;
+      }
+      symbols[name] = symbol.type === "CONST" ? symbol.value : symbol.value + modules[index].delta;
+      definedIn[name] = modules[index].name;
+    }
+  });
+
+  objects.forEach((object, index) => {
+    for (const name of Object.keys(object.externs)) {
+      if (!Object.hasOwn(symbols, name)) error(modules[index].name, `Unresolved external symbol ${name}`);
+    }
+  });
+
+  const image = new Uint8Array(Math.max(address - origin, 0));
+  objects.forEach((object, index) => {
+    const { start, delta } = modules[index];
+    image.set(object.code, start - origin);
+
+    for (const { offset, kind, symbol } of object.relocations) {
+      if (symbol !== null && !Object.hasOwn(symbols, symbol)) continue;
+
+      const at = start - origin + (offset - object.origin);
+      const stored = image[at] | (image[at + 1] << 8);
+      let value;
+      if (symbol === null) {
+        value = stored + delta;
+      } else if (kind === "REL16") {
+        // The field is relative to the end of the instruction, which moved by delta
+        value = stored + symbols[symbol] - delta;
+      } else {
+        value = stored + symbols[symbol];
+      }
+      image[at] = value & 0xFF;
+      image[at + 1] = (value >> 8) & 0xFF;
+    }
+  });
+
+  if (diagnostics.length > 0 && throwOnError) {
+    const failure = new Error(`Link Error: ${diagnostics.map(formatLinkDiagnostic).join("\n")}`);
+    failure.diagnostics = diagnostics;
+    throw failure;
+  }
+
+  return {
+    machineCode: image,
+    origin,
+    symbols,
+    modules: modules.map(({ name, start, end }) => ({ name, start, end })),
+    diagnostics
+  };
+}
+
+/**
+ * "MAIN: Unresolved external symbol PRINT"
+ */
+export function formatLinkDiagnostic({ module, message }) {
+  return module === null ? message : `${module}: ${message}`;
+}
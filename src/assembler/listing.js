@@ -0,0 +1,130 @@
+// listing.js
+// Assembly listing: every source line next to its address and bytes, then a symbol cross-reference
+
+import { toHexString } from "./utils.js";
+
+// Bytes shown per listing row; longer data continues on extra rows
+const BYTES_PER_ROW = 6;
+
+/**
+ * Builds the structured listing.
+ * @param {string} source - The raw assembly text
+ * @param {object[]} parsedLines - Parser output (after pass 1, so duplicate labels are gone)
+ * @param {object[]} statements - What pass 2 emitted per line ({ location, segment, offset, bytes, value })
+ * @param {object} symbols - Typed symbol table
+ * @param {object[]} diagnostics - Sorted diagnostics
+ * @returns {{ lines: object[], symbols: object[] }}
+ *   lines:   { line, segment, offset, bytes, value, source, diagnostics } for every source line;
+ *            offset is null on lines without a statement, value is set on EQU / = lines
+ *            and structure fields. segment is the paragraph the offset counts from (0 outside
+ *            SEGMENT blocks), so addresses show as segment:offset.
+ *   symbols: { name, type, value, line, references } sorted by name; line is where the symbol
+ *            is defined and references lists every line that uses it. EXTRN symbols have
+ *            `external: true`.
+ * What an INCLUDE file assembles to is listed at the INCLUDE line of the main source.
+ */
+export default function buildListing(source, parsedLines, statements, symbols, diagnostics) {
+  const lines = source.split("\n").map((text, index) => ({
+    line: index + 1,
+    segment: 0,
+    offset: null,
+    bytes: [],
+    source: text.replace(/\r$/, ""),
+    diagnostics: diagnostics.filter(d => mainLine(d) === index + 1)
+  }));
+
+  for (const { location, segment, offset, bytes, value } of statements) {
+    const entry = lines[mainLine(location) - 1];
+    if (entry.offset === null) {
+      entry.segment = segment;
+      entry.offset = offset;
+    }
+    entry.bytes.push(...bytes);
+    if (value !== undefined) entry.value = value;
+  }
+
+  const definitions = {};
+  const references = {};
+  for (const line of parsedLines) {
+    // SEGMENT, STRUC and GROUP lines define their `name`
+    const defined = line.label ?? line.name;
+    if (defined && definitions[defined] === undefined) {
+      definitions[defined] = mainLine(line.location);
+    }
+    for (const operand of line.operands) {
+      for (const name of referencedSymbols(operand, symbols)) {
+        references[name] = references[name] ?? new Set();
+        references[name].add(mainLine(line.location));
+      }
+    }
+  }
+
+  const symbolList = Object.keys(symbols).sort().map(name => ({
+    name,
+    type: symbols[name].type,
+    value: symbols[name].value,
+    line: definitions[name],
+    references: [...(references[name] ?? [])].sort((a, b) => a - b),
+    ...(symbols[name].external && { external: true })
+  }));
+
+  return { lines, symbols: symbolList };
+}
+
+/**
+ * Renders a listing as text in the classic .LST layout
+ */
+export function formatListing(listing) {
+  const rows = ["Line  Address    Code                Source"];
+
+  for (const entry of listing.lines) {
+    // A constant has a value instead of an address
+    const address = entry.offset === null || entry.value !== undefined ? "" : `${hex(entry.segment)}:${hex(entry.offset)}`;
+    const code = entry.value !== undefined
+      ? `= ${hex(entry.value)}`
+      : toHexString(entry.bytes.slice(0, BYTES_PER_ROW));
+
+    rows.push(`${String(entry.line).padStart(4)}  ${address.padEnd(9)}  ${code.padEnd(18)}  ${entry.source}`.trimEnd());
+
+    // Bytes that do not fit on the first row
+    for (let i = BYTES_PER_ROW; i < entry.bytes.length; i += BYTES_PER_ROW) {
+      const continued = `${hex(entry.segment)}:${hex(entry.offset + i)}`;
+      rows.push(`      ${continued}  ${toHexString(entry.bytes.slice(i, i + BYTES_PER_ROW))}`);
+    }
+
+    for (const d of entry.diagnostics) {
+      const where = d.file === undefined ? `column ${d.column}` : `${d.file}, line ${d.line}, column ${d.column}`;
+      rows.push(`**** ${d.severity === "error" ? "Error" : "Warning"} (${where}): ${d.message}`);
+    }
+  }
+
+  rows.push("", "Symbols:", "Name              Type    Value  Line  References");
+  for (const symbol of listing.symbols) {
+    const value = symbol.external ? "EXTRN" : symbol.value === undefined ? "????" : hex(symbol.value);
+    const line = symbol.line === undefined ? "" : String(symbol.line);
+    rows.push(`${symbol.name.padEnd(16)}  ${symbol.type.padEnd(6)}  ${value.padEnd(5)}  ${line.padStart(4)}  ${symbol.references.join(" ")}`.trimEnd());
+  }
+
+  return rows.join("\n") + "\n";
+}
+
+// Line of the main source a location belongs to: an included line belongs to its INCLUDE
+function mainLine({ line, includedAt }) {
+  return includedAt ?? line;
+}
+
+/**
+ * Names of the symbols an operand refers to. Numbers (0FFh) and string literals are
+ * skipped; registers, PTR and the like are not in the symbol table, so they drop out.
+ * MAIN.LOOP is one local label when there is one, otherwise a variable and a field.
+ */
+function referencedSymbols(operand, symbols) {
+  const words = operand.replace(/'[^']*'?|"[^"]*"?/g, " ").match(/[0-9][\w@?$]*|[A-Z_@?$][\w@?$]*(?:\.[A-Z_@?$][\w@?$]*)*/gi) ?? [];
+  const names = words.flatMap(word => Object.hasOwn(symbols, word.toUpperCase()) ? [word] : word.split("."));
+  return names.map(name => name.toUpperCase()).filter(name => !/^[0-9]/.test(name) && Object.hasOwn(symbols, name));
+}
+
+function hex(value) {
+  const text = Math.abs(value).toString(16).toUpperCase().padStart(4, "0");
+  return value < 0 ? `-${text}` : text;
+}
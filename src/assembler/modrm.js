@@ -1,12 +1,169 @@
-// Builds ModR/M byte for register-to-register operations
+// modrm.js
+// Memory operand parsing and ModR/M byte encoding for all 8086 addressing modes
 
-export default function buildModRM(regField, rmField) {
-  const mod = 0b11; // register mode
+import registers from "./registers.js";
 
-  const modrm =
-    (mod << 6) |
-    (regField << 3) |
-    rmField;
+// r/m field for each base/index combination (mod 00, 01 and 10)
+const RM_CODES = {
+  "BX+SI": 0b000,
+  "BX+DI": 0b001,
+  "BP+SI": 0b010,
+  "BP+DI": 0b011,
+  "SI":    0b100,
+  "DI":    0b101,
+  "BP":    0b110,
+  "BX":    0b111
+};
 
-  return modrm;
+// Segment override prefix bytes
+const SEGMENT_PREFIXES = { ES: 0x26, CS: 0x2E, SS: 0x36, DS: 0x3E };
+
+export default function buildModRM(mod, reg, rm) {
+  return (mod << 6) | (reg << 3) | rm;
+}
+
+/**
+ * Parses a memory operand such as [BX+SI+4], VAR[BX], [1234H], ES:[DI],
+ * WORD PTR [BP-2] or [SI].Y (structure field Y at SI) into { base, index, disp, size, segment }.
+ * `disp` is the displacement expression without the registers (null when there
+ * is none); `size` is 8 or 16 when a BYTE PTR / WORD PTR override is given, otherwise null.
+ * Returns null when the operand is not a memory reference.
+ */
+export function parseMemoryOperand(op) {
+  let text = op.trim();
+  let size = null;
+  let segment = null;
+
+  const ptrMatch = text.match(/^(BYTE|WORD)\s+PTR\s+(.*)$/i);
+  if (ptrMatch) {
+    size = ptrMatch[1].toUpperCase() === "BYTE" ? 8 : 16;
+    text = ptrMatch[2].trim();
+  }
+
+  // Segment override, written either before the brackets (ES:[DI]) or inside them ([ES:DI])
+  const segMatch = text.match(/^(ES|CS|SS|DS)\s*:\s*(.*)$/i) || text.match(/^\[\s*(ES|CS|SS|DS)\s*:\s*(.*)$/i);
+  if (segMatch) {
+    segment = segMatch[1].toUpperCase();
+    text = text.startsWith("[") ? "[" + segMatch[2] : segMatch[2].trim();
+  }
+
+  if (!text.includes("[")) return null;
+
+  // An optional displacement followed by one or more bracket groups, VAR[BX][SI], and then
+  // structure fields, whose offsets add to the displacement: [BX].POINT.Y
+  const match = text.match(/^([^[\]]*(?:\[[^[\]]*\])+)((?:\s*\.\s*[A-Z_@?][\w@?$]*)*)$/i);
+  if (!match) {
+    throw new Error(`Malformed memory operand: ${op}`);
+  }
+  const fields = match[2].split(".").map(field => field.trim()).filter(field => field !== "");
+  const expression = match[1].replace(/\]\s*\[/g, "+").replace("[", "+").replace("]", "") +
+    fields.map(field => `+${field}`).join("");
+
+  // Registers are terms of their own; everything else makes up the displacement
+  const operand = { base: null, index: null, disp: null, size, segment };
+  const dispTerms = [];
+
+  for (const { sign, term } of splitTerms(expression)) {
+    const name = term.toUpperCase();
+
+    if (Object.hasOwn(registers, name)) {
+      if (sign === "-") throw new Error(`Register ${name} cannot be subtracted in ${op}`);
+      if ((name === "BX" || name === "BP") && operand.base === null) {
+        operand.base = name;
+      } else if ((name === "SI" || name === "DI") && operand.index === null) {
+        operand.index = name;
+      } else {
+        throw new Error(`Invalid addressing mode: ${op}`);
+      }
+    } else {
+      dispTerms.push(`${sign}${term}`);
+    }
+  }
+  if (dispTerms.length > 0) {
+    operand.disp = dispTerms.join("").replace(/^\+/, "");
+  }
+
+  return operand;
+}
+
+/**
+ * Splits an address expression into signed top-level terms: "+BX+(N-1)*2" ->
+ * [{ sign: "+", term: "BX" }, { sign: "+", term: "(N-1)*2" }]
+ */
+function splitTerms(expression) {
+  const terms = [];
+  let sign = "+";
+  let term = "";
+  let depth = 0;
+  let quote = null;
+
+  const flush = () => {
+    if (term.trim() === "") throw new Error(`Malformed memory operand: [${expression.replace(/^\+/, "")}]`);
+    terms.push({ sign, term: term.trim() });
+    term = "";
+  };
+
+  for (const c of expression) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "(") {
+      depth++;
+    } else if (c === ")") {
+      depth--;
+    } else if ((c === "+" || c === "-") && depth === 0) {
+      // A sign right after '*' or '/' belongs to the term (N*-1)
+      if (/[*/]\s*$/.test(term)) {
+        term += c;
+        continue;
+      }
+      if (term.trim() !== "") flush();
+      else if (terms.length > 0 || sign !== "+") throw new Error(`Malformed memory operand: [${expression.replace(/^\+/, "")}]`);
+      sign = c;
+      continue;
+    }
+    term += c;
+  }
+  flush();
+
+  return terms;
+}
+
+/**
+ * Encodes the ModR/M byte and displacement for a register field and an r/m operand,
+ * which is either a register name or a parsed memory operand with its displacement value.
+ *
+ * Displacement size: none when it is zero (except [BP], which has no mod 00 form),
+ * disp8 when it fits in a signed byte, disp16 otherwise. A displacement holding the
+ * address of a label (`relocatable`) always takes disp16, as it would with MASM.
+ */
+export function encodeModRM(reg, rm, disp = 0, relocatable = false) {
+  if (typeof rm === "string") {
+    return [buildModRM(0b11, reg, registers[rm.toUpperCase()])];
+  }
+
+  // Direct address: mod 00, r/m 110, disp16
+  if (rm.base === null && rm.index === null) {
+    return [buildModRM(0b00, reg, 0b110), disp & 0xFF, (disp >> 8) & 0xFF];
+  }
+
+  const rmCode = RM_CODES[[rm.base, rm.index].filter(Boolean).join("+")];
+  if (!relocatable && disp === 0 && !(rm.base === "BP" && rm.index === null)) {
+    return [buildModRM(0b00, reg, rmCode)];
+  }
+  if (!relocatable && disp >= -128 && disp <= 127) {
+    return [buildModRM(0b01, reg, rmCode), disp & 0xFF];
+  }
+  if (disp < -32768 || disp > 0xFFFF) {
+    throw new Error(`Displacement ${disp} does not fit in 16 bits`);
+  }
+  return [buildModRM(0b10, reg, rmCode), disp & 0xFF, (disp >> 8) & 0xFF];
+}
+
+/**
+ * Segment override prefix byte for a memory operand, or null when it uses the default segment
+ */
+export function segmentPrefix(operand) {
+  return operand && operand.segment ? SEGMENT_PREFIXES[operand.segment] : null;
 }
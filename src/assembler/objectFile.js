@@ -0,0 +1,57 @@
+// objectFile.js
+// Object modules: assembled code plus what the linker needs to move it and connect it
+// to other modules (relocations, PUBLIC and EXTRN symbols)
+//
+// A module is assembled as if it were the whole program, at its own origin. Every 16-bit
+// field holding an address gets a relocation, so the linker can place the module anywhere:
+//   { offset, kind: "OFFSET", symbol: null }  address of a label in this module:
+//                                             the linker adds how far the module moved
+//   { offset, kind: "OFFSET", symbol: NAME }  address of an external symbol: the field holds
+//                                             what is added to it (EXT+2), the linker adds its address
+//   { offset, kind: "REL16", symbol: NAME }   near jump or call to an external symbol: the field
+//                                             holds the displacement as if the target were at 0
+//   { offset, kind: "SEG", symbol: null }     paragraph of a segment (MOV AX, DATA; far CALL):
+//                                             relative to the start of the program, so whoever
+//                                             loads it adds the paragraph it is loaded at
+// offset is where the field is, as an offset like the ones in the listing (origin included).
+
+/**
+ * Records a relocation when a fixup list is being collected (pass 2; the sizing passes pass none)
+ * @param {object[]} [fixups]
+ * @param {number} offset - Offset of the 16-bit field
+ * @param {"OFFSET"|"REL16"|"SEG"} kind
+ * @param {string|null} symbol - The external symbol, null for an address in this module
+ */
+export function addFixup(fixups, offset, kind, symbol) {
+  fixups?.push({ offset, kind, symbol: symbol ?? null });
+}
+
+/**
+ * Builds the object module of an assembled program:
+ *   { name, origin, code, publics, externs, relocations, segments }
+ * publics maps every PUBLIC name to { value, type } (CONST values are not addresses, so they
+ * do not move), externs maps every EXTRN name to its declared type, segments lists the
+ * SEGMENT names with their paragraphs ({ name, paragraph }).
+ * @param {string|null} name - Module name, used in link errors
+ * @param {object} assembled - { machineCode, origin, symbols, fixups } from the assembler
+ */
+export default function buildObject(name, { machineCode, origin, symbols, fixups }) {
+  const publics = {};
+  const externs = {};
+  const segments = [];
+  for (const [symbolName, symbol] of Object.entries(symbols)) {
+    if (symbol.public) publics[symbolName] = { value: symbol.value, type: symbol.type };
+    if (symbol.external) externs[symbolName] = symbol.type;
+    if (symbol.type === "SEGMENT") segments.push({ name: symbolName, paragraph: symbol.value });
+  }
+
+  return {
+    name,
+    origin,
+    code: machineCode,
+    publics,
+    externs,
+    relocations: fixups.map(fixup => ({ ...fixup })),
+    segments
+  };
+}
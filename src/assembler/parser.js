@@ -1,40 +1,190 @@
 // parser.js
-export default function parser(lines) {
+import instructionMap from "./instructionMap.js";
+import { splitOperands } from "./utils.js";
+import { atOperand, problemLocation } from "./diagnostics.js";
+
+// Identifier, or a local label (.LOOP)
+const NAME = String.raw`\.?[A-Z_@?][\w@?$]*`;
+
+/**
+ * Splits each line token into { label, prefix, mnemonic, operands, location, operandColumns },
+ * keeping the token's source location, and the column of each operand, for diagnostics.
+ * An instruction after a label also has the column it starts at (`mnemonicColumn`).
+ * Block directives that are named without defining a label (DATA SEGMENT, MAIN ENDP,
+ * POINT STRUC, ...) carry the name in `name` instead.
+ * Local and anonymous labels get their full names (see qualifyLocalLabels).
+ * @param {object[]} tokens - Line tokens from the lexer
+ * @param {Diagnostics} [diagnostics] - Receives syntax errors; only the label of such a line is kept
+ */
+export default function parser(tokens, diagnostics) {
   const parsed = [];
 
-  for (let line of lines) {
+  for (const token of tokens) {
+    const { text, location } = token;
+
+    // A line the lexer rejected keeps only its label, so references to it do not fail as well
+    if (token.broken) {
+      const labelMatch = text.match(new RegExp(`^(${NAME})\\s*:`, "i")) ||
+        text.match(new RegExp(`^(${NAME})\\s+(?:DB|DW|DD|EQU|PROC)\\b`, "i"));
+      if (labelMatch) parsed.push({ label: labelMatch[1], mnemonic: null, operands: [], location });
+      continue;
+    }
+
+    let line = text;
     let label = null;
+    let prefix = null;
     let mnemonic = null;
     let operands = [];
 
-    // 1. Handle Labels
-    if (line.includes(":")) {
-      const parts = line.split(":");
-      label = parts[0].trim();
-      line = parts[1] ? parts[1].trim() : "";
+    // 1. Handle Labels (an identifier followed by ':' at the start of the line,
+    //    so far pointers like JMP 0x1234:0x0010 are not mistaken for labels)
+    const labelMatch = line.match(new RegExp(`^(${NAME})\\s*:(.*)$`, "i"));
+    if (labelMatch) {
+      label = labelMatch[1];
+      line = labelMatch[2].trim();
       
       if (line === "") {
-        parsed.push({ label, mnemonic: null, operands: [] });
+        parsed.push({ label, mnemonic: null, operands: [], location });
         continue;
       }
     }
 
-    // 2. Handle Mnemonic and Operands using Regex for flexible spacing
+    // 2. Handle named block directives: DATA SEGMENT, DATA ENDS, MAIN ENDP, POINT STRUC, DGROUP GROUP DATA
+    const blockMatch = line.match(/^([A-Z_@?][\w@?$]*)\s+(SEGMENT|ENDS|ENDP|STRUC|GROUP)\b\s*(.*)$/i);
+    if (blockMatch) {
+      const operands = blockMatch[3] ? splitOperands(blockMatch[3]) : [];
+      // SEGMENT takes its operands space-separated (PARA PUBLIC 'CODE')
+      const spaced = blockMatch[2].toUpperCase() === "SEGMENT" ? operands.flatMap(op => op.split(/\s+/)) : operands;
+      parsed.push({
+        label, name: blockMatch[1], mnemonic: blockMatch[2].toUpperCase(), operands: spaced, location,
+        operandColumns: operandColumns(token, blockMatch[3], spaced)
+      });
+      continue;
+    }
+
+    // 3. Handle named directives: MSG DB 'Hi', COUNT EQU 10, LIMIT = 5, MAIN PROC FAR (the name needs no ':')
+    const namedMatch = line.match(new RegExp(`^(${NAME})\\s+(DB|DW|DD|EQU|PROC)\\b\\s*(.*)$`, "i")) || line.match(/^([A-Z_@?][\w@?$]*)\s*(=)\s*(.*)$/) ||
+      // Structure variable: P1 POINT <1, 2> or TABLE POINT 4 DUP (<>)
+      line.match(/^([A-Z_@?][\w@?$]*)\s+([A-Z_@?][\w@?$]*)\s+(<.*|.*\bDUP\s*\(\s*<.*)$/i);
+    if (namedMatch) {
+      label = namedMatch[1];
+      mnemonic = namedMatch[2].toUpperCase();
+      // A constant's value is one expression, data lines take a list
+      operands = mnemonic === "EQU" || mnemonic === "=" ? [namedMatch[3].trim()] : splitOperands(namedMatch[3]);
+      parsed.push({ label, prefix, mnemonic, operands, location, operandColumns: operandColumns(token, namedMatch[3], operands) });
+      continue;
+    }
+
+    const mnemonicColumn = label && token.exact ? location.column + text.length - line.length : undefined;
+
+    // 4. Handle an instruction prefix (REP MOVSB): keep it apart from the instruction it modifies
+    const prefixMatch = line.match(/^(\w+)\s+(\w.*)$/);
+    if (prefixMatch && instructionMap[prefixMatch[1].toUpperCase()]?.prefix) {
+      prefix = prefixMatch[1].toUpperCase();
+      line = prefixMatch[2];
+    }
+
+    // 5. Handle Mnemonic and Operands using Regex for flexible spacing
     const match = line.match(/^(\w+)\s*(.*)$/);
+    let operandColumnList = [];
     if (match) {
       mnemonic = match[1].toUpperCase();
       const operandPart = match[2];
 
       if (operandPart) {
-        operands = operandPart
-          .split(",")
-          .map(op => op.trim())
-          .filter(op => op.length > 0);
+        operands = splitOperands(operandPart);
+        operandColumnList = operandColumns(token, operandPart, operands);
       }
+    } else {
+      // Keep the label, so references to it do not fail as well
+      diagnostics?.error(location, `Syntax error: ${line}`);
+      if (label) parsed.push({ label, mnemonic: null, operands: [], location });
+      continue;
     }
 
-    parsed.push({ label, mnemonic, operands });
+    parsed.push({ label, prefix, mnemonic, operands, location, operandColumns: operandColumnList, mnemonicColumn });
   }
 
+  qualifyLocalLabels(parsed, diagnostics);
   return parsed;
-}
\ No newline at end of file
+}
+
+/**
+ * Source column of each operand, for diagnostics that point into a line (see diagnostics.js);
+ * `rest` is the end of the line's text the operands were split from. null on a line of a
+ * macro expansion, whose text is not in the source.
+ */
+function operandColumns(token, rest, operands) {
+  if (!token.exact) return null;
+  let cursor = token.text.length - rest.length;
+  return operands.map(operand => {
+    const index = token.text.indexOf(operand, cursor);
+    if (index === -1) return token.location.column;
+    cursor = index + operand.length;
+    return token.location.column + index;
+  });
+}
+
+/**
+ * Gives local and anonymous labels names of their own, in definitions and references:
+ * - .LOOP belongs to the global label before it: after MAIN: it is MAIN.LOOP, so every
+ *   procedure can have its own .LOOP (MAIN.LOOP can also be written out from anywhere)
+ * - @@: is an anonymous label; @B jumps back to the nearest one before (or on) the line,
+ *   @F forward to the nearest one after it. They are numbered @@1, @@2, ... in order.
+ * Every label other than a local one, an EQU / = constant or a structure field starts a
+ * new scope. A line whose references cannot be resolved is reported and keeps only its label.
+ */
+function qualifyLocalLabels(parsed, diagnostics) {
+  const anonymous = parsed.flatMap((line, index) => line.label === "@@" ? [index] : []);
+  let scope = null;
+  let struc = null;
+
+  parsed.forEach((line, index) => {
+    if (line.mnemonic === "STRUC") struc = line.name;
+    if (line.mnemonic === "ENDS" && line.name === struc) struc = null;
+
+    try {
+      if (line.label === "@@") {
+        line.label = `@@${anonymous.indexOf(index) + 1}`;
+      } else if (line.label?.startsWith(".")) {
+        if (scope === null) throw new Error(`Local label ${line.label} needs a global label before it`);
+        line.label = `${scope}${line.label}`;
+      } else if (line.label && struc === null && line.mnemonic !== "EQU" && line.mnemonic !== "=") {
+        scope = line.label;
+      }
+
+      line.operands = line.operands.map((operand, i) => {
+        try {
+          return qualifyOperand(operand, scope, index, anonymous);
+        } catch (error) {
+          throw atOperand(error, i);
+        }
+      });
+    } catch (error) {
+      diagnostics?.error(problemLocation(line, error), error);
+      parsed[index] = { label: line.label?.startsWith(".") ? null : line.label, mnemonic: null, operands: [], location: line.location };
+    }
+  });
+}
+
+/**
+ * .LOOP -> SCOPE.LOOP, @B / @F -> the @@ label they mean; string literals are left alone.
+ * An error's `index` is where the reference starts in the operand.
+ */
+function qualifyOperand(operand, scope, index, anonymous) {
+  const problem = (message, at) => Object.assign(new Error(message), { index: at });
+  return operand.replace(/('[^']*'?|"[^"]*"?)|[^'"]+/g, (part, quoted, start) => {
+    if (quoted) return part;
+    return part.replace(/(?<![\w@?$\])])\.[A-Z_@?][\w@?$]*|(?<![\w@?$.])@([BF])(?![\w@?$])/g, (reference, direction, at) => {
+      if (direction === undefined) {
+        if (scope === null) throw problem(`Local label ${reference} needs a global label before it`, start + at);
+        return `${scope}${reference}`;
+      }
+      const target = direction === "B"
+        ? anonymous.findLastIndex(label => label <= index)
+        : anonymous.findIndex(label => label > index);
+      if (target === -1) throw problem(`No @@ label ${direction === "B" ? "before" : "after"} ${reference}`, start + at);
+      return `@@${target + 1}`;
+    });
+  });
+}
@@ -1,78 +1,123 @@
 // pass2.js
-import instructionMap from "./instructionMap.js";
-import registers from "./registers.js";
-import { isRegister, isImmediate, toLittleEndian16 } from "./utils.js";
+import encodeInstruction from "./encoder.js";
+import { LINKAGE_DIRECTIVES, STRUCTURE_DIRECTIVES, encodeData, evaluateOperand, isDataLine } from "./directives.js";
+import { parseExpression } from "./expressions.js";
+import { segmentBias, segmentFrame } from "./segments.js";
+import { atOperand, problemLocation } from "./diagnostics.js";
 
-function buildModRM(reg, rm) {
-  return (0b11 << 6) | (reg << 3) | rm;
-}
-
-function detectInstructionKey(mnemonic, operands = []) {
-  if (operands.length === 2) {
-    const [dest, src] = operands;
-    if (isRegister(dest) && isRegister(src)) return mnemonic + "_REG_REG";
-    if (isRegister(dest) && isImmediate(src)) return mnemonic + "_REG_IMM";
-  }
-  if (operands.length === 1 && isRegister(operands[0])) return mnemonic + "_REG";
-  return mnemonic;
-}
-
-export default function pass2(parsedLines, symbolTable) {
-  const machineCode = [];
-  let currentOffset = 0;
+/**
+ * Pass 2: emits the program image. The image starts at `origin` (the first ORG);
+ * a later ORG further ahead fills the gap with zeros. A line that fails to encode
+ * is reported to `diagnostics` and emits nothing.
+ * With segments, each one is placed at the paragraph pass 1 gave it, so the image covers
+ * them all: origin and every offset into the image then count from the start of the
+ * first segment (the unnamed one, when it has anything in it).
+ * `statements` records what each line produced, for the listing:
+ *   { location, segment, offset, bytes } plus `value` for EQU / = constants and structure
+ *   fields; segment is the paragraph the offset counts from, and the column of location is
+ *   where the instruction starts, after any label.
+ * `fixups` lists the relocations of the image (see objectFile.js).
+ * `entry` is where END says the program starts ({ segment, offset }), or null.
+ * @returns {{ machineCode: Uint8Array, origin: number, statements: object[], fixups: object[], entry: object|null }}
+ */
+export default function pass2(parsedLines, symbolTable, diagnostics) {
+  // Bytes by their offset from the start of the program (paragraph 0)
+  const image = [];
+  // Location counter of each segment ("" is the unnamed one); `start` is where its image begins
+  const counters = {};
+  const statements = [];
+  const fixups = [];
+  let entry = null;
+  let end = 0;
 
   for (const line of parsedLines) {
-    if (!line.mnemonic) continue;
+    const frame = segmentFrame(symbolTable, line.segment);
+    const bias = segmentBias(symbolTable, line.segment);
+    const counter = counters[line.segment ?? ""] ??= { offset: bias, start: null, started: false };
+    const location = line.mnemonicColumn === undefined ? line.location : { ...line.location, column: line.mnemonicColumn };
+    const statement = { location, segment: frame, offset: counter.offset, bytes: [] };
+    statements.push(statement);
 
-    const { mnemonic, operands = [] } = line;
-    const key = detectInstructionKey(mnemonic, operands);
-    const entry = instructionMap[key];
+    if (line.struc) {
+      if (line.label) statement.value = symbolTable[line.label].value;
+      continue;
+    }
 
-    if (!entry) throw new Error(`Line ${currentOffset}: Unsupported instruction ${key}`);
+    // Pass 1 settled every address, so a label can only be elsewhere if the sizes disagree
+    const symbol = line.label ? symbolTable[line.label] : null;
+    if (symbol && symbol.type !== "CONST" && symbol.value !== counter.offset) {
+      diagnostics.error(line.location, `Phase error: ${line.label} moved between passes`);
+    }
 
-    const opcode = entry.opcode;
+    if (!line.mnemonic || LINKAGE_DIRECTIVES.includes(line.mnemonic)) continue;
 
-    // --- Logic for REG_REG ---
-    if (key.endsWith("_REG_REG")) {
-      const modrm = buildModRM(registers[operands[1]], registers[operands[0]]);
-      machineCode.push(opcode, modrm);
-    } 
-    // --- Logic for REG_IMM ---
-    else if (key.endsWith("_REG_IMM")) {
-      const val = parseInt(operands[1]);
-      if (mnemonic === "MOV") {
-        machineCode.push(opcode + registers[operands[0]]);
-      } else {
-        machineCode.push(opcode, buildModRM(entry.group, registers[operands[0]]));
+    try {
+      if (line.mnemonic === "END") {
+        if (line.operands.length > 0) entry = entryPoint(line.operands[0], symbolTable, counter.offset);
+        continue;
       }
-      machineCode.push(...toLittleEndian16(val));
-    }
-    // --- Logic for RELATIVE JUMPS ---
-    else if (entry.relative) {
-      const target = symbolTable[operands[0]];
-      if (target === undefined) throw new Error(`Undefined label: ${operands[0]}`);
+      if (STRUCTURE_DIRECTIVES.includes(line.mnemonic)) continue;
 
-      const nextIP = currentOffset + entry.size;
-      const relOffset = target - nextIP;
+      // Constants are evaluated again now that every label has its address;
+      // '=' constants may be redefined, so later lines see the latest value
+      if (line.mnemonic === "EQU" || line.mnemonic === "=") {
+        symbolTable[line.label].value = evaluateOperand(line, 0, symbolTable, counter.offset);
+        statement.value = symbolTable[line.label].value;
+        continue;
+      }
 
-      machineCode.push(opcode);
-      if (entry.size === 2) {
-        // Range Check for 8-bit jump
-        if (relOffset < -128 || relOffset > 127) {
-          throw new Error(`Jump to ${operands[0]} is too far (${relOffset} bytes)`);
+      // ORG counts from the start of the segment; the gap it leaves is zeros
+      if (line.mnemonic === "ORG") {
+        const target = bias + evaluateOperand(line, 0, symbolTable, counter.offset - bias);
+        if (counter.started) {
+          end = Math.max(end, frame * 16 + target);
+        } else {
+          counter.start = frame * 16 + target;
         }
-        machineCode.push(relOffset & 0xFF);
-      } else {
-        machineCode.push(...toLittleEndian16(relOffset));
+        counter.offset = target;
+        statement.offset = target;
+        continue;
       }
-    } 
-    else {
-      machineCode.push(opcode);
-    }
 
-    currentOffset += entry.size;
+      counter.started = true;
+      // Kept only when the whole line encodes
+      const lineFixups = [];
+      const warn = problem => diagnostics.warning(problemLocation(line, problem), problem);
+      const bytes = isDataLine(line, symbolTable)
+        ? encodeData(line, symbolTable, counter.offset, lineFixups)
+        : encodeInstruction(line, symbolTable, counter.offset, lineFixups, warn);
+
+      const address = frame * 16 + counter.offset;
+      counter.start ??= address;
+      bytes.forEach((byte, index) => { image[address + index] = byte; });
+      end = Math.max(end, address + bytes.length);
+      fixups.push(...lineFixups.map(fixup => ({ ...fixup, offset: frame * 16 + fixup.offset })));
+      statement.bytes = bytes;
+      counter.offset += bytes.length;
+    } catch (error) {
+      diagnostics.error(problemLocation(line, error), error);
+    }
   }
 
-  // Day 11 Requirement: Return as Uint8Array
-  return new Uint8Array(machineCode);
-}
\ No newline at end of file
+  // The image runs from the first segment that has a start to the last byte emitted
+  const starts = Object.values(counters).map(counter => counter.start).filter(start => start !== null);
+  const origin = starts.length > 0 ? Math.min(...starts) : 0;
+  const machineCode = new Uint8Array(Math.max(end - origin, 0));
+  image.forEach((byte, address) => { machineCode[address - origin] = byte; });
+
+  // Day 11 Requirement: machine code as a Uint8Array
+  return { machineCode, origin, statements, fixups, entry };
+}
+
+/**
+ * END START: the segment and offset of the label the program starts at
+ */
+function entryPoint(operand, symbolTable, offset) {
+  try {
+    const { value, kind, segment } = parseExpression(operand, symbolTable, offset);
+    if (kind !== "LABEL") throw new Error(`END needs a code label: ${operand}`);
+    return { segment: segmentFrame(symbolTable, segment), offset: value };
+  } catch (error) {
+    throw atOperand(error, 0);
+  }
+}
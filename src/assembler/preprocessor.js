@@ -0,0 +1,425 @@
+// preprocessor.js
+// Macro expansion, conditional assembly and include files ahead of the lexer:
+// MACRO/ENDM, LOCAL, REPT, IRP, IF/IFDEF/IFNDEF/ELSE/ENDIF and INCLUDE
+//
+//   PRINT MACRO TEXT          ; definition with parameters
+//         LOCAL SKIP          ; a fresh label (??0000, ??0001, ...) in every expansion
+//         ...
+//         ENDM
+//         PRINT MSG           ; invocation; <a, b> passes text containing commas
+//   REPT 3 ... ENDM           ; repeats the block (count: a number or an earlier EQU / = constant)
+//   IRP R, <AX, BX> ... ENDM  ; repeats the block once per item, R standing for the item
+//   IF expr ... ELSE ... ENDIF ; keeps the first part when expr is not 0, otherwise the ELSE part
+//   IFDEF NAME / IFNDEF NAME  ; the same, depending on whether NAME is defined by now
+//   INCLUDE DEFS.INC          ; the lines of another file, read through options.readFile
+//
+// REPT counts and IF conditions are worked out here, before there is a symbol table, so they
+// can use numbers, defines and constants (EQU / =) from earlier lines, but no labels.
+// Output lines keep their original line number: lines written in the source keep their own,
+// lines produced by a macro invocation take the invocation's, so errors and the listing point there.
+// Lines of an included file also carry `file` (its name) and `includedAt` (the line of the main
+// source that included it, directly or through other include files).
+
+import { findOutsideQuotes, sourceLines } from "./lexer.js";
+import { parseExpression } from "./expressions.js";
+
+// Expansions inside expansions before a (probably recursive) macro or INCLUDE is given up on
+const MAX_EXPANSION_DEPTH = 32;
+
+// Lines the expansion may produce before a runaway REPT or macro is stopped
+const MAX_OUTPUT_LINES = 100000;
+
+// REPT / IRP repetitions and macro expansions, together, before expansion is stopped;
+// counted apart from the lines, since an empty body repeats without producing any
+const MAX_EXPANSIONS = 1000000;
+
+const IDENTIFIER = /^[A-Z_@?][\w@?$]*$/i;
+
+/**
+ * @param {string} code - The raw assembly text
+ * @param {Diagnostics} diagnostics
+ * @param {object} [options]
+ * @param {object} [options.defines] - Predefined constants (name -> value), visible to IF and IFDEF
+ * @param {function} [options.readFile] - Returns the text of an INCLUDE file by name
+ * @returns {{ text: string, line: number, source: string, file?: string, includedAt?: number }[]}
+ *   Lines for the lexer
+ */
+export default function preprocess(code, diagnostics, { defines = {}, readFile = null } = {}) {
+  const constants = {};
+  for (const [name, value] of Object.entries(defines)) {
+    constants[name] = { value, type: "CONST" };
+  }
+
+  const state = {
+    macros: {},
+    constants,
+    defined: new Set(Object.keys(constants)),
+    localCount: 0,
+    // Repetitions and expansions so far, against MAX_EXPANSIONS
+    expansions: 0,
+    // Set once MAX_OUTPUT_LINES or MAX_EXPANSIONS is reached: every expansion stops there
+    full: false,
+    readFile,
+    diagnostics
+  };
+  const output = [];
+  expandLines(sourceLines(code), output, state, 0);
+  return output;
+}
+
+function expandLines(lines, output, state, depth) {
+  // Open IF blocks: { active, taken, seenElse, item }. A line is kept when every block is active.
+  const conditions = [];
+  const active = () => conditions.every(c => c.active);
+
+  for (let i = 0; i < lines.length && !state.full; i++) {
+    const item = lines[i];
+    const code = stripComment(item.text);
+    let match;
+
+    try {
+      // Conditional blocks are tracked in skipped parts too, so nested ENDIFs pair up
+      if ((match = code.match(/^(IF|IFDEF|IFNDEF)\b\s*(.*)$/i))) {
+        let taken = false;
+        if (active()) {
+          try {
+            taken = condition(match[1].toUpperCase(), match[2], state);
+          } catch (error) {
+            // The block still needs its ENDIF; neither part is assembled
+            state.diagnostics.error(location(item, error), error);
+            conditions.push({ active: false, taken: true, seenElse: false, item });
+            continue;
+          }
+        }
+        conditions.push({ active: taken, taken, seenElse: false, item });
+        continue;
+      }
+      if (/^ELSE\b/i.test(code)) {
+        const block = conditions[conditions.length - 1];
+        if (!block) throw new Error("ELSE without IF");
+        if (block.seenElse) throw new Error("ELSE after ELSE");
+        block.seenElse = true;
+        // The ELSE part runs when the IF part did not, inside an active enclosing block
+        block.active = !block.taken && conditions.slice(0, -1).every(c => c.active);
+        continue;
+      }
+      if (/^ENDIF\b/i.test(code)) {
+        if (conditions.length === 0) throw new Error("ENDIF without IF");
+        conditions.pop();
+        continue;
+      }
+      if (!active()) continue;
+
+      // NAME MACRO params ... ENDM
+      if ((match = code.match(/^(\S+)\s+MACRO\b\s*(.*)$/i))) {
+        const { body, end } = collectBlock(lines, i, `macro ${match[1]}`);
+        i = end;
+        defineMacro(state, match[1], match[2], body);
+        continue;
+      }
+
+      // REPT count ... ENDM
+      if ((match = code.match(/^REPT\b\s*(.*)$/i))) {
+        const { body, end } = collectBlock(lines, i, "REPT");
+        i = end;
+        const count = repeatCount(match[1], state.constants);
+        for (let n = 0; n < count && expansionAllowed(state, item); n++) {
+          expandLines(body, output, state, depth + 1);
+        }
+        continue;
+      }
+
+      // IRP param, <item, item, ...> ... ENDM
+      if ((match = code.match(/^IRP\b\s*(.*)$/i))) {
+        const { body, end } = collectBlock(lines, i, "IRP");
+        i = end;
+        const irp = match[1].match(/^([A-Z_@?][\w@?$]*)\s*,\s*<(.*)>$/i);
+        if (!irp) throw argumentError(`IRP needs a parameter and a list in <>: ${code}`, match[1]);
+        for (const value of splitArguments(irp[2])) {
+          if (!expansionAllowed(state, item)) break;
+          expandLines(substituteBlock(body, { [irp[1].toUpperCase()]: value }), output, state, depth + 1);
+        }
+        continue;
+      }
+
+      if (/^ENDM\b/i.test(code)) {
+        throw new Error("ENDM without MACRO, REPT or IRP");
+      }
+
+      // INCLUDE file: its lines take the place of this one
+      if ((match = code.match(/^INCLUDE\b\s*(.*)$/i))) {
+        expandLines(includeFile(match[1], item, state, depth), output, state, depth + 1);
+        continue;
+      }
+
+      // Macro invocation, possibly after a label
+      match = code.match(/^(?:([A-Z_@?][\w@?$]*)\s*:\s*)?([A-Z_@?][\w@?$]*)(?:\s+(.*))?$/i);
+      const macro = match && state.macros[match[2].toUpperCase()];
+      if (macro) {
+        if (depth >= MAX_EXPANSION_DEPTH) {
+          throw new Error(`Macro expansion nested too deeply in ${macro.name}`);
+        }
+        if (!expansionAllowed(state, item)) break;
+        if (match[1]) output.push({ ...item, text: `${match[1]}:` });
+        const expansion = expandMacro(state, macro, match[3] ?? "")
+          .map(text => ({ ...item, text }));
+        expandLines(expansion, output, state, depth + 1);
+        continue;
+      }
+    } catch (error) {
+      state.diagnostics.error(location(item, error), error);
+      continue;
+    }
+
+    if (output.length >= MAX_OUTPUT_LINES) {
+      state.diagnostics.error(location(item), `Expansion stopped: the program is longer than ${MAX_OUTPUT_LINES} lines`);
+      state.full = true;
+      break;
+    }
+    trackSymbols(code, state);
+    output.push(item);
+  }
+
+  for (const block of conditions) {
+    state.diagnostics.error(location(block.item), `Missing ENDIF for ${stripComment(block.item.text)}`);
+  }
+}
+
+/**
+ * Counts one REPT / IRP repetition or macro expansion; false once expansion has stopped,
+ * reporting it at `item` when this is the one over MAX_EXPANSIONS
+ */
+function expansionAllowed(state, item) {
+  if (state.full) return false;
+  if (++state.expansions > MAX_EXPANSIONS) {
+    state.diagnostics.error(location(item), `Expansion stopped: more than ${MAX_EXPANSIONS} repetitions and macro expansions`);
+    state.full = true;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Whether the IF / IFDEF / IFNDEF part of a block is kept
+ */
+function condition(directive, argument, state) {
+  if (directive === "IF") {
+    let result;
+    try {
+      result = parseExpression(argument, state.constants);
+    } catch (error) {
+      throw Object.assign(error, { argument });
+    }
+    if (result.kind !== "IMM") throw argumentError(`IF needs a constant expression: ${argument}`, argument);
+    return result.value !== 0;
+  }
+  if (!IDENTIFIER.test(argument)) throw argumentError(`${directive} needs a symbol name: ${argument}`, argument);
+  return state.defined.has(argument.toUpperCase()) === (directive === "IFDEF");
+}
+
+/**
+ * Lines of an INCLUDE file. The name may be quoted or in <>; it is passed to readFile as written.
+ */
+function includeFile(argument, item, state, depth) {
+  const name = argument.trim().replace(/^(['"<])(.*)(['">])$/, "$2").trim();
+  if (name === "") throw new Error("INCLUDE needs a file name");
+  if (!state.readFile) throw argumentError(`Cannot include ${name}: no file reader was given`, name);
+  if (depth >= MAX_EXPANSION_DEPTH) throw argumentError(`INCLUDE nested too deeply in ${name}`, name);
+
+  let text;
+  try {
+    text = state.readFile(name);
+  } catch (error) {
+    throw argumentError(`Cannot include ${name}: ${error.message}`, name);
+  }
+  if (typeof text !== "string") throw argumentError(`Cannot include ${name}: file not found`, name);
+
+  const includedAt = item.includedAt ?? item.line;
+  return sourceLines(text).map(line => ({ ...line, file: name, includedAt }));
+}
+
+/**
+ * Body of the block opened at lines[start], up to its ENDM. Blocks nest, so an inner
+ * REPT / IRP / MACRO needs its own ENDM.
+ */
+function collectBlock(lines, start, what) {
+  let nesting = 0;
+  for (let i = start + 1; i < lines.length; i++) {
+    const code = stripComment(lines[i].text);
+    if (/^(REPT|IRP)\b/i.test(code) || /^\S+\s+MACRO\b/i.test(code)) {
+      nesting++;
+    } else if (/^ENDM\b/i.test(code)) {
+      if (nesting === 0) return { body: lines.slice(start + 1, i), end: i };
+      nesting--;
+    }
+  }
+  throw new Error(`Missing ENDM for ${what}`);
+}
+
+function defineMacro(state, name, paramText, body) {
+  if (!IDENTIFIER.test(name)) throw argumentError(`Invalid macro name: ${name}`, name);
+
+  const params = splitArguments(paramText).map(p => p.toUpperCase());
+  for (const param of params) {
+    if (!IDENTIFIER.test(param)) throw argumentError(`Invalid macro parameter: ${param}`, param);
+  }
+
+  // LOCAL lines come first in the body
+  const locals = [];
+  let first = 0;
+  for (; first < body.length; first++) {
+    const code = stripComment(body[first].text);
+    if (code === "") continue;
+    const local = code.match(/^LOCAL\b\s*(.*)$/i);
+    if (!local) break;
+    locals.push(...splitArguments(local[1]).map(l => l.toUpperCase()));
+  }
+
+  state.macros[name.toUpperCase()] = {
+    name: name.toUpperCase(),
+    params,
+    locals,
+    body: body.slice(first).map(line => stripComment(line.text))
+  };
+}
+
+/**
+ * The macro body with arguments and fresh LOCAL labels filled in
+ */
+function expandMacro(state, macro, argumentText) {
+  const args = splitArguments(argumentText);
+  if (args.length > macro.params.length) {
+    throw argumentError(`Too many arguments for macro ${macro.name}: ${argumentText}`, argumentText);
+  }
+
+  const values = {};
+  macro.params.forEach((param, index) => { values[param] = args[index] ?? ""; });
+  for (const local of macro.locals) {
+    values[local] = `??${(state.localCount++).toString(16).toUpperCase().padStart(4, "0")}`;
+  }
+
+  return macro.body.map(text => substitute(text, values));
+}
+
+function substituteBlock(lines, values) {
+  return lines.map(line => ({ ...line, text: substitute(stripComment(line.text), values) }));
+}
+
+/**
+ * Replaces parameter names with their values. Outside strings whole names are replaced
+ * and '&' glues text together (LBL&N -> LBL3); inside strings only &NAME, NAME& and
+ * &NAME& are replaced.
+ */
+function substitute(text, values) {
+  return text.replace(/('[^']*'?|"[^"]*"?)|([0-9][\w@?$]*)|([A-Z_@?$][\w@?$]*)|&/gi, (part, quoted, number, name) => {
+    if (quoted !== undefined) {
+      return quoted.replace(/&?([A-Z_@?$][\w@?$]*)&?/gi, (ref, inner) =>
+        ref.includes("&") && Object.hasOwn(values, inner.toUpperCase()) ? values[inner.toUpperCase()] : ref);
+    }
+    if (number !== undefined) return number;
+    if (name !== undefined) return Object.hasOwn(values, name.toUpperCase()) ? values[name.toUpperCase()] : name;
+    return "";
+  });
+}
+
+/**
+ * Splits an argument list on commas outside quotes, parentheses and <...>;
+ * <...> groups lose their brackets. Empty arguments are kept (M A,,C).
+ */
+function splitArguments(text) {
+  if (text.trim() === "") return [];
+
+  const args = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+
+  for (const c of text) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "(" || c === "<") {
+      depth++;
+    } else if (c === ")" || c === ">") {
+      depth--;
+    } else if (c === "," && depth === 0) {
+      args.push(current);
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  args.push(current);
+
+  return args.map(arg => {
+    const trimmed = arg.trim();
+    return trimmed.startsWith("<") && trimmed.endsWith(">") ? trimmed.slice(1, -1).trim() : trimmed;
+  });
+}
+
+function repeatCount(text, constants) {
+  let count;
+  try {
+    count = parseExpression(text, constants);
+  } catch {
+    count = null;
+  }
+  if (count === null || count.kind !== "IMM") throw argumentError(`REPT count must be a constant: ${text}`, text);
+  count = count.value;
+  if (count < 0) throw argumentError(`REPT count must not be negative: ${text}`, text);
+  if (count > MAX_OUTPUT_LINES) throw argumentError(`REPT count must not be more than ${MAX_OUTPUT_LINES}: ${text}`, text);
+  return count;
+}
+
+/**
+ * Remembers the names a line defines, for IFDEF, and the value of NAME EQU value /
+ * NAME = value when it can be worked out from numbers and earlier constants, for IF and REPT
+ */
+function trackSymbols(code, state) {
+  const label = code.match(/^([A-Z_@?][\w@?$]*)\s*:/i) || code.match(/^([A-Z_@?][\w@?$]*)\s+(?:DB|DW|DD|PROC|SEGMENT|STRUC|GROUP)\b/i);
+  if (label) state.defined.add(label[1].toUpperCase());
+
+  const externs = code.match(/^EXTRN\s+(.*)$/i);
+  if (externs) {
+    for (const [, name] of externs[1].matchAll(/([A-Z_@?][\w@?$]*)\s*:/gi)) state.defined.add(name.toUpperCase());
+  }
+
+  const match = code.match(/^([A-Z_@?][\w@?$]*)\s+EQU\s+(.*)$/i) || code.match(/^([A-Z_@?][\w@?$]*)\s*=\s*(.*)$/i);
+  if (!match) return;
+  const name = match[1].toUpperCase();
+  state.defined.add(name);
+  try {
+    const { value, kind } = parseExpression(match[2], state.constants);
+    if (kind === "IMM") state.constants[name] = { value, type: "CONST" };
+  } catch {
+    // Not a plain constant (a label, a forward reference): only the assembler can evaluate it
+  }
+}
+
+function stripComment(text) {
+  const commentIndex = findOutsideQuotes(text, ";");
+  return (commentIndex === -1 ? text : text.substring(0, commentIndex)).trim();
+}
+
+/**
+ * Where a line is, for diagnostics: its first column, or for a problem about a directive
+ * argument (problem.argument, see argumentError) the column of that argument, plus
+ * problem.index for an expression error inside it. A line of an expansion is not written
+ * in the source as it is, so it keeps its first column.
+ */
+function location({ line, text, source, file, includedAt }, problem) {
+  const argument = problem?.argument ? source.indexOf(problem.argument, source.length - source.trimStart().length) : -1;
+  const column = argument !== -1 && text === source
+    ? argument + 1 + (problem.index ?? 0)
+    : source.length - source.trimStart().length + 1;
+  return file === undefined ? { line, column, source } : { line, column, source, file, includedAt };
+}
+
+/**
+ * An error about one argument of a directive (the REPT count, a macro parameter, ...),
+ * which its diagnostic points at
+ */
+function argumentError(message, argument) {
+  return Object.assign(new Error(message), { argument });
+}
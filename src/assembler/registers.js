@@ -1,6 +1,8 @@
 // registers.js
+// Register field codes. 8-bit and 16-bit registers share the same codes;
+// the opcode (w bit) tells the CPU which set is meant.
 
-export default {
+export const REG16 = {
   AX: 0b000,
   CX: 0b001,
   DX: 0b010,
@@ -10,3 +12,24 @@ export default {
   SI: 0b110,
   DI: 0b111
 };
+
+export const REG8 = {
+  AL: 0b000,
+  CL: 0b001,
+  DL: 0b010,
+  BL: 0b011,
+  AH: 0b100,
+  CH: 0b101,
+  DH: 0b110,
+  BH: 0b111
+};
+
+// Segment registers (the reg field of 8C/8E, bits 3-4 of PUSH/POP sreg)
+export const SREG = {
+  ES: 0b00,
+  CS: 0b01,
+  SS: 0b10,
+  DS: 0b11
+};
+
+export default { ...REG16, ...REG8, ...SREG };
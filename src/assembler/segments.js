@@ -0,0 +1,188 @@
+// segments.js
+// Program structure: SEGMENT/ENDS, GROUP, ASSUME, PROC/ENDP, STRUC/ENDS and END
+//
+//   DATA   SEGMENT            ; the lines up to DATA ENDS go into segment DATA; opening it
+//          ...                ; again later continues it. Align, combine and class operands
+//   DATA   ENDS               ; (PARA PUBLIC 'DATA') are accepted: every segment starts on a paragraph
+//   DGROUP GROUP DATA, STACK  ; segments reached through one segment register: the offsets of
+//                             ; their labels count from the start of the group
+//          ASSUME DS:DGROUP   ; which segment register holds which segment (see encoder.js)
+//   MAIN   PROC FAR           ; a code label; RET inside a FAR procedure is RETF
+//   MAIN   ENDP
+//   POINT  STRUC              ; field definitions: the field names are offsets into the structure
+//   POINT  ENDS
+//          END MAIN           ; the end of the program, and where it starts
+//
+// Lines outside any SEGMENT belong to an unnamed segment, which comes first in memory.
+// A program without SEGMENT lines is only that segment, laid out as before.
+
+import { atOperand, problemLocation } from "./diagnostics.js";
+
+// Segment registers in the order an override is chosen when the default one does not fit
+const OVERRIDE_ORDER = ["DS", "SS", "ES", "CS"];
+
+const ALIGN_AND_COMBINE = ["BYTE", "WORD", "PARA", "PAGE", "PUBLIC", "PRIVATE", "STACK", "COMMON", "MEMORY"];
+
+/**
+ * Tags every parsed line with the blocks it is in:
+ *   line.segment  name of the enclosing SEGMENT, or null
+ *   line.struc    name of the enclosing STRUC (its fields), or null
+ *   line.proc     { name, distance } of the enclosing PROC, or null
+ *   line.assume   segment register -> segment or group name, as ASSUMEd at that line
+ * Lines after END are dropped, with a warning.
+ */
+export default function assignSegments(parsedLines, diagnostics) {
+  const segments = [];
+  const groups = new Set();
+  for (const line of parsedLines) {
+    if (line.mnemonic === "SEGMENT" && !segments.includes(line.name)) segments.push(line.name);
+    if (line.mnemonic === "GROUP") groups.add(line.name);
+  }
+
+  const end = parsedLines.findIndex(line => line.mnemonic === "END");
+  if (end !== -1 && end + 1 < parsedLines.length) {
+    diagnostics.warning(parsedLines[end + 1].location, "Lines after END are ignored");
+    parsedLines.splice(end + 1);
+  }
+
+  // Open blocks, innermost last: { kind: "SEGMENT" | "STRUC" | "PROC", name, distance, line }
+  const blocks = [];
+  const innermost = kind => blocks.findLast(block => block.kind === kind) ?? null;
+  let assume = {};
+
+  for (const line of parsedLines) {
+    // ENDS and ENDP still belong to the block they close
+    const tags = blockTags(blocks, assume);
+    try {
+      switch (line.mnemonic) {
+        case "SEGMENT":
+          if (innermost("STRUC")) throw new Error("SEGMENT is not allowed inside a structure");
+          for (const [index, operand] of line.operands.entries()) {
+            if (!ALIGN_AND_COMBINE.includes(operand) && !/^(['"]).*\1$/.test(operand)) {
+              throw atOperand(new Error(`Unsupported SEGMENT operand: ${operand}`), index);
+            }
+          }
+          blocks.push({ kind: "SEGMENT", name: line.name, line });
+          break;
+        case "STRUC":
+          if (innermost("STRUC")) throw new Error(`STRUC ${line.name} cannot be nested`);
+          blocks.push({ kind: "STRUC", name: line.name, line });
+          break;
+        case "ENDS":
+          closeBlock(blocks, line, ["SEGMENT", "STRUC"]);
+          break;
+        case "PROC":
+          if (innermost("STRUC")) throw new Error("PROC is not allowed inside a structure");
+          blocks.push({ kind: "PROC", name: line.label, distance: line.operands[0] ?? "NEAR", line });
+          break;
+        case "ENDP":
+          closeBlock(blocks, line, ["PROC"]);
+          break;
+        case "ASSUME":
+          assume = parseAssume(line.operands, assume, segments, groups);
+          break;
+        default:
+          if (innermost("STRUC") && !/^D[BWD]$/.test(line.mnemonic ?? "")) {
+            throw new Error("Only DB, DW and DD are allowed in a structure");
+          }
+      }
+    } catch (error) {
+      diagnostics.error(problemLocation(line, error), error);
+    }
+
+    Object.assign(line, line.mnemonic === "ENDS" || line.mnemonic === "ENDP" ? tags : blockTags(blocks, assume));
+  }
+
+  for (const block of blocks) {
+    diagnostics.error(block.line.location, `Missing ${block.kind === "PROC" ? "ENDP" : "ENDS"} for ${block.name}`);
+  }
+}
+
+/**
+ * What assignSegments tags a line with, given the open blocks
+ */
+function blockTags(blocks, assume) {
+  const innermost = kind => blocks.findLast(block => block.kind === kind) ?? null;
+  const proc = innermost("PROC");
+  return {
+    segment: innermost("SEGMENT")?.name ?? null,
+    struc: innermost("STRUC")?.name ?? null,
+    proc: proc && { name: proc.name, distance: proc.distance },
+    assume
+  };
+}
+
+/**
+ * ENDS / ENDP: closes the innermost open block, which has to be the one named
+ */
+function closeBlock(blocks, line, kinds) {
+  const block = blocks[blocks.length - 1];
+  if (!block || !kinds.includes(block.kind) || block.name !== line.name) {
+    const open = block ? `, ${block.name} ${block.kind} is open` : "";
+    throw new Error(`${line.name} ${line.mnemonic} does not close an open ${kinds.join(" or ")}${open}`);
+  }
+  blocks.pop();
+}
+
+/**
+ * ASSUME DS:DATA, ES:NOTHING, ... or ASSUME NOTHING
+ */
+function parseAssume(operands, current, segments, groups) {
+  if (operands.length === 0) throw new Error("ASSUME needs SREG:segment");
+  const assume = { ...current };
+
+  for (const [index, operand] of operands.entries()) {
+    if (operand === "NOTHING") {
+      for (const register of OVERRIDE_ORDER) delete assume[register];
+      continue;
+    }
+    const match = operand.match(/^(ES|CS|SS|DS)\s*:\s*(\S+)$/);
+    if (!match) throw atOperand(new Error(`ASSUME needs SREG:segment: ${operand}`), index);
+    const [, register, name] = match;
+    if (name === "NOTHING") {
+      delete assume[register];
+    } else if (segments.includes(name) || groups.has(name)) {
+      assume[register] = name;
+    } else {
+      throw atOperand(new Error(`ASSUME ${register}: ${name} is not a segment or group`), index, operand.indexOf(name, 3));
+    }
+  }
+
+  return assume;
+}
+
+/**
+ * Paragraph number of the segment (or, for a segment in a GROUP, of the group) that
+ * the offsets of its labels count from; 0 for the unnamed segment
+ */
+export function segmentFrame(symbolTable, segment) {
+  if (!segment) return 0;
+  const { group } = symbolTable[segment];
+  return (group ? symbolTable[group].value : symbolTable[segment].value) ?? 0;
+}
+
+/**
+ * How far into its group a segment starts, in bytes (0 outside a group): its location
+ * counter starts there, so its labels count from the start of the group
+ */
+export function segmentBias(symbolTable, segment) {
+  if (!segment) return 0;
+  return ((symbolTable[segment].value ?? 0) - segmentFrame(symbolTable, segment)) * 16;
+}
+
+/**
+ * Segment register through which an instruction reaches a variable in `segment`:
+ * null when the default one (SS for [BP...], DS otherwise) is ASSUMEd for the segment
+ * or its group, otherwise the first one that is, as an override; undefined when none is.
+ * @param {string} segment
+ * @param {object} mem - The parsed memory operand (see modrm.js)
+ * @param {object} assume - The line's ASSUMEs
+ * @param {object} symbolTable
+ */
+export function assumedRegister(segment, mem, assume, symbolTable) {
+  const group = symbolTable[segment]?.group;
+  const reaches = register => assume[register] === segment || (group !== undefined && assume[register] === group);
+
+  if (reaches(mem.base === "BP" ? "SS" : "DS")) return null;
+  return OVERRIDE_ORDER.find(reaches);
+}
@@ -0,0 +1,45 @@
+// sourceMap.js
+// Ties machine-code addresses back to the source lines that produced them
+
+import { segmentFrame } from "./segments.js";
+
+// Symbols that are not addresses in the program
+const NOT_ADDRESSES = ["CONST", "SEGMENT", "GROUP", "STRUC", "FIELD"];
+
+/**
+ * Builds the source map:
+ *   ranges: { start, end, line, column } per statement that emitted bytes, sorted by address
+ *           (column is where the instruction starts, after any label);
+ *           start and end (exclusive) are offsets from the start of the program, like the
+ *           ones in the listing (with segments: segment * 16 + offset).
+ *   labels: name -> { offset, line, column } for every code and data label; a label in a
+ *           named segment also has the paragraph its offset counts from (`segment`).
+ * Ranges and labels from an INCLUDE file also have `file`; their line is a line of that file.
+ * @param {object[]} statements - What pass 2 emitted per line ({ location, segment, offset, bytes })
+ * @param {object[]} parsedLines - Parser output (after pass 1, so duplicate labels are gone)
+ * @param {object} symbols - Typed symbol table
+ */
+export default function buildSourceMap(statements, parsedLines, symbols) {
+  const ranges = statements
+    .filter(statement => statement.bytes.length > 0)
+    .map(({ location, segment, offset, bytes }) => ({
+      start: segment * 16 + offset,
+      end: segment * 16 + offset + bytes.length,
+      ...position(location)
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const labels = {};
+  for (const line of parsedLines) {
+    const symbol = line.label ? symbols[line.label] : null;
+    if (!symbol || NOT_ADDRESSES.includes(symbol.type) || labels[line.label]) continue;
+    labels[line.label] = { offset: symbol.value, ...position(line.location) };
+    if (symbol.segment) labels[line.label].segment = segmentFrame(symbols, symbol.segment);
+  }
+
+  return { ranges, labels };
+}
+
+function position({ line, column, file }) {
+  return file === undefined ? { line, column } : { line, column, file };
+}
@@ -1,50 +1,334 @@
 // symbolTable.js
 
-import instructionMap from "./instructionMap.js";
-import { isRegister, isImmediate } from "./utils.js";
+import encodeInstruction from "./encoder.js";
+import { DATA_DIRECTIVES, LINKAGE_DIRECTIVES, STRUCTURE_DIRECTIVES, encodeData, evaluateOperand, isDataLine } from "./directives.js";
+import { segmentBias } from "./segments.js";
+import { Diagnostics, atOperand, problemLocation } from "./diagnostics.js";
 
-function detectInstructionKey(mnemonic, operands = []) {
-  if (operands.length === 2) {
-    const [dest, src] = operands;
+// Sizing passes before giving up on addresses that keep moving
+const MAX_SIZING_PASSES = 50;
 
-    if (isRegister(dest) && isRegister(src)) {
-      return mnemonic + "_REG_REG";
+/**
+ * Pass 1: lays out every line and records each symbol as
+ *   { value, type }  with type NEAR (code label), BYTE / WORD / DWORD (data label,
+ *   plus `size` per element and `length` in elements) or CONST (EQU / =).
+ * EXTRN NAME:TYPE declares a symbol of another module: { value: 0, type, external: true };
+ * PUBLIC NAME marks a symbol of this one as `public`, for the linker.
+ * Offsets start at the first ORG (0 when there is none).
+ * Local and anonymous labels are recorded under their full names (MAIN.LOOP, @@1; see parser.js).
+ *
+ * With segments (see segments.js, which tags the lines first) a label also records its
+ * `segment`, and its value is the offset from the start of the segment, or of the group
+ * the segment is in. More types:
+ *   FAR      code label of a PROC FAR (PROC NEAR gives NEAR)
+ *   SEGMENT  value is the paragraph of the segment, relative to the start of the program;
+ *            `group` names its GROUP
+ *   GROUP    value is the paragraph of its first segment in memory; `segments` lists them
+ *   STRUC    value is the size of the structure; `fields` are its DB / DW / DD lines
+ *   FIELD    value is the offset in the structure, `dataType` the field's type
+ * A structure variable's type is the structure name.
+ *
+ * Instruction sizes can depend on addresses further down (short or near jumps, disp8
+ * or disp16), so layout is repeated with the addresses of the previous pass until no
+ * symbol moves. The first pass starts optimistic: forward references count as near by.
+ * Only the problems found by the final pass are reported to `diagnostics`.
+ * `defines` (name -> value) are constants given from outside; defining one again in the
+ * source is a duplicate (IFNDEF NAME ... ENDIF gives a default instead).
+ */
+export default function buildSymbolTable(parsedLines, diagnostics, defines = {}) {
+  const symbolTable = declareSymbols(parsedLines, diagnostics, defines);
+
+  for (let pass = 1; ; pass++) {
+    const before = snapshot(symbolTable);
+    const passDiagnostics = new Diagnostics();
+    layout(parsedLines, symbolTable, passDiagnostics);
+
+    const moved = Object.keys(symbolTable).find(name => symbolTable[name].value !== before[name]);
+    if (moved === undefined) {
+      diagnostics.merge(passDiagnostics);
+      break;
+    }
+    if (pass === MAX_SIZING_PASSES) {
+      diagnostics.merge(passDiagnostics);
+      const line = parsedLines.find(l => l.label === moved || l.name === moved);
+      diagnostics.error(line.location, `Address of ${moved} does not settle after ${pass} passes`);
+      break;
+    }
+  }
+
+  return symbolTable;
+}
+
+function snapshot(symbolTable) {
+  return Object.fromEntries(Object.entries(symbolTable).map(([name, symbol]) => [name, symbol.value]));
+}
+
+/**
+ * One sizing pass: gives every label the offset of its line, every structure field its
+ * offset in the structure and every segment its place in memory
+ */
+function layout(parsedLines, symbolTable, diagnostics) {
+  // Location counter of each segment ("" is the unnamed one) and of each structure
+  const counters = {};
+  const fieldOffsets = {};
+
+  for (const line of parsedLines) {
+    if (line.struc) {
+      layoutField(line, symbolTable, fieldOffsets, diagnostics);
+      continue;
+    }
+
+    const bias = segmentBias(symbolTable, line.segment);
+    const counter = counters[line.segment ?? ""] ??= { offset: bias, started: false, line };
+
+    // Label detection
+    if (line.label && symbolTable[line.label].type !== "CONST") {
+      symbolTable[line.label].value = counter.offset;
     }
 
-    if (isRegister(dest) && isImmediate(src)) {
-      return mnemonic + "_REG_IMM";
+    if (!line.mnemonic || LINKAGE_DIRECTIVES.includes(line.mnemonic) || STRUCTURE_DIRECTIVES.includes(line.mnemonic)) continue;
+
+    // A line that fails takes no space
+    try {
+      if (line.mnemonic === "EQU" || line.mnemonic === "=") {
+        symbolTable[line.label].value = evaluateOperand(line, 0, symbolTable, counter.offset);
+        continue;
+      }
+
+      // ORG counts from the start of the segment
+      if (line.mnemonic === "ORG") {
+        const target = bias + evaluateOperand(line, 0, symbolTable, counter.offset - bias);
+        if (counter.started && target < counter.offset) {
+          throw atOperand(new Error(`ORG ${line.operands[0]} moves the location counter backwards`), 0);
+        }
+        counter.offset = target;
+        continue;
+      }
+
+      counter.started = true;
+
+      if (isDataLine(line, symbolTable)) {
+        const bytes = encodeData(line, symbolTable, counter.offset);
+        if (line.label && DATA_DIRECTIVES[line.mnemonic]) {
+          symbolTable[line.label].length = bytes.length / DATA_DIRECTIVES[line.mnemonic].size;
+        }
+        counter.offset += bytes.length;
+        continue;
+      }
+
+      // Sizes come from the actual encoding (addressing mode, displacement, prefixes)
+      counter.offset += encodeInstruction(line, symbolTable, counter.offset).length;
+    } catch (error) {
+      diagnostics.error(problemLocation(line, error), error);
+    }
+  }
+
+  placeSegments(symbolTable, counters, diagnostics);
+
+  for (const [name, symbol] of Object.entries(symbolTable)) {
+    if (symbol.type === "STRUC") symbol.value = fieldOffsets[name] ?? 0;
+  }
+}
+
+/**
+ * A DB / DW / DD line inside a STRUC: the field's offset, and room for its default value
+ */
+function layoutField(line, symbolTable, fieldOffsets, diagnostics) {
+  const offset = fieldOffsets[line.struc] ?? 0;
+  fieldOffsets[line.struc] = offset;
+  if (!DATA_DIRECTIVES[line.mnemonic]) return;
+
+  if (line.label) symbolTable[line.label].value = offset;
+  try {
+    fieldOffsets[line.struc] = offset + encodeData(line, symbolTable, offset).length;
+  } catch (error) {
+    diagnostics.error(problemLocation(line, error), error);
+  }
+}
+
+/**
+ * Segments follow each other in memory in the order they first appear, the unnamed one
+ * first, each starting on a paragraph; a group starts where its first segment does
+ */
+function placeSegments(symbolTable, counters, diagnostics) {
+  let end = 0;
+  for (const name of ["", ...namesOfType(symbolTable, "SEGMENT")]) {
+    const segment = name === "" ? null : name;
+    const bias = segmentBias(symbolTable, segment);
+    const counter = counters[name];
+    if (counter && counter.offset > 0x10000) {
+      diagnostics.error(counter.line.location, `${segment ?? "The program"} does not fit in 64K`);
     }
+
+    const base = Math.ceil(end / 16) * 16;
+    if (segment) symbolTable[segment].value = base / 16;
+    end = base + (counter ? counter.offset - bias : 0);
   }
 
-  if (operands.length === 1 && isRegister(operands[0])) {
-    return mnemonic + "_REG";
+  for (const name of namesOfType(symbolTable, "GROUP")) {
+    const group = symbolTable[name];
+    group.value = Math.min(...group.segments.map(segment => symbolTable[segment].value));
   }
+}
 
-  return mnemonic; // fallback (JMP, NOP, etc.)
+function namesOfType(symbolTable, type) {
+  return Object.keys(symbolTable).filter(name => symbolTable[name].type === type);
 }
 
-export default function buildSymbolTable(parsedLines) {
+/**
+ * Records every symbol with its type before layout, so an instruction can know
+ * that a name is a byte variable or a constant even when it is defined further down
+ */
+function declareSymbols(parsedLines, diagnostics, defines) {
   const symbolTable = {};
-  let offset = 0;
+  for (const [name, value] of Object.entries(defines)) {
+    symbolTable[name] = { value, type: "CONST", redefinable: false };
+  }
 
-  for (const line of parsedLines) {
+  // Segments, groups and structures first, so lines further up can use their names
+  declareBlocks(parsedLines, symbolTable, diagnostics);
 
-    // Label detection
-    if (line.label) {
-      symbolTable[line.label] = offset;
+  for (const line of parsedLines) {
+    if (line.mnemonic === "EXTRN") {
+      declareExterns(line, symbolTable, diagnostics);
+      continue;
+    }
+    if (line.struc && DATA_DIRECTIVES[line.mnemonic]) {
+      declareField(line, symbolTable, diagnostics);
+      continue;
     }
+    if (!line.label) continue;
 
-    if (!line.mnemonic) continue;
+    const existing = symbolTable[line.label];
+    if (existing && !(line.mnemonic === "=" && existing.redefinable)) {
+      diagnostics.error(line.location, `Duplicate symbol: ${line.label}`);
+      // The first definition stays in effect: the line keeps its instruction but loses its label,
+      // a duplicate constant is dropped altogether
+      if (line.mnemonic === "EQU" || line.mnemonic === "=") line.mnemonic = null;
+      line.label = null;
+      continue;
+    }
 
-    const key = detectInstructionKey(line.mnemonic, line.operands);
-    const entry = instructionMap[key];
+    if (line.mnemonic === "EQU" || line.mnemonic === "=") {
+      symbolTable[line.label] = { value: undefined, type: "CONST", redefinable: line.mnemonic === "=" };
+      continue;
+    }
 
-    if (!entry) {
-      throw new Error(`Unknown instruction form: ${key}`);
+    if (DATA_DIRECTIVES[line.mnemonic]) {
+      const { type, size } = DATA_DIRECTIVES[line.mnemonic];
+      symbolTable[line.label] = { value: undefined, type, size, length: 0 };
+    } else if (isDataLine(line, symbolTable)) {
+      symbolTable[line.label] = { value: undefined, type: line.mnemonic };
+    } else if (line.mnemonic === "PROC") {
+      const distance = line.operands[0] ?? "NEAR";
+      if (!["NEAR", "FAR"].includes(distance) || line.operands.length > 1) {
+        const error = atOperand(new Error(`PROC takes NEAR or FAR: ${line.operands.join(", ")}`), 0);
+        diagnostics.error(problemLocation(line, error), error);
+      }
+      symbolTable[line.label] = { value: undefined, type: distance === "FAR" ? "FAR" : "NEAR" };
+    } else {
+      symbolTable[line.label] = { value: undefined, type: "NEAR" };
     }
+    if (line.segment) symbolTable[line.label].segment = line.segment;
+  }
 
-    offset += entry.size;
+  // PUBLIC may come before or after the definition
+  for (const line of parsedLines) {
+    if (line.mnemonic !== "PUBLIC") continue;
+    try {
+      if (line.operands.length === 0) throw new Error("PUBLIC needs a symbol name");
+      for (const [index, name] of line.operands.entries()) {
+        const symbol = symbolTable[name];
+        if (!symbol) throw atOperand(new Error(`PUBLIC symbol ${name} is not defined`), index);
+        if (symbol.external) throw atOperand(new Error(`${name} is EXTRN and cannot be PUBLIC`), index);
+        symbol.public = true;
+      }
+    } catch (error) {
+      diagnostics.error(problemLocation(line, error), error);
+    }
   }
 
   return symbolTable;
 }
+
+/**
+ * SEGMENT (once per name: opening a segment again continues it), STRUC and GROUP names
+ */
+function declareBlocks(parsedLines, symbolTable, diagnostics) {
+  const declare = (line, symbol) => {
+    if (symbolTable[line.name]) {
+      diagnostics.error(line.location, `Duplicate symbol: ${line.name}`);
+      return false;
+    }
+    symbolTable[line.name] = symbol;
+    return true;
+  };
+
+  for (const line of parsedLines) {
+    if (line.mnemonic === "SEGMENT" && symbolTable[line.name]?.type !== "SEGMENT") {
+      declare(line, { value: undefined, type: "SEGMENT" });
+    } else if (line.mnemonic === "STRUC") {
+      declare(line, { value: undefined, type: "STRUC", fields: [] });
+    }
+  }
+
+  for (const line of parsedLines) {
+    if (line.mnemonic !== "GROUP") continue;
+    try {
+      if (line.operands.length === 0) throw new Error(`GROUP ${line.name} needs its segments`);
+      for (const [index, segment] of line.operands.entries()) {
+        if (symbolTable[segment]?.type !== "SEGMENT") throw atOperand(new Error(`${segment} is not a segment`), index);
+        if (symbolTable[segment].group) {
+          throw atOperand(new Error(`Segment ${segment} is already in group ${symbolTable[segment].group}`), index);
+        }
+      }
+    } catch (error) {
+      diagnostics.error(problemLocation(line, error), error);
+      continue;
+    }
+    if (declare(line, { value: undefined, type: "GROUP", segments: [...line.operands] })) {
+      for (const segment of line.operands) symbolTable[segment].group = line.name;
+    }
+  }
+}
+
+/**
+ * A DB / DW / DD line of a STRUC: a field of the structure, named or not
+ */
+function declareField(line, symbolTable, diagnostics) {
+  const struc = symbolTable[line.struc];
+  if (struc?.type !== "STRUC") return;
+  struc.fields.push(line);
+  if (!line.label) return;
+
+  if (symbolTable[line.label]) {
+    diagnostics.error(line.location, `Duplicate symbol: ${line.label}`);
+    line.label = null;
+    return;
+  }
+  symbolTable[line.label] = { value: undefined, type: "FIELD", dataType: DATA_DIRECTIVES[line.mnemonic].type, struc: line.struc };
+}
+
+// Types an EXTRN symbol can have
+const EXTERN_TYPES = ["NEAR", "BYTE", "WORD", "DWORD"];
+
+/**
+ * EXTRN NAME:TYPE, ...: symbols defined in another module. They read as 0 until linked.
+ */
+function declareExterns(line, symbolTable, diagnostics) {
+  try {
+    if (line.operands.length === 0) throw new Error("EXTRN needs a symbol name");
+    for (const [index, operand] of line.operands.entries()) {
+      const match = operand.match(/^([A-Z_@?][\w@?$]*)\s*:\s*(\w+)$/);
+      if (!match) throw atOperand(new Error(`EXTRN needs NAME:TYPE: ${operand}`), index);
+      const [, name, type] = match;
+      if (!EXTERN_TYPES.includes(type)) {
+        throw atOperand(new Error(`Unsupported EXTRN type ${type} (use ${EXTERN_TYPES.join(", ")})`), index, operand.lastIndexOf(type));
+      }
+      if (symbolTable[name]) throw atOperand(new Error(`Duplicate symbol: ${name}`), index);
+      symbolTable[name] = { value: 0, type, external: true };
+    }
+  } catch (error) {
+    diagnostics.error(problemLocation(line, error), error);
+  }
+}
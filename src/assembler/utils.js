@@ -1,12 +1,80 @@
 // utils.js
-import registers from "./registers.js";
+import registers, { REG16, REG8, SREG } from "./registers.js";
+import { isNumber, parseExpression } from "./expressions.js";
 
 function isRegister(op) {
   return Object.hasOwn(registers, op.toUpperCase());
 }
 
+// Numeric literal (0x1F, 1Fh, 1010b, 17o, 25)
 function isImmediate(op) {
-  return /^-?\d+$/.test(op) || /^0X[0-9A-F]+$/i.test(op); // Added Hex support
+  return isNumber(op);
+}
+
+// Direct far pointer operand: SEGMENT:OFFSET (e.g. 0x1234:0x0010, 1234h:0010h)
+function isFarPointer(op) {
+  const parts = op.split(":");
+  return parts.length === 2 && isImmediate(parts[0].trim()) && isImmediate(parts[1].trim());
+}
+
+// Memory operand: anything with a bracketed address ([BX+SI+4], VAR[DI], WORD PTR [1234])
+function isMemory(op) {
+  return op.includes("[");
+}
+
+// Operand class used in instructionMap keys. Anything else is an expression,
+// classified by parseExpression as IMM (constant), MEM (variable) or LABEL (code address).
+function operandKind(op, symbolTable = {}) {
+  const name = op.toUpperCase();
+  if (Object.hasOwn(REG16, name)) return "REG";
+  if (Object.hasOwn(REG8, name)) return "REG8";
+  if (Object.hasOwn(SREG, name)) return "SREG";
+  if (isMemory(op)) return "MEM";
+  if (isFarPointer(op)) return "FAR";
+  return parseExpression(op, symbolTable).kind;
+}
+
+// Maps a mnemonic and its operands to an instructionMap key (e.g. MOV_REG_IMM, ADD_MEM_REG8)
+function detectInstructionKey(mnemonic, operands = [], symbolTable = {}) {
+  if (operands.length === 2) {
+    // The address of a code label is an immediate when it is a source (MOV AX, START)
+    const [dest, src] = operands.map(op => operandKind(op, symbolTable)).map(k => k === "LABEL" ? "IMM" : k);
+    if (dest !== "MEM" || src !== "MEM") return `${mnemonic}_${dest}_${src}`;
+  }
+  if (operands.length === 1) {
+    const kind = operandKind(operands[0], symbolTable);
+    if (kind !== "LABEL") return `${mnemonic}_${kind}`;
+  }
+  return mnemonic; // fallback (JMP label, NOP, etc.)
+}
+
+// Splits an operand list on commas that are not inside quotes, parentheses or <...>;
+// empty operands are dropped unless keepEmpty is set (<1,,3> leaves the middle one out)
+function splitOperands(text, keepEmpty = false) {
+  const operands = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+
+  for (const c of text) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "(" || c === "<") {
+      depth++;
+    } else if (c === ")" || c === ">") {
+      depth--;
+    } else if (c === "," && depth === 0) {
+      operands.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  operands.push(current.trim());
+
+  return keepEmpty ? operands : operands.filter(op => op.length > 0);
 }
 
 function toLittleEndian16(value) {
@@ -23,6 +91,11 @@ function toHexString(byteArray) {
 export {
   isRegister,
   isImmediate,
+  isFarPointer,
+  isMemory,
+  operandKind,
+  detectInstructionKey,
+  splitOperands,
   toLittleEndian16,
   toHexString
 };
\ No newline at end of file
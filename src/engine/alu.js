@@ -2,11 +2,15 @@
  * Role 1: Engine Architect - ALU Module
  * Handles arithmetic, logical operations, and Flag updates.
  * 
+ * Every operation has a 16-bit (xxx16) and an 8-bit (xxx8) variant, except the
+ * decimal adjust group, which always works on AL/AH.
+ *
  * Implemented Instructions:
- * - Arithmetic: ADD, SUB, INC, DEC, CMP, MUL, DIV, IMUL, IDIV, NEG (all with full flag support: ZF, SF, CF, OF, AF, PF)
+ * - Arithmetic: ADD, ADC, SUB, SBB, INC, DEC, CMP, MUL, DIV, IMUL, IDIV, NEG (all with full flag support: ZF, SF, CF, OF, AF, PF)
+ * - Decimal Adjust: DAA, DAS, AAA, AAS, AAM, AAD (implicit AL/AH, 8086 undefined-flag behavior)
  * - Logical: AND, OR, XOR, NOT, TEST (with ZF, SF, PF; CF/OF cleared)
- * - Shifts: SHL, SHR, SAR
- * - Rotates: ROL, ROR, RCL, RCR
+ * - Shifts: SHL, SHR, SAR (CF, OF, ZF, SF, PF)
+ * - Rotates: ROL, ROR, RCL, RCR (CF, OF)
  */
 import { FLAGS } from './registers.js';
 
@@ -24,31 +28,15 @@ export class ALU {
      * Sets: ZF, SF, CF, AF, OF, PF
      */
     add16(val1, val2) {
-        const full = (val1 + val2) >>> 0;
-        const result = full & 0xFFFF;
-
-        // Zero / Sign
-        this.registers.setFlag(FLAGS.ZF, result === 0);
-        this.registers.setFlag(FLAGS.SF, (result & 0x8000) !== 0);
-
-        // Carry (unsigned)
-        this.registers.setFlag(FLAGS.CF, full > 0xFFFF);
-
-        // Auxiliary carry (nibble)
-        const af = ((val1 & 0xF) + (val2 & 0xF)) > 0xF;
-        this.registers.setFlag(FLAGS.AF, af);
-
-        // Overflow (signed): true when sign of result differs from operands when operands had same sign
-        const of = (((val1 ^ result) & (val2 ^ result)) & 0x8000) !== 0;
-        this.registers.setFlag(FLAGS.OF, of);
-
-        // Parity (low byte) - PF = 1 if even number of 1 bits in least-significant byte
-        const byte = result & 0xFF;
-        let cnt = 0;
-        for (let i = 0; i < 8; i++) { if (byte & (1 << i)) cnt++; }
-        this.registers.setFlag(FLAGS.PF, (cnt % 2) === 0);
+        return this._add(val1, val2, 0, 16);
+    }
 
-        return result;
+    /**
+     * 16-bit Add with Carry (ADC): val1 + val2 + CF
+     * Sets: ZF, SF, CF, AF, OF, PF
+     */
+    adc16(val1, val2) {
+        return this._add(val1, val2, this.registers.getFlag(FLAGS.CF), 16);
     }
 
     /**
@@ -56,33 +44,24 @@ export class ALU {
      * Sets: ZF, SF, CF (Borrow), AF, OF, PF
      */
     sub16(val1, val2) {
-        const full = (val1 - val2) | 0; // allow signed-like JS behavior but keep low 16 bits for result
-        const result = full & 0xFFFF;
-
-        // Zero / Sign
-        this.registers.setFlag(FLAGS.ZF, result === 0);
-        this.registers.setFlag(FLAGS.SF, (result & 0x8000) !== 0);
-
-        // Carry/Borrow for subtraction
-        this.registers.setFlag(FLAGS.CF, (val1 >>> 0) < (val2 >>> 0));
-
-        // Auxiliary borrow from bit 4
-        const af = (val1 & 0xF) < (val2 & 0xF);
-        this.registers.setFlag(FLAGS.AF, af);
-
-        // Overflow (signed): when signs of operands differ and sign of result differs from sign of val1
-        const of = (((val1 ^ val2) & (val1 ^ result)) & 0x8000) !== 0;
-        this.registers.setFlag(FLAGS.OF, of);
-
-        // Parity
-        const byte = result & 0xFF;
-        let cnt = 0;
-        for (let i = 0; i < 8; i++) { if (byte & (1 << i)) cnt++; }
-        this.registers.setFlag(FLAGS.PF, (cnt % 2) === 0);
+        return this._sub(val1, val2, 0, 16);
+    }
 
-        return result;
+    /**
+     * 16-bit Subtract with Borrow (SBB): val1 - val2 - CF
+     * Sets: ZF, SF, CF (Borrow), AF, OF, PF
+     */
+    sbb16(val1, val2) {
+        return this._sub(val1, val2, this.registers.getFlag(FLAGS.CF), 16);
     }
 
+    // 8-bit counterparts, used by the byte forms of the 0x00-0x3D block and group 0x80
+    add8(val1, val2) { return this._add(val1, val2, 0, 8); }
+    adc8(val1, val2) { return this._add(val1, val2, this.registers.getFlag(FLAGS.CF), 8); }
+    sub8(val1, val2) { return this._sub(val1, val2, 0, 8); }
+    sbb8(val1, val2) { return this._sub(val1, val2, this.registers.getFlag(FLAGS.CF), 8); }
+    cmp8(val1, val2) { this._sub(val1, val2, 0, 8); }
+
     /**
      * Unsigned 16-bit Multiply (Implicit AX)
      * Output: DX:AX. Sets: CF, OF if result > 16-bit
@@ -118,7 +97,8 @@ export class ALU {
         const remainder = dividend % divisor;
 
         if (quotient > 0xFFFF) {
-            throw new Error("Division Overflow");
+            this.registers.triggerInterrupt(0); // Divide error
+            return;
         }
 
         this.registers.set16('AX', quotient);
@@ -210,7 +190,8 @@ export class ALU {
         const quotient = Math.trunc(dividend / d);
         const remainder = dividend % d;
 
-        if (quotient > 32767 || quotient < -32768) {
+        // As with idiv8, the 8086 rejects the most negative quotient (-32768)
+        if (quotient > 32767 || quotient < -32767) {
             this.registers.triggerInterrupt(0); // Divide error
             return;
         }
@@ -219,33 +200,271 @@ export class ALU {
         this.registers.set16('DX', remainder & 0xFFFF);
     }
 
+    /**
+     * Unsigned 8-bit Multiply (Implicit AL)
+     * Output: AX. Sets: CF, OF if AH is non-zero
+     */
+    mul8(multiplier) {
+        const result = this.registers.get8('AL') * (multiplier & 0xFF);
+        this.registers.set16('AX', result);
+
+        const hasCarry = (result & 0xFF00) !== 0;
+        this.registers.setFlag(FLAGS.CF, hasCarry);
+        this.registers.setFlag(FLAGS.OF, hasCarry);
+    }
+
+    /**
+     * Signed 8-bit Multiply (Implicit AL)
+     * Output: AX. Sets: CF, OF if AX is not the sign extension of AL
+     */
+    imul8(multiplier) {
+        const al = (this.registers.get8('AL') << 24) >> 24;
+        const m = (multiplier << 24) >> 24;
+        const result = al * m;
+
+        this.registers.set16('AX', result & 0xFFFF);
+
+        const fits = (result === ((result << 24) >> 24));
+        this.registers.setFlag(FLAGS.CF, !fits);
+        this.registers.setFlag(FLAGS.OF, !fits);
+    }
+
+    /**
+     * Unsigned 8-bit Division (Implicit AX)
+     * Output: AL (Quotient), AH (Remainder)
+     */
+    div8(divisor) {
+        divisor &= 0xFF;
+        if (divisor === 0) {
+            this.registers.triggerInterrupt(0);
+            return;
+        }
+        const ax = this.registers.get16('AX');
+        const quotient = Math.floor(ax / divisor);
+
+        if (quotient > 0xFF) {
+            this.registers.triggerInterrupt(0); // Divide error
+            return;
+        }
+
+        this.registers.set8('AL', quotient);
+        this.registers.set8('AH', ax % divisor);
+    }
+
+    /**
+     * Signed 8-bit Division (Implicit AX)
+     * The 8086 raises a divide error for a quotient of -128 as well, so the valid range is -127..127.
+     */
+    idiv8(divisor) {
+        const d = (divisor << 24) >> 24;
+        if (d === 0) {
+            this.registers.triggerInterrupt(0);
+            return;
+        }
+        const dividend = (this.registers.get16('AX') << 16) >> 16;
+        const quotient = Math.trunc(dividend / d);
+
+        if (quotient > 127 || quotient < -127) {
+            this.registers.triggerInterrupt(0); // Divide error
+            return;
+        }
+
+        this.registers.set8('AL', quotient & 0xFF);
+        this.registers.set8('AH', (dividend % d) & 0xFF);
+    }
+
+    /**
+     * INC/DEC/NEG r/m8. INC and DEC preserve CF.
+     */
+    inc8(val) {
+        const cf = this.registers.getFlag(FLAGS.CF);
+        const result = this._add(val, 1, 0, 8);
+        this.registers.setFlag(FLAGS.CF, cf);
+        return result;
+    }
+
+    dec8(val) {
+        const cf = this.registers.getFlag(FLAGS.CF);
+        const result = this._sub(val, 1, 0, 8);
+        this.registers.setFlag(FLAGS.CF, cf);
+        return result;
+    }
+
+    neg8(val) {
+        return this._sub(0, val, 0, 8);
+    }
+
+    // ==========================================
+    // DECIMAL ADJUST GROUP (implicit AL / AH)
+    // Intel documents some flags as undefined after these instructions. We reproduce
+    // what 8086 silicon actually leaves behind, since students will compare against it.
+    // ==========================================
+
+    /**
+     * DAA: Decimal Adjust AL after packed BCD addition
+     * Sets: CF, AF, SF, ZF, PF; OF (undefined) reflects the signed overflow of the adjustment
+     */
+    daa() {
+        const oldAL = this.registers.get8('AL');
+        const oldCF = this.registers.getFlag(FLAGS.CF);
+        let al = oldAL;
+        let cf = 0;
+
+        if ((al & 0x0F) > 9 || this.registers.getFlag(FLAGS.AF)) {
+            cf = (oldCF || al + 6 > 0xFF) ? 1 : 0;
+            al = (al + 6) & 0xFF;
+            this.registers.setFlag(FLAGS.AF, 1);
+        } else {
+            this.registers.setFlag(FLAGS.AF, 0);
+        }
+
+        if (oldAL > 0x99 || oldCF) {
+            al = (al + 0x60) & 0xFF;
+            cf = 1;
+        }
+
+        this.registers.set8('AL', al);
+        this.registers.setFlag(FLAGS.CF, cf);
+        // The adjustment is always positive, so overflow means a positive AL turned negative
+        this.registers.setFlag(FLAGS.OF, (oldAL & 0x80) === 0 && (al & 0x80) !== 0);
+        this._updateLogicalFlags(al, 8);
+    }
+
+    /**
+     * DAS: Decimal Adjust AL after packed BCD subtraction
+     * Sets: CF, AF, SF, ZF, PF; OF (undefined) reflects the signed overflow of the adjustment
+     */
+    das() {
+        const oldAL = this.registers.get8('AL');
+        const oldCF = this.registers.getFlag(FLAGS.CF);
+        let al = oldAL;
+        let cf = 0;
+
+        if ((al & 0x0F) > 9 || this.registers.getFlag(FLAGS.AF)) {
+            cf = (oldCF || al < 6) ? 1 : 0;
+            al = (al - 6) & 0xFF;
+            this.registers.setFlag(FLAGS.AF, 1);
+        } else {
+            this.registers.setFlag(FLAGS.AF, 0);
+        }
+
+        if (oldAL > 0x99 || oldCF) {
+            al = (al - 0x60) & 0xFF;
+            cf = 1;
+        }
+
+        this.registers.set8('AL', al);
+        this.registers.setFlag(FLAGS.CF, cf);
+        // Subtracting a positive adjustment overflows when a negative AL turns positive
+        this.registers.setFlag(FLAGS.OF, (oldAL & 0x80) !== 0 && (al & 0x80) === 0);
+        this._updateLogicalFlags(al, 8);
+    }
+
+    /**
+     * AAA: ASCII Adjust AL after unpacked BCD addition (carry goes into AH)
+     * Sets: AF = CF = adjustment made. The undefined OF/SF/ZF/PF come from the
+     * intermediate AL + 6 (before the high nibble is cleared), as on the 8086.
+     */
+    aaa() {
+        const al = this.registers.get8('AL');
+        let intermediate = al;
+
+        if ((al & 0x0F) > 9 || this.registers.getFlag(FLAGS.AF)) {
+            intermediate = this.add8(al, 6);
+            this.registers.set8('AH', this.registers.get8('AH') + 1);
+            this.registers.setFlag(FLAGS.AF, 1);
+            this.registers.setFlag(FLAGS.CF, 1);
+        } else {
+            this.registers.setFlag(FLAGS.AF, 0);
+            this.registers.setFlag(FLAGS.CF, 0);
+            this.registers.setFlag(FLAGS.OF, 0);
+            this._updateLogicalFlags(intermediate, 8);
+        }
+
+        this.registers.set8('AL', intermediate & 0x0F);
+    }
+
+    /**
+     * AAS: ASCII Adjust AL after unpacked BCD subtraction (borrow comes from AH)
+     * Sets: AF = CF = adjustment made. The undefined OF/SF/ZF/PF come from the
+     * intermediate AL - 6 (before the high nibble is cleared), as on the 8086.
+     */
+    aas() {
+        const al = this.registers.get8('AL');
+        let intermediate = al;
+
+        if ((al & 0x0F) > 9 || this.registers.getFlag(FLAGS.AF)) {
+            intermediate = this.sub8(al, 6);
+            this.registers.set8('AH', this.registers.get8('AH') - 1);
+            this.registers.setFlag(FLAGS.AF, 1);
+            this.registers.setFlag(FLAGS.CF, 1);
+        } else {
+            this.registers.setFlag(FLAGS.AF, 0);
+            this.registers.setFlag(FLAGS.CF, 0);
+            this.registers.setFlag(FLAGS.OF, 0);
+            this._updateLogicalFlags(intermediate, 8);
+        }
+
+        this.registers.set8('AL', intermediate & 0x0F);
+    }
+
+    /**
+     * AAM: ASCII Adjust AX after multiply. AH = AL / base, AL = AL % base (base is 10 unless
+     * the immediate byte is changed). A base of 0 raises a divide error.
+     * Sets: SF, ZF, PF from AL; the undefined OF, AF, CF are left clear.
+     */
+    aam(base = 10) {
+        if (base === 0) {
+            this.registers.triggerInterrupt(0);
+            return;
+        }
+        const al = this.registers.get8('AL');
+        const result = al % base;
+
+        this.registers.set8('AH', Math.floor(al / base));
+        this.registers.set8('AL', result);
+        this._logic(result, 8);
+        this.registers.setFlag(FLAGS.AF, 0);
+    }
+
+    /**
+     * AAD: ASCII Adjust AX before division. AL = AL + AH * base, AH = 0.
+     * The 8086 performs the final step as an 8-bit ADD, so the undefined OF, AF and CF
+     * reflect that addition; SF, ZF, PF come from the new AL.
+     */
+    aad(base = 10) {
+        const al = this.registers.get8('AL');
+        const product = (this.registers.get8('AH') * base) & 0xFF;
+
+        this.registers.set8('AL', this.add8(al, product));
+        this.registers.set8('AH', 0);
+    }
+
     // ==========================================
     // LOGICAL GROUP
     // ==========================================
 
     and16(val1, val2) {
-        const result = (val1 & val2) & 0xFFFF;
-        this._updateLogicalFlags(result);
-        return result;
+        return this._logic((val1 & val2) & 0xFFFF, 16);
     }
 
     or16(val1, val2) {
-        const result = (val1 | val2) & 0xFFFF;
-        this._updateLogicalFlags(result);
-        return result;
+        return this._logic((val1 | val2) & 0xFFFF, 16);
     }
 
     xor16(val1, val2) {
-        const result = (val1 ^ val2) & 0xFFFF;
-        this._updateLogicalFlags(result);
-        return result;
+        return this._logic((val1 ^ val2) & 0xFFFF, 16);
     }
 
     test16(val1, val2) {
-        const result = (val1 & val2) & 0xFFFF;
-        this._updateLogicalFlags(result);
+        this._logic((val1 & val2) & 0xFFFF, 16);
     }
 
+    and8(val1, val2) { return this._logic((val1 & val2) & 0xFF, 8); }
+    test8(val1, val2) { this._logic((val1 & val2) & 0xFF, 8); }
+    or8(val1, val2) { return this._logic((val1 | val2) & 0xFF, 8); }
+    xor8(val1, val2) { return this._logic((val1 ^ val2) & 0xFF, 8); }
+
     /**
      * Note: 8086 spec states NOT does NOT affect any flags.
      */
@@ -253,121 +472,189 @@ export class ALU {
         return (~val) & 0xFFFF;
     }
 
+    not8(val) {
+        return (~val) & 0xFF;
+    }
+
     /**
      * Shift Left (SHL / SAL)
-     * Sets: CF (last bit out), ZF, SF. 
+     * Sets: CF (last bit out), OF (MSB changed), ZF, SF, PF.
      */
-    shl16(val, count) {
-        if (count === 0) return val;
-        
-        let result = val;
+    shl16(val, count) { return this._shl(val, count, 16); }
+    shl8(val, count) { return this._shl(val, count, 8); }
+
+    /**
+     * Shift Right (SHR)
+     * Sets: CF (last bit out), OF (original MSB), ZF, SF, PF.
+     */
+    shr16(val, count) { return this._shr(val, count, 16); }
+    shr8(val, count) { return this._shr(val, count, 8); }
+
+    /**
+     * Arithmetic Shift Right (SAR)
+     * Preserves sign bit; sets CF to last bit shifted out and clears OF.
+     */
+    sar16(val, count) { return this._sar(val, count, 16); }
+    sar8(val, count) { return this._sar(val, count, 8); }
+
+    /**
+     * Rotate Left (ROL)
+     * Sets: CF (contains the bit that rotated around), OF
+     */
+    rol16(val, count) { return this._rol(val, count, 16); }
+    rol8(val, count) { return this._rol(val, count, 8); }
+
+    /**
+     * Rotate Right (ROR)
+     * Sets: CF (contains the bit that rotated around), OF
+     */
+    ror16(val, count) { return this._ror(val, count, 16); }
+    ror8(val, count) { return this._ror(val, count, 8); }
+
+    /**
+     * Rotate Left through Carry (RCL)
+     * Rotates bits left through CF; CF becomes bit 0, the MSB goes to CF
+     */
+    rcl16(val, count) { return this._rcl(val, count, 16); }
+    rcl8(val, count) { return this._rcl(val, count, 8); }
+
+    /**
+     * Rotate Right through Carry (RCR)
+     * Rotates bits right through CF; CF becomes the MSB, bit 0 goes to CF
+     */
+    rcr16(val, count) { return this._rcr(val, count, 16); }
+    rcr8(val, count) { return this._rcr(val, count, 8); }
+
+    // ==========================================
+    // SHIFT / ROTATE CORES
+    // The 8086 does not mask the count, and a count of 0 leaves all flags untouched.
+    // OF is only defined for single-bit shifts; for larger counts we compute it from the
+    // final step exactly as the hardware does.
+    // ==========================================
+
+    _shl(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        if (count === 0) return val & mask;
+
+        let result = val & mask;
         let lastBitOut = 0;
 
         for (let i = 0; i < count; i++) {
-            lastBitOut = (result & 0x8000) >> 15;
-            result = (result << 1) & 0xFFFF;
+            lastBitOut = (result >> msb) & 1;
+            result = (result << 1) & mask;
         }
 
         this.registers.setFlag(FLAGS.CF, lastBitOut === 1);
-        this._updateLogicalFlags(result);
+        this.registers.setFlag(FLAGS.OF, ((result >> msb) & 1) !== lastBitOut);
+        this._updateLogicalFlags(result, width);
         return result;
     }
 
-    /**
-     * Shift Right (SHR)
-     * Sets: CF (last bit out), ZF, SF.
-     */
-    shr16(val, count) {
-        if (count === 0) return val;
+    _shr(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        if (count === 0) return val & mask;
 
-        let result = val;
+        let result = val & mask;
         let lastBitOut = 0;
+        let prevMsb = 0;
 
         for (let i = 0; i < count; i++) {
-            lastBitOut = result & 0x0001;
-            result = (result >>> 1) & 0xFFFF;
+            prevMsb = (result >> msb) & 1;
+            lastBitOut = result & 1;
+            result = result >>> 1;
         }
 
         this.registers.setFlag(FLAGS.CF, lastBitOut === 1);
-        this._updateLogicalFlags(result);
+        this.registers.setFlag(FLAGS.OF, prevMsb === 1);
+        this._updateLogicalFlags(result, width);
         return result;
     }
 
-    /**
-     * Arithmetic Shift Right (SAR)
-     * Preserves sign bit; sets CF to last bit shifted out and clears OF.
-     */
-    sar16(val, count) {
-        if (count === 0) return val & 0xFFFF;
+    _sar(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        if (count === 0) return val & mask;
+
         // Work with signed 32-bit to preserve sign while shifting
-        let result = (val << 16) >> 16; // sign-extend to 32-bit signed
+        const shift = 32 - width;
+        let result = (val << shift) >> shift;
         let lastBitOut = 0;
         for (let i = 0; i < count; i++) {
-            lastBitOut = result & 0x0001;
+            lastBitOut = result & 1;
             result = result >> 1; // arithmetic shift
         }
-        result = result & 0xFFFF;
+        result = result & mask;
         this.registers.setFlag(FLAGS.CF, lastBitOut === 1);
         this.registers.setFlag(FLAGS.OF, 0);
-        this._updateLogicalFlags(result);
+        this._updateLogicalFlags(result, width);
         return result;
     }
 
-    /**
-     * Rotate Left (ROL)
-     * Sets: CF (contains the bit that rotated around)
-     */
-    rol16(val, count) {
-        let result = val;
+    _rol(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        let result = val & mask;
+        if (count === 0) return result;
+
         for (let i = 0; i < count; i++) {
-            const msb = (result & 0x8000) >> 15;
-            result = ((result << 1) | msb) & 0xFFFF;
-            this.registers.setFlag(FLAGS.CF, msb === 1);
+            const bit = (result >> msb) & 1;
+            result = ((result << 1) | bit) & mask;
         }
+
+        const cf = result & 1;
+        this.registers.setFlag(FLAGS.CF, cf === 1);
+        this.registers.setFlag(FLAGS.OF, ((result >> msb) & 1) !== cf);
         return result;
     }
 
-    /**
-     * Rotate Right (ROR)
-     * Sets: CF (contains the bit that rotated around)
-     */
-    ror16(val, count) {
-        let result = val;
+    _ror(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        let result = val & mask;
+        if (count === 0) return result;
+
         for (let i = 0; i < count; i++) {
-            const lsb = result & 0x0001;
-            result = ((result >>> 1) | (lsb << 15)) & 0xFFFF;
-            this.registers.setFlag(FLAGS.CF, lsb === 1);
+            const bit = result & 1;
+            result = (result >>> 1) | (bit << msb);
         }
+
+        this.registers.setFlag(FLAGS.CF, ((result >> msb) & 1) === 1);
+        this.registers.setFlag(FLAGS.OF, ((result >> msb) & 1) !== ((result >> (msb - 1)) & 1));
         return result;
     }
 
-    /**
-     * Rotate Left through Carry (RCL)
-     * Rotates bits left through CF; CF becomes bit 0, bit 15 goes to CF
-     */
-    rcl16(val, count) {
-        let result = val;
+    _rcl(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        let result = val & mask;
+        if (count === 0) return result;
+
         for (let i = 0; i < count; i++) {
-            const msb = (result & 0x8000) >> 15;
+            const bit = (result >> msb) & 1;
             const currentCF = this.registers.getFlag(FLAGS.CF);
-            result = ((result << 1) | currentCF) & 0xFFFF;
-            this.registers.setFlag(FLAGS.CF, msb === 1);
+            result = ((result << 1) | currentCF) & mask;
+            this.registers.setFlag(FLAGS.CF, bit === 1);
         }
+
+        this.registers.setFlag(FLAGS.OF, ((result >> msb) & 1) !== this.registers.getFlag(FLAGS.CF));
         return result;
     }
 
-    /**
-     * Rotate Right through Carry (RCR)
-     * Rotates bits right through CF; CF becomes bit 15, bit 0 goes to CF
-     */
-    rcr16(val, count) {
-        let result = val;
+    _rcr(val, count, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const msb = width - 1;
+        let result = val & mask;
+        if (count === 0) return result;
+
         for (let i = 0; i < count; i++) {
-            const lsb = result & 0x0001;
+            const bit = result & 1;
             const currentCF = this.registers.getFlag(FLAGS.CF);
-            result = ((result >>> 1) | (currentCF << 15)) & 0xFFFF;
-            this.registers.setFlag(FLAGS.CF, lsb === 1);
+            result = (result >>> 1) | (currentCF << msb);
+            this.registers.setFlag(FLAGS.CF, bit === 1);
         }
+
+        this.registers.setFlag(FLAGS.OF, ((result >> msb) & 1) !== ((result >> (msb - 1)) & 1));
         return result;
     }
 
@@ -375,9 +662,66 @@ export class ALU {
     // INTERNAL HELPERS
     // ==========================================
 
-    _updateLogicalFlags(result) {
+    /**
+     * Addition core shared by ADD/ADC at both operand widths.
+     * carryIn is 0 for ADD and the current CF for ADC.
+     */
+    _add(val1, val2, carryIn, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const signBit = width === 8 ? 0x80 : 0x8000;
+        const full = (val1 & mask) + (val2 & mask) + carryIn;
+        const result = full & mask;
+
+        // Carry (unsigned)
+        this.registers.setFlag(FLAGS.CF, full > mask);
+
+        // Auxiliary carry (nibble)
+        this.registers.setFlag(FLAGS.AF, ((val1 & 0xF) + (val2 & 0xF) + carryIn) > 0xF);
+
+        // Overflow (signed): true when sign of result differs from operands when operands had same sign
+        this.registers.setFlag(FLAGS.OF, (((val1 ^ result) & (val2 ^ result)) & signBit) !== 0);
+
+        this._updateLogicalFlags(result, width);
+        return result;
+    }
+
+    /**
+     * Subtraction core shared by SUB/SBB/CMP at both operand widths.
+     * borrowIn is 0 for SUB/CMP and the current CF for SBB.
+     */
+    _sub(val1, val2, borrowIn, width) {
+        const mask = width === 8 ? 0xFF : 0xFFFF;
+        const signBit = width === 8 ? 0x80 : 0x8000;
+        const a = val1 & mask;
+        const b = val2 & mask;
+        const result = (a - b - borrowIn) & mask;
+
+        // Carry/Borrow for subtraction
+        this.registers.setFlag(FLAGS.CF, a < b + borrowIn);
+
+        // Auxiliary borrow from bit 4
+        this.registers.setFlag(FLAGS.AF, (a & 0xF) < (b & 0xF) + borrowIn);
+
+        // Overflow (signed): when signs of operands differ and sign of result differs from sign of val1
+        this.registers.setFlag(FLAGS.OF, (((a ^ b) & (a ^ result)) & signBit) !== 0);
+
+        this._updateLogicalFlags(result, width);
+        return result;
+    }
+
+    /**
+     * AND/OR/XOR/TEST always clear CF and OF on the 8086.
+     */
+    _logic(result, width) {
+        this.registers.setFlag(FLAGS.CF, 0);
+        this.registers.setFlag(FLAGS.OF, 0);
+        this._updateLogicalFlags(result, width);
+        return result;
+    }
+
+    _updateLogicalFlags(result, width = 16) {
         this.registers.setFlag(FLAGS.ZF, result === 0);
-        this.registers.setFlag(FLAGS.SF, (result & 0x8000) !== 0);
+        this.registers.setFlag(FLAGS.SF, (result & (width === 8 ? 0x80 : 0x8000)) !== 0);
         // Parity flag (PF) - set when least-significant byte has even number of 1 bits
         const byte = result & 0xFF;
         let cnt = 0;
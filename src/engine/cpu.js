@@ -2,40 +2,158 @@
  * 8086 CPU Emulator
  * 
  * Currently Implemented Instructions:
- * - Data Transfer: MOV (reg16,imm16 / reg16,mem16), PUSH (reg16), POP (reg16), XCHG (reg16,reg16 / reg16,mem16), LEA (reg16,mem16)
- * - Arithmetic: ADD (AX,imm16), SUB (AX,imm16), INC (reg16), DEC (reg16), CMP (AX,imm16), MUL/IMUL/DIV/IDIV (mem/reg16), NEG (mem/reg16)
- * - Logical: AND/OR/XOR (AX,imm16), NOT (mem/reg16), TEST (mem/reg16,imm16)
- * - Shifts/Rotates: SHL, SHR, SAR, ROL, ROR, RCL, RCR (mem/reg16, 1 or CL)
- * - Control Flow: JZ/JE, JNZ/JNE, JC, JNC, CALL (rel16), RET
- * - System: NOP, HLT, CLC, STC, CMC
- * 
- * TODO: Missing instruction opcodes for the following planned instructions:
- * - Data Transfer: MOV (additional variants: mem,reg / reg,mem with different ModR/M modes)
- * - Arithmetic: ADD/SUB/CMP (additional ModR/M forms)
- * - Logical: AND/OR/XOR (additional ModR/M forms)
- * - String Operations: MOVSB, LODSB, STOSB, CMPSB
- * - Control Flow: JMP (unconditional), more conditional jumps
+ * - Data Transfer: MOV (r/m,reg / reg,r/m / reg,imm / r/m,imm / acc,moffs / Sreg), PUSH (reg16, r/m16, Sreg), POP (reg16, Sreg),
+ *   XCHG (reg,r/m), LEA (reg16,mem16), XLAT, CBW, CWD
+ * - Arithmetic: ADD/ADC/SUB/SBB/CMP (all r/m,reg / reg,r/m / acc,imm forms, group 0x80-0x83), INC (reg16), DEC (reg16),
+ *   INC/DEC (r/m8, r/m16), MUL/IMUL/DIV/IDIV (r/m8, r/m16), NEG (r/m8, r/m16), DAA/DAS/AAA/AAS/AAM/AAD
+ * - Logical: AND/OR/XOR (all r/m,reg / reg,r/m / acc,imm forms, group 0x80-0x83), NOT (r/m8, r/m16), TEST (r/m,reg / r/m,imm / acc,imm)
+ * - Shifts/Rotates: SHL, SHR, SAR, ROL, ROR, RCL, RCR (r/m8, r/m16, 1 or CL)
+ * - Control Flow: all Jcc (0x70-0x7F), JMP (short/near/far/indirect), CALL (near/far/indirect),
+ *   RET/RETF (with optional imm16), LOOP/LOOPE/LOOPNE, JCXZ
+ * - Interrupts: INT n, INT 3, INTO, IRET, divide error (type 0), single-step trap (type 1), maskable requests
+ * - I/O: IN/OUT (AL/AX, imm8 or DX port) through the IOBus
+ * - String Operations: MOVS, CMPS, SCAS, LODS, STOS (byte/word) with REP/REPE/REPNE prefixes
+ * - Prefixes: segment overrides (ES:, CS:, SS:, DS:), REP/REPE/REPNE
+ * - Flags: CLC, STC, CMC, CLD, STD, CLI, STI, PUSHF, POPF, LAHF, SAHF
+ * - System: NOP, HLT
  */
-import { Registers, FLAGS } from './registers.js';
+import { Registers, FLAGS, FLAGS_FIXED_ONES, FLAGS_WRITABLE } from './registers.js';
 import { Memory } from './memory.js';
 import { ALU } from './alu.js';
+import { IOBus } from './io.js';
+
+const REG16 = ['AX', 'CX', 'DX', 'BX', 'SP', 'BP', 'SI', 'DI'];
+const REG8 = ['AL', 'CL', 'DL', 'BL', 'AH', 'CH', 'DH', 'BH'];
+const SREG = ['ES', 'CS', 'SS', 'DS'];
+
+// Operation order shared by the 0x00-0x3D block (opcode bits 5-3) and group 1 (ModR/M reg field)
+const ALU_OPS = ['add', 'or', 'adc', 'sbb', 'and', 'sub', 'xor', 'cmp'];
 
 export class CPU {
     constructor() {
         this.registers = new Registers();
         this.memory = new Memory();
         this.alu = new ALU(this.registers); // Link ALU to registers
+        this.io = new IOBus(); // Port space for IN/OUT; devices register themselves here
         this.halted = false;
 
+        // Per-instruction decode state: address of the first prefix/opcode byte
+        // (so REP string instructions can be restarted), the active REP prefix and
+        // the segment override prefix (ES:/CS:/SS:/DS:), if any
+        this.instructionStart = 0;
+        this.repPrefix = null;
+        this.segmentOverride = null;
+
+        // Set by instructions that load a segment register: the 8086 holds off
+        // interrupts until the following instruction (e.g. MOV SS then MOV SP) completes
+        this.interruptShadow = false;
+
+        // Maskable (INTR) interrupt requests from devices, serviced when IF = 1
+        this.interruptRequests = [];
+
+        // Emulated firmware/OS services (e.g. DOS INT 21h): type -> handler(cpu)
+        this.interruptHooks = new Map();
+
         // Initialize Segment Registers for testing
         this.registers.set16('CS', 0x0000);
         this.registers.set16('IP', 0x0000);
     }
 
     step() {
-        if (this.halted) return;
+        if (this.halted) {
+            // HLT is only left through an external interrupt
+            if (!this._serviceInterruptRequest()) return;
+            this.halted = false;
+            return;
+        }
+
+        // TF is sampled before the instruction: the trap fires after it completes
+        const trap = this.registers.getFlag(FLAGS.TF) === 1;
+
+        this.instructionStart = this.registers.get16('IP');
+        this.repPrefix = null;
+        this.segmentOverride = null;
+        this.interruptShadow = false;
+
         const opcode = this.fetchByte();
         this.execute(opcode);
+
+        // Internal interrupts raised during execution (e.g. divide error) take priority
+        if (this.registers.pendingInterrupt !== null) {
+            const type = this.registers.pendingInterrupt;
+            this.registers.pendingInterrupt = null;
+            this.interrupt(type);
+        } else if (this.interruptShadow) {
+            return;
+        } else if (trap) {
+            this.interrupt(1); // Single-step
+        }
+
+        this._serviceInterruptRequest();
+    }
+
+    /**
+     * FLAGS as the 8086 pushes it (PUSHF, interrupts), with the fixed bits filled in
+     */
+    _getFlagsWord() {
+        return (this.registers.get16('FLAGS') & FLAGS_WRITABLE) | FLAGS_FIXED_ONES;
+    }
+
+    /**
+     * Loads FLAGS from a popped word (POPF, IRET); the fixed bits are discarded
+     */
+    _setFlagsWord(value) {
+        this.registers.set16('FLAGS', value & FLAGS_WRITABLE);
+    }
+
+    /**
+     * Queues a maskable hardware interrupt (INTR) of the given type.
+     * It is dispatched at the next instruction boundary where IF = 1.
+     */
+    requestInterrupt(type) {
+        this.interruptRequests.push(type & 0xFF);
+    }
+
+    _serviceInterruptRequest() {
+        if (this.interruptRequests.length === 0 || this.registers.getFlag(FLAGS.IF) === 0) return false;
+        this.interrupt(this.interruptRequests.shift());
+        return true;
+    }
+
+    /**
+     * Installs a JavaScript handler for an interrupt type, standing in for BIOS/DOS code
+     * that does not exist in our memory. When the interrupt fires the handler runs instead
+     * of vectoring through the IVT; returning false falls back to the IVT.
+     * @returns {Function} Call it to remove the hook again.
+     */
+    hookInterrupt(type, handler) {
+        type &= 0xFF;
+        this.interruptHooks.set(type, handler);
+        return () => {
+            if (this.interruptHooks.get(type) === handler) this.interruptHooks.delete(type);
+        };
+    }
+
+    /**
+     * 8086 Interrupt Sequence
+     * 1. Push FLAGS, CS and IP (the return address)
+     * 2. Clear IF and TF so the handler is not interrupted or single-stepped
+     * 3. Load IP from [0000:type*4] and CS from [0000:type*4+2] (Interrupt Vector Table)
+     */
+    interrupt(type) {
+        const hook = this.interruptHooks.get(type & 0xFF);
+        if (hook && hook(this) !== false) return;
+
+        this.push16(this._getFlagsWord());
+        this.push16(this.registers.get16('CS'));
+        this.push16(this.registers.get16('IP'));
+
+        this.registers.setFlag(FLAGS.IF, 0);
+        this.registers.setFlag(FLAGS.TF, 0);
+
+        const vector = (type & 0xFF) * 4;
+        this.registers.set16('IP', this.memory.readWord(0, vector));
+        this.registers.set16('CS', this.memory.readWord(0, vector + 2));
     }
 
     fetchByte() {
@@ -54,7 +172,7 @@ export class CPU {
 
     /**
      * Addressing Mode Resolver
-     * Translates ModR/M bits into a 16-bit Memory Offset.
+     * Translates ModR/M bits into a 16-bit Memory Offset and the segment it is relative to.
      * Ref: Ticket [R1-B]
      */
     resolveEffectiveAddress(mod, rm) {
@@ -91,7 +209,8 @@ export class CPU {
             ea += this.fetchWord();
         }
 
-        return { offset: ea & 0xFFFF, segment: defaultSegment };
+        // A segment override prefix replaces the default (DS, or SS under the BP rule)
+        return { offset: ea & 0xFFFF, segment: this.segmentOverride ?? defaultSegment };
     }
 
     /*
@@ -100,25 +219,22 @@ export class CPU {
     */
     push16(value) {
         let sp = this.registers.get16('SP');
-        let ss = this.registers.get16('SS');
+        const ss = this.registers.get16('SS');
         
         // Decrement SP by 2 before writing (Stack grows downward)
         sp = (sp - 2) & 0xFFFF;
         this.registers.set16('SP', sp);
         
         // Write the 16-bit word (Little Endian)
-        this.memory.writeByte(ss, sp, value & 0xFF);
-        this.memory.writeByte(ss, sp + 1, (value >> 8) & 0xFF);
+        this.memory.writeWord(ss, sp, value);
     }
 
     pop16() {
-        let sp = this.registers.get16('SP');
-        let ss = this.registers.get16('SS');
+        const sp = this.registers.get16('SP');
+        const ss = this.registers.get16('SS');
         
         // Read the 16-bit word (Little Endian)
-        const low = this.memory.readByte(ss, sp);
-        const high = this.memory.readByte(ss, sp + 1);
-        const value = (high << 8) | low;
+        const value = this.memory.readWord(ss, sp);
         
         // Increment SP by 2 after reading
         this.registers.set16('SP', (sp + 2) & 0xFFFF);
@@ -127,18 +243,172 @@ export class CPU {
     }
 
     /**
-    * Internal helper to write 16-bit results back to either Register or Memory
-    */
-    _writeBack16(mod, rm, regName, offset, segment, value) {
-        if (mod === 3) {
-            this.registers.set16(regName, value);
+     * Fetches a ModR/M byte and decodes it.
+     * For memory operands (mod != 3) the effective address is resolved as well,
+     * consuming any displacement bytes.
+     * @returns {{mod: number, reg: number, rm: number, offset?: number, segment?: string}}
+     */
+    decodeModRM() {
+        const modRM = this.fetchByte();
+        const mod = (modRM >> 6) & 0x03;
+        const reg = (modRM >> 3) & 0x07;
+        const rm = modRM & 0x07;
+
+        if (mod === 3) return { mod, reg, rm };
+
+        const { offset, segment } = this.resolveEffectiveAddress(mod, rm);
+        return { mod, reg, rm, offset, segment };
+    }
+
+    /**
+     * Reads the r/m operand described by decodeModRM() (register or memory)
+     */
+    readRM(operand, width) {
+        if (operand.mod === 3) {
+            return this._getReg((width === 16 ? REG16 : REG8)[operand.rm], width);
+        }
+        const segVal = this.registers.get16(operand.segment);
+        if (width === 8) return this.memory.readByte(segVal, operand.offset);
+        return this.memory.readWord(segVal, operand.offset);
+    }
+
+    /**
+     * Writes the r/m operand described by decodeModRM() (register or memory)
+     */
+    writeRM(operand, width, value) {
+        if (operand.mod === 3) {
+            this._setReg((width === 16 ? REG16 : REG8)[operand.rm], width, value);
+            return;
+        }
+        const segVal = this.registers.get16(operand.segment);
+        if (width === 16) {
+            this.memory.writeWord(segVal, operand.offset, value);
         } else {
-            const segVal = this.registers.get16(segment);
-            this.memory.writeByte(segVal, offset, value & 0xFF);
-            this.memory.writeByte(segVal, offset + 1, (value >> 8) & 0xFF);
+            this.memory.writeByte(segVal, operand.offset, value);
         }
     }
 
+    _getReg(name, width) {
+        return width === 16 ? this.registers.get16(name) : this.registers.get8(name);
+    }
+
+    _setReg(name, width, value) {
+        if (width === 16) {
+            this.registers.set16(name, value);
+        } else {
+            this.registers.set8(name, value);
+        }
+    }
+
+    /**
+     * Dispatches one of the eight ALU_OPS to the matching ALU method for the given width.
+     * Returns undefined for CMP, whose result is discarded.
+     */
+    _aluOp(op, val1, val2, width) {
+        return this.alu[`${op}${width}`](val1, val2);
+    }
+
+    /**
+     * String Instructions (MOVS, CMPS, STOS, LODS, SCAS; even opcode = byte, odd = word)
+     * Source is DS:SI (segment overridable), destination is always ES:DI. SI/DI step by the operand size,
+     * forwards when DF = 0 and backwards when DF = 1.
+     *
+     * With a REP prefix only ONE iteration runs per step(): if more iterations remain,
+     * IP is rewound to the prefix so the next step() resumes the instruction. This keeps
+     * single-stepping in the visualizer (and interrupts between iterations) accurate.
+     */
+    _stringOp(opcode) {
+        const width = (opcode & 1) ? 16 : 8;
+        const rep = this.repPrefix;
+
+        if (rep !== null && this.registers.get16('CX') === 0) return;
+
+        const delta = (this.registers.getFlag(FLAGS.DF) ? -1 : 1) * (width / 8);
+        const src = { mod: 0, offset: this.registers.get16('SI'), segment: this.segmentOverride ?? 'DS' };
+        const dest = { mod: 0, offset: this.registers.get16('DI'), segment: 'ES' };
+        const acc = width === 16 ? 'AX' : 'AL';
+        let usesSI = true;
+        let usesDI = true;
+        let compares = false;
+
+        switch (opcode & 0xFE) {
+            case 0xA4: // MOVS
+                this.writeRM(dest, width, this.readRM(src, width));
+                break;
+            case 0xA6: // CMPS (flags from [SI] - [DI])
+                this.alu[`cmp${width}`](this.readRM(src, width), this.readRM(dest, width));
+                compares = true;
+                break;
+            case 0xAA: // STOS
+                this.writeRM(dest, width, this._getReg(acc, width));
+                usesSI = false;
+                break;
+            case 0xAC: // LODS
+                this._setReg(acc, width, this.readRM(src, width));
+                usesDI = false;
+                break;
+            case 0xAE: // SCAS (flags from accumulator - [DI])
+                this.alu[`cmp${width}`](this._getReg(acc, width), this.readRM(dest, width));
+                usesSI = false;
+                compares = true;
+                break;
+        }
+
+        if (usesSI) this.registers.set16('SI', this.registers.get16('SI') + delta);
+        if (usesDI) this.registers.set16('DI', this.registers.get16('DI') + delta);
+
+        if (rep === null) return;
+
+        const cx = (this.registers.get16('CX') - 1) & 0xFFFF;
+        this.registers.set16('CX', cx);
+
+        // REPE/REPZ (0xF3) stops on ZF = 0, REPNE/REPNZ (0xF2) stops on ZF = 1; MOVS/STOS/LODS ignore ZF
+        const zf = this.registers.getFlag(FLAGS.ZF);
+        const zfStop = compares && (rep === 0xF3 ? zf === 0 : zf === 1);
+        if (cx !== 0 && !zfStop) {
+            this.registers.set16('IP', this.instructionStart);
+        }
+    }
+
+    /**
+     * Evaluates a Jcc condition code (low nibble of opcodes 0x70 - 0x7F).
+     * Odd codes are the negation of the preceding even code.
+     */
+    _condition(cc) {
+        const r = this.registers;
+        let result;
+        switch (cc >> 1) {
+            case 0: result = r.getFlag(FLAGS.OF) === 1; break;                                  // JO
+            case 1: result = r.getFlag(FLAGS.CF) === 1; break;                                  // JB/JC/JNAE
+            case 2: result = r.getFlag(FLAGS.ZF) === 1; break;                                  // JE/JZ
+            case 3: result = (r.getFlag(FLAGS.CF) | r.getFlag(FLAGS.ZF)) === 1; break;          // JBE/JNA (unsigned <=)
+            case 4: result = r.getFlag(FLAGS.SF) === 1; break;                                  // JS
+            case 5: result = r.getFlag(FLAGS.PF) === 1; break;                                  // JP/JPE
+            case 6: result = r.getFlag(FLAGS.SF) !== r.getFlag(FLAGS.OF); break;                // JL/JNGE (signed <)
+            case 7: result = r.getFlag(FLAGS.ZF) === 1 || r.getFlag(FLAGS.SF) !== r.getFlag(FLAGS.OF); break; // JLE/JNG (signed <=)
+        }
+        return (cc & 1) ? !result : result;
+    }
+
+    /**
+     * Adds a signed rel8/rel16 displacement to IP (relative to the next instruction)
+     */
+    _jumpRelative(displacement, width) {
+        const shift = 32 - width;
+        const signedOffset = (displacement << shift) >> shift;
+        this.registers.set16('IP', (this.registers.get16('IP') + signedOffset) & 0xFFFF);
+    }
+
+    /**
+     * Far call: push the return CS:IP, then transfer to cs:ip
+     */
+    _callFar(cs, ip) {
+        this.push16(this.registers.get16('CS'));
+        this.push16(this.registers.get16('IP'));
+        this.registers.set16('CS', cs);
+        this.registers.set16('IP', ip);
+    }
+
     execute(opcode) {
         switch (opcode) {
             case 0x90: break; // NOP
@@ -153,52 +423,61 @@ export class CPU {
                 break;
             }
 
-            // ADD AX, imm16 (Opcode 0x05)
-            case 0x05: {
-                const val1 = this.registers.get16('AX');
-                const val2 = this.fetchWord();
-                const res = this.alu.add16(val1, val2);
-                this.registers.set16('AX', res);
-                break;
-            }
+            // ALU block: ADD/OR/ADC/SBB/AND/SUB/XOR/CMP (0x00 - 0x3D)
+            // Low 3 bits select the form: r/m8,r8 | r/m16,r16 | r8,r/m8 | r16,r/m16 | AL,imm8 | AX,imm16
+            case 0x00: case 0x01: case 0x02: case 0x03: case 0x04: case 0x05:
+            case 0x08: case 0x09: case 0x0A: case 0x0B: case 0x0C: case 0x0D:
+            case 0x10: case 0x11: case 0x12: case 0x13: case 0x14: case 0x15:
+            case 0x18: case 0x19: case 0x1A: case 0x1B: case 0x1C: case 0x1D:
+            case 0x20: case 0x21: case 0x22: case 0x23: case 0x24: case 0x25:
+            case 0x28: case 0x29: case 0x2A: case 0x2B: case 0x2C: case 0x2D:
+            case 0x30: case 0x31: case 0x32: case 0x33: case 0x34: case 0x35:
+            case 0x38: case 0x39: case 0x3A: case 0x3B: case 0x3C: case 0x3D: {
+                const op = ALU_OPS[opcode >> 3];
+                const form = opcode & 0x07;
+                const width = (form & 1) ? 16 : 8;
 
-            // SUB AX, imm16 (Opcode 0x2D)
-            case 0x2D: {
-                const val1 = this.registers.get16('AX');
-                const val2 = this.fetchWord();
-                const res = this.alu.sub16(val1, val2);
-                this.registers.set16('AX', res);
-                break;
-            }
+                if (form >= 4) {
+                    // Accumulator, immediate
+                    const acc = width === 16 ? 'AX' : 'AL';
+                    const imm = width === 16 ? this.fetchWord() : this.fetchByte();
+                    const res = this._aluOp(op, this._getReg(acc, width), imm, width);
+                    if (res !== undefined) this._setReg(acc, width, res);
+                    break;
+                }
 
-            // CMP AX, imm16 (Opcode 0x3D) - sets flags only
-            case 0x3D: {
-                const imm = this.fetchWord();
-                this.alu.cmp16(this.registers.get16('AX'), imm);
+                const operand = this.decodeModRM();
+                const regName = (width === 16 ? REG16 : REG8)[operand.reg];
+                if (form & 2) {
+                    // reg <- reg OP r/m
+                    const res = this._aluOp(op, this._getReg(regName, width), this.readRM(operand, width), width);
+                    if (res !== undefined) this._setReg(regName, width, res);
+                } else {
+                    // r/m <- r/m OP reg
+                    const res = this._aluOp(op, this.readRM(operand, width), this._getReg(regName, width), width);
+                    if (res !== undefined) this.writeRM(operand, width, res);
+                }
                 break;
             }
 
-            // AND AX, imm16 (Opcode 0x25)
-            case 0x25: {
-                const imm = this.fetchWord();
-                const res = this.alu.and16(this.registers.get16('AX'), imm);
-                this.registers.set16('AX', res);
-                break;
-            }
+            // Group 1: ALU op r/m, imm (0x80 = r/m8,imm8 | 0x81 = r/m16,imm16 | 0x82 = alias of 0x80 | 0x83 = r/m16,sign-extended imm8)
+            case 0x80: case 0x81: case 0x82: case 0x83: {
+                const operand = this.decodeModRM();
+                const op = ALU_OPS[operand.reg];
+                const width = opcode === 0x81 || opcode === 0x83 ? 16 : 8;
 
-            // OR AX, imm16 (Opcode 0x0D)
-            case 0x0D: {
-                const imm = this.fetchWord();
-                const res = this.alu.or16(this.registers.get16('AX'), imm);
-                this.registers.set16('AX', res);
-                break;
-            }
+                // The immediate follows any displacement bytes, so fetch it after decoding ModR/M
+                let imm;
+                if (opcode === 0x81) {
+                    imm = this.fetchWord();
+                } else if (opcode === 0x83) {
+                    imm = ((this.fetchByte() << 24) >> 24) & 0xFFFF;
+                } else {
+                    imm = this.fetchByte();
+                }
 
-            // XOR AX, imm16 (Opcode 0x35)
-            case 0x35: {
-                const imm = this.fetchWord();
-                const res = this.alu.xor16(this.registers.get16('AX'), imm);
-                this.registers.set16('AX', res);
+                const res = this._aluOp(op, this.readRM(operand, width), imm, width);
+                if (res !== undefined) this.writeRM(operand, width, res);
                 break;
             }
 
@@ -224,166 +503,140 @@ export class CPU {
                 break;
             }
 
-            // Shift/Rotate Group 2 (0xD0/0xD1 = shift by 1, 0xD2/0xD3 = shift by CL)
+            // Shift/Rotate Group 2 (0xD0/0xD1 = shift by 1, 0xD2/0xD3 = shift by CL; even opcodes are 8-bit)
             case 0xD0: case 0xD1: case 0xD2: case 0xD3: {
-                const modRM = this.fetchByte();
-                const mod = (modRM >> 6) & 0x03;
-                const extension = (modRM >> 3) & 0x07;
-                const rm = modRM & 0x07;
-                const regNames = ['AX', 'CX', 'DX', 'BX', 'SP', 'BP', 'SI', 'DI'];
-                
-                // Determine shift count
-                let count;
-                if (opcode === 0xD0 || opcode === 0xD1) {
-                    count = 1;
-                } else { // 0xD2 or 0xD3
-                    count = this.registers.get8('CL');
-                }
-                
-                // 16-bit operations only (0xD1/0xD3)
-                const is16bit = (opcode === 0xD1 || opcode === 0xD3);
-                if (!is16bit) {
-                    console.error(`8-bit shift/rotate (${opcode.toString(16)}) not yet implemented`);
-                    break;
-                }
-                
-                let operand, offset, segment;
-                
-                // Fetch operand
-                if (mod === 3) {
-                    operand = this.registers.get16(regNames[rm]);
-                } else {
-                    const ea = this.resolveEffectiveAddress(mod, rm);
-                    offset = ea.offset;
-                    segment = ea.segment;
-                    const segVal = this.registers.get16(segment);
-                    const low = this.memory.readByte(segVal, offset);
-                    const high = this.memory.readByte(segVal, offset + 1);
-                    operand = (high << 8) | low;
-                }
-                
+                const operand = this.decodeModRM();
+                const width = (opcode & 1) ? 16 : 8;
+                const count = (opcode & 2) ? this.registers.get8('CL') : 1;
+                const value = this.readRM(operand, width);
+
                 let result;
-                switch (extension) {
-                    case 0: result = this.alu.rol16(operand, count); break; // ROL
-                    case 1: result = this.alu.ror16(operand, count); break; // ROR
-                    case 2: result = this.alu.rcl16(operand, count); break; // RCL
-                    case 3: result = this.alu.rcr16(operand, count); break; // RCR
-                    case 4: result = this.alu.shl16(operand, count); break; // SHL/SAL
-                    case 5: result = this.alu.shr16(operand, count); break; // SHR
-                    case 7: result = this.alu.sar16(operand, count); break; // SAR
+                switch (operand.reg) {
+                    case 0: result = this.alu[`rol${width}`](value, count); break; // ROL
+                    case 1: result = this.alu[`ror${width}`](value, count); break; // ROR
+                    case 2: result = this.alu[`rcl${width}`](value, count); break; // RCL
+                    case 3: result = this.alu[`rcr${width}`](value, count); break; // RCR
+                    case 4: result = this.alu[`shl${width}`](value, count); break; // SHL/SAL
+                    case 5: result = this.alu[`shr${width}`](value, count); break; // SHR
+                    case 7: result = this.alu[`sar${width}`](value, count); break; // SAR
                     default:
-                        console.error(`Unsupported shift/rotate extension ${extension}`);
+                        console.error(`Unsupported shift/rotate extension ${operand.reg}`);
                         break;
                 }
-                
+
                 // Write back
                 if (result !== undefined) {
-                    this._writeBack16(mod, rm, regNames[rm], offset, segment, result);
+                    this.writeRM(operand, width, result);
                 }
                 break;
             }
 
-            // MUL/DIV (Grouped under opcode 0xF7)
-            case 0xF7: { // Group 3: TEST, NOT, NEG, MUL, IMUL, DIV, IDIV (16-bit)
-                const modRM = this.fetchByte();
-                const mod = (modRM >> 6) & 0x03;
-                const extension = (modRM >> 3) & 0x07;
-                const rm = modRM & 0x07;
+            // Group 3: TEST, NOT, NEG, MUL, IMUL, DIV, IDIV (0xF6 = 8-bit, 0xF7 = 16-bit)
+            case 0xF6: case 0xF7: {
+                const operand = this.decodeModRM();
+                const width = opcode === 0xF7 ? 16 : 8;
+                const value = this.readRM(operand, width);
 
-                const regNames = ['AX', 'CX', 'DX', 'BX', 'SP', 'BP', 'SI', 'DI'];
-                let operand;
-                let offset, segment; // For memory operations
-
-                // 1. Fetch the operand (Register or Memory)
-                if (mod === 3) {
-                    operand = this.registers.get16(regNames[rm]);
-                } else {
-                    const ea = this.resolveEffectiveAddress(mod, rm);
-                    offset = ea.offset;
-                    segment = ea.segment;
-                    const segVal = this.registers.get16(segment);
-                    // Read 16-bit word from memory
-                    const low = this.memory.readByte(segVal, offset);
-                    const high = this.memory.readByte(segVal, offset + 1);
-                    operand = (high << 8) | low;
-                }
-
-                // 2. Decode the sub-instruction via extension
-                switch (extension) {
-                    case 0: // TEST mem/reg, imm16
-                        this.alu.test16(operand, this.fetchWord());
+                // Decode the sub-instruction via extension
+                switch (operand.reg) {
+                    case 0: // TEST mem/reg, imm
+                    case 1: // (undocumented alias of TEST on the 8086)
+                        this.alu[`test${width}`](value, width === 16 ? this.fetchWord() : this.fetchByte());
                         break;
                     case 2: // NOT mem/reg
-                        const notRes = this.alu.not16(operand);
-                        this._writeBack16(mod, rm, regNames[rm], offset, segment, notRes);
+                        this.writeRM(operand, width, this.alu[`not${width}`](value));
                         break;
                     case 3: // NEG mem/reg
-                        const negRes = this.alu.neg16(operand);
-                        this._writeBack16(mod, rm, regNames[rm], offset, segment, negRes);
+                        this.writeRM(operand, width, this.alu[`neg${width}`](value));
                         break;
                     case 4: // MUL (Unsigned)
-                        this.alu.mul16(operand);
+                        this.alu[`mul${width}`](value);
                         break;
                     case 5: // IMUL (Signed)
-                        this.alu.imul16(operand);
+                        this.alu[`imul${width}`](value);
                         break;
                     case 6: // DIV (Unsigned)
-                        this.alu.div16(operand);
+                        this.alu[`div${width}`](value);
                         break;
                     case 7: // IDIV (Signed)
-                        this.alu.idiv16(operand);
-                        break;
-                    default:
-                        console.error(`Undefined extension ${extension} for 0xF7`);
+                        this.alu[`idiv${width}`](value);
                         break;
                 }
                 break;
             }
 
-            case 0x74: { // JZ (Jump if Zero) - Short Jump (Rel8)
-                const offset = this.fetchByte(); // 8-bit signed offset
-                if (this.registers.getFlag(FLAGS.ZF) === 1) {
-                    const currentIP = this.registers.get16('IP');
-                    // Convert unsigned byte to signed 8-bit integer
-                    const signedOffset = (offset << 24) >> 24;
-                    this.registers.set16('IP', currentIP + signedOffset);
+            // Group 4: INC/DEC r/m8
+            case 0xFE: {
+                const operand = this.decodeModRM();
+                const value = this.readRM(operand, 8);
+                if (operand.reg === 0) {
+                    this.writeRM(operand, 8, this.alu.inc8(value));
+                } else if (operand.reg === 1) {
+                    this.writeRM(operand, 8, this.alu.dec8(value));
+                } else {
+                    console.error(`Undefined extension ${operand.reg} for 0xFE`);
                 }
                 break;
             }
 
-            case 0x75: { // JNZ (Jump if Not Zero)
-                const offset = this.fetchByte();
-                if (this.registers.getFlag(FLAGS.ZF) === 0) {
-                    const currentIP = this.registers.get16('IP');
-                    const signedOffset = (offset << 24) >> 24;
-                    this.registers.set16('IP', currentIP + signedOffset);
+            // MOV r/m,reg (0x88/0x89) and MOV reg,r/m (0x8A/0x8B)
+            case 0x88: case 0x89: case 0x8A: case 0x8B: {
+                const operand = this.decodeModRM();
+                const width = (opcode & 1) ? 16 : 8;
+                const regName = (width === 16 ? REG16 : REG8)[operand.reg];
+
+                if (opcode & 2) {
+                    this._setReg(regName, width, this.readRM(operand, width));
+                } else {
+                    this.writeRM(operand, width, this._getReg(regName, width));
                 }
                 break;
             }
 
-            // MOV reg16, mem16 (Opcode 0x8B)
-            case 0x8B: {
-                const modRM = this.fetchByte();
-                const mod = (modRM >> 6) & 0x03;
-                const reg = (modRM >> 3) & 0x07;
-                const rm = modRM & 0x07;
-
-                const regNames = ['AX', 'CX', 'DX', 'BX', 'SP', 'BP', 'SI', 'DI'];
-                const destReg = regNames[reg];
+            // MOV r/m, imm (0xC6 = r/m8,imm8 | 0xC7 = r/m16,imm16)
+            case 0xC6: case 0xC7: {
+                const operand = this.decodeModRM();
+                const width = opcode === 0xC7 ? 16 : 8;
+                this.writeRM(operand, width, width === 16 ? this.fetchWord() : this.fetchByte());
+                break;
+            }
 
-                if (mod === 3) {
-                    // Register-to-Register move
-                    this.registers.set16(destReg, this.registers.get16(regNames[rm]));
+            // MOV accumulator <-> direct memory offset (0xA0 - 0xA3)
+            case 0xA0: case 0xA1: case 0xA2: case 0xA3: {
+                const width = (opcode & 1) ? 16 : 8;
+                const operand = { mod: 0, rm: 6, offset: this.fetchWord(), segment: this.segmentOverride ?? 'DS' };
+                const acc = width === 16 ? 'AX' : 'AL';
+                if (opcode & 2) {
+                    this.writeRM(operand, width, this._getReg(acc, width));
                 } else {
-                    // Memory-to-Register move
-                    const { offset, segment } = this.resolveEffectiveAddress(mod, rm);
-                    const segVal = this.registers.get16(segment);
-                    const value = (this.memory.readByte(segVal, offset + 1) << 8) | this.memory.readByte(segVal, offset);
-                    this.registers.set16(destReg, value);
+                    this._setReg(acc, width, this.readRM(operand, width));
                 }
                 break;
             }
 
+            // MOV reg8, imm8 (0xB0 - 0xB7)
+            case 0xB0: case 0xB1: case 0xB2: case 0xB3:
+            case 0xB4: case 0xB5: case 0xB6: case 0xB7:
+                this.registers.set8(REG8[opcode - 0xB0], this.fetchByte());
+                break;
+
+            // TEST r/m, reg (0x84/0x85)
+            case 0x84: case 0x85: {
+                const operand = this.decodeModRM();
+                const width = opcode === 0x85 ? 16 : 8;
+                const regName = (width === 16 ? REG16 : REG8)[operand.reg];
+                this.alu[`test${width}`](this.readRM(operand, width), this._getReg(regName, width));
+                break;
+            }
+
+            // TEST AL, imm8 (0xA8) / TEST AX, imm16 (0xA9)
+            case 0xA8:
+                this.alu.test8(this.registers.get8('AL'), this.fetchByte());
+                break;
+            case 0xA9:
+                this.alu.test16(this.registers.get16('AX'), this.fetchWord());
+                break;
+
             // PUSH reg16 (Opcodes 0x50 - 0x57)
             case 0x50: case 0x51: case 0x52: case 0x53:
             case 0x54: case 0x55: case 0x56: case 0x57: {
@@ -402,6 +655,17 @@ export class CPU {
                 break;
             }
 
+            // POP r/m16 (0x8F /0); the address is worked out before SP moves
+            case 0x8F: {
+                const operand = this.decodeModRM();
+                if (operand.reg !== 0) {
+                    console.error(`Undefined extension ${operand.reg} for 0x8F`);
+                    break;
+                }
+                this.writeRM(operand, 16, this.pop16());
+                break;
+            }
+
             case 0x8D: { // LEA reg16, mem16
                 const modRM = this.fetchByte();
                 const mod = (modRM >> 6) & 0x03;
@@ -419,6 +683,34 @@ export class CPU {
                 break;
             }
 
+            // Jcc rel8 (0x70 - 0x7F): the low nibble selects the condition
+            case 0x70: case 0x71: case 0x72: case 0x73:
+            case 0x74: case 0x75: case 0x76: case 0x77:
+            case 0x78: case 0x79: case 0x7A: case 0x7B:
+            case 0x7C: case 0x7D: case 0x7E: case 0x7F: {
+                const offset = this.fetchByte(); // 8-bit signed offset
+                if (this._condition(opcode & 0x0F)) {
+                    this._jumpRelative(offset, 8);
+                }
+                break;
+            }
+
+            case 0xEB: // JMP rel8 (Short Jump)
+                this._jumpRelative(this.fetchByte(), 8);
+                break;
+
+            case 0xE9: // JMP rel16 (Near Jump)
+                this._jumpRelative(this.fetchWord(), 16);
+                break;
+
+            case 0xEA: { // JMP ptr16:16 (Far Jump, offset first then segment)
+                const ip = this.fetchWord();
+                const cs = this.fetchWord();
+                this.registers.set16('IP', ip);
+                this.registers.set16('CS', cs);
+                break;
+            }
+
             case 0xE8: { // CALL rel16 (Near Call)
                 const offset = this.fetchWord(); // Displacement
                 const currentIP = this.registers.get16('IP');
@@ -432,6 +724,13 @@ export class CPU {
                 break;
             }
 
+            case 0x9A: { // CALL ptr16:16 (Far Call)
+                const ip = this.fetchWord();
+                const cs = this.fetchWord();
+                this._callFar(cs, ip);
+                break;
+            }
+
             case 0xC3: { // RET (Near Return)
                 // 1. Pop the return address from the stack into IP
                 const returnAddress = this.pop16();
@@ -439,24 +738,196 @@ export class CPU {
                 break;
             }
 
-            case 0x72: { // JC (Jump if Carry)
+            case 0xC2: { // RET imm16 (Near Return, then release imm16 bytes of arguments)
+                const release = this.fetchWord();
+                this.registers.set16('IP', this.pop16());
+                this.registers.set16('SP', this.registers.get16('SP') + release);
+                break;
+            }
+
+            case 0xCB: // RETF (Far Return)
+                this.registers.set16('IP', this.pop16());
+                this.registers.set16('CS', this.pop16());
+                break;
+
+            case 0xCA: { // RETF imm16
+                const release = this.fetchWord();
+                this.registers.set16('IP', this.pop16());
+                this.registers.set16('CS', this.pop16());
+                this.registers.set16('SP', this.registers.get16('SP') + release);
+                break;
+            }
+
+            // LOOPNE/LOOPNZ (0xE0), LOOPE/LOOPZ (0xE1), LOOP (0xE2): decrement CX (no flags), jump if CX != 0
+            case 0xE0: case 0xE1: case 0xE2: {
                 const offset = this.fetchByte();
-                if (this.registers.getFlag(FLAGS.CF) === 1) {
-                    const signedOffset = (offset << 24) >> 24;
-                    this.registers.set16('IP', (this.registers.get16('IP') + signedOffset) & 0xFFFF);
+                const cx = (this.registers.get16('CX') - 1) & 0xFFFF;
+                this.registers.set16('CX', cx);
+
+                const zf = this.registers.getFlag(FLAGS.ZF);
+                const zfOk = opcode === 0xE2 || (opcode === 0xE1 ? zf === 1 : zf === 0);
+                if (cx !== 0 && zfOk) {
+                    this._jumpRelative(offset, 8);
                 }
                 break;
             }
 
-            case 0x73: { // JNC (Jump if Not Carry)
+            case 0xE3: { // JCXZ (Jump if CX is Zero)
                 const offset = this.fetchByte();
-                if (this.registers.getFlag(FLAGS.CF) === 0) {
-                    const signedOffset = (offset << 24) >> 24;
-                    this.registers.set16('IP', (this.registers.get16('IP') + signedOffset) & 0xFFFF);
+                if (this.registers.get16('CX') === 0) {
+                    this._jumpRelative(offset, 8);
+                }
+                break;
+            }
+
+            // Group 5: INC, DEC, CALL, CALL FAR, JMP, JMP FAR, PUSH (r/m16)
+            case 0xFF: {
+                const operand = this.decodeModRM();
+
+                // Far forms read a 32-bit pointer (offset, segment) from memory
+                const readFarPointer = () => {
+                    const segVal = this.registers.get16(operand.segment);
+                    return {
+                        ip: this.memory.readWord(segVal, operand.offset),
+                        cs: this.memory.readWord(segVal, (operand.offset + 2) & 0xFFFF)
+                    };
+                };
+
+                // There is no pointer to read from a register: the far forms do nothing with mod 3
+                if (operand.mod === 3 && (operand.reg === 3 || operand.reg === 5)) {
+                    console.error(`Undefined register form of extension ${operand.reg} for 0xFF`);
+                    break;
+                }
+
+                switch (operand.reg) {
+                    case 0: // INC r/m16
+                        this.writeRM(operand, 16, this.alu.inc16(this.readRM(operand, 16)));
+                        break;
+                    case 1: // DEC r/m16
+                        this.writeRM(operand, 16, this.alu.dec16(this.readRM(operand, 16)));
+                        break;
+                    case 2: { // CALL r/m16 (Near Indirect)
+                        const target = this.readRM(operand, 16);
+                        this.push16(this.registers.get16('IP'));
+                        this.registers.set16('IP', target);
+                        break;
+                    }
+                    case 3: { // CALL m16:16 (Far Indirect)
+                        const { cs, ip } = readFarPointer();
+                        this._callFar(cs, ip);
+                        break;
+                    }
+                    case 4: // JMP r/m16 (Near Indirect)
+                        this.registers.set16('IP', this.readRM(operand, 16));
+                        break;
+                    case 5: { // JMP m16:16 (Far Indirect)
+                        const { cs, ip } = readFarPointer();
+                        this.registers.set16('IP', ip);
+                        this.registers.set16('CS', cs);
+                        break;
+                    }
+                    case 6: // PUSH r/m16
+                        this.push16(this.readRM(operand, 16));
+                        break;
+                    default:
+                        console.error(`Undefined extension ${operand.reg} for 0xFF`);
+                        break;
                 }
                 break;
             }
 
+            // Segment override prefixes: ES: (0x26), CS: (0x2E), SS: (0x36), DS: (0x3E)
+            case 0x26: case 0x2E: case 0x36: case 0x3E:
+                this.segmentOverride = SREG[(opcode >> 3) & 0x03];
+                this.execute(this.fetchByte());
+                break;
+
+            // MOV r/m16, Sreg (0x8C) / MOV Sreg, r/m16 (0x8E)
+            case 0x8C: case 0x8E: {
+                const operand = this.decodeModRM();
+                const sreg = SREG[operand.reg & 0x03]; // The 8086 only decodes two bits of the reg field
+                if (opcode === 0x8C) {
+                    this.writeRM(operand, 16, this.registers.get16(sreg));
+                } else {
+                    this.registers.set16(sreg, this.readRM(operand, 16));
+                    this.interruptShadow = true;
+                }
+                break;
+            }
+
+            // PUSH Sreg: ES (0x06), CS (0x0E), SS (0x16), DS (0x1E)
+            case 0x06: case 0x0E: case 0x16: case 0x1E:
+                this.push16(this.registers.get16(SREG[(opcode >> 3) & 0x03]));
+                break;
+
+            // POP Sreg: ES (0x07), SS (0x17), DS (0x1F)
+            case 0x07: case 0x17: case 0x1F:
+                this.registers.set16(SREG[(opcode >> 3) & 0x03], this.pop16());
+                this.interruptShadow = true;
+                break;
+
+            // REPNE/REPNZ (0xF2) and REP/REPE/REPZ (0xF3) prefixes apply to the following instruction
+            case 0xF2: case 0xF3:
+                this.repPrefix = opcode;
+                this.execute(this.fetchByte());
+                break;
+
+            // MOVSB/MOVSW, CMPSB/CMPSW, STOSB/STOSW, LODSB/LODSW, SCASB/SCASW
+            case 0xA4: case 0xA5: case 0xA6: case 0xA7:
+            case 0xAA: case 0xAB: case 0xAC: case 0xAD: case 0xAE: case 0xAF:
+                this._stringOp(opcode);
+                break;
+
+            case 0xFC: // CLD (Clear Direction Flag: strings go forwards)
+                this.registers.setFlag(FLAGS.DF, 0);
+                break;
+
+            case 0xFD: // STD (Set Direction Flag: strings go backwards)
+                this.registers.setFlag(FLAGS.DF, 1);
+                break;
+
+            // IN accumulator, port: imm8 port (0xE4/0xE5) or DX port (0xEC/0xED)
+            case 0xE4: case 0xE5: case 0xEC: case 0xED: {
+                const port = opcode >= 0xEC ? this.registers.get16('DX') : this.fetchByte();
+                if (opcode & 1) {
+                    this.registers.set16('AX', this.io.readWord(port));
+                } else {
+                    this.registers.set8('AL', this.io.readByte(port));
+                }
+                break;
+            }
+
+            // OUT port, accumulator: imm8 port (0xE6/0xE7) or DX port (0xEE/0xEF)
+            case 0xE6: case 0xE7: case 0xEE: case 0xEF: {
+                const port = opcode >= 0xEE ? this.registers.get16('DX') : this.fetchByte();
+                if (opcode & 1) {
+                    this.io.writeWord(port, this.registers.get16('AX'));
+                } else {
+                    this.io.writeByte(port, this.registers.get8('AL'));
+                }
+                break;
+            }
+
+            case 0xCC: // INT 3 (Breakpoint, one-byte form)
+                this.interrupt(3);
+                break;
+
+            case 0xCD: // INT imm8
+                this.interrupt(this.fetchByte());
+                break;
+
+            case 0xCE: // INTO (Interrupt 4 on Overflow)
+                if (this.registers.getFlag(FLAGS.OF) === 1) {
+                    this.interrupt(4);
+                }
+                break;
+
+            case 0xCF: // IRET: pop IP, CS, FLAGS (reverse of the interrupt sequence)
+                this.registers.set16('IP', this.pop16());
+                this.registers.set16('CS', this.pop16());
+                this._setFlagsWord(this.pop16());
+                break;
+
             case 0xF8: // CLC (Clear Carry Flag)
                 this.registers.setFlag(FLAGS.CF, 0);
                 break;
@@ -465,10 +936,63 @@ export class CPU {
                 this.registers.setFlag(FLAGS.CF, 1);
                 break;
 
-            case 0xF5: // CMC (Complement Carry Flag)
+            case 0xF5: { // CMC (Complement Carry Flag)
                 const currentCF = this.registers.getFlag(FLAGS.CF);
                 this.registers.setFlag(FLAGS.CF, currentCF === 0 ? 1 : 0);
                 break;
+            }
+
+            case 0xFA: // CLI (Clear Interrupt Flag: mask INTR requests)
+                this.registers.setFlag(FLAGS.IF, 0);
+                break;
+
+            case 0xFB: // STI (Set Interrupt Flag: requests are accepted after the NEXT instruction)
+                this.registers.setFlag(FLAGS.IF, 1);
+                this.interruptShadow = true;
+                break;
+
+            case 0x9C: // PUSHF
+                this.push16(this._getFlagsWord());
+                break;
+
+            case 0x9D: // POPF
+                this._setFlagsWord(this.pop16());
+                break;
+
+            case 0x9F: // LAHF: AH <- SF ZF - AF - PF - CF (low byte of FLAGS)
+                this.registers.set8('AH', this._getFlagsWord() & 0xFF);
+                break;
+
+            case 0x9E: { // SAHF: SF ZF AF PF CF <- AH (TF/IF/DF/OF are untouched)
+                const low = this.registers.get8('AH') & FLAGS_WRITABLE & 0xFF;
+                this.registers.set16('FLAGS', (this.registers.get16('FLAGS') & 0xFF00) | low);
+                break;
+            }
+
+            // Decimal adjust: DAA (0x27), DAS (0x2F), AAA (0x37), AAS (0x3F)
+            case 0x27: this.alu.daa(); break;
+            case 0x2F: this.alu.das(); break;
+            case 0x37: this.alu.aaa(); break;
+            case 0x3F: this.alu.aas(); break;
+
+            // AAM imm8 (0xD4) / AAD imm8 (0xD5): the assembler emits base 10 (0x0A)
+            case 0xD4: this.alu.aam(this.fetchByte()); break;
+            case 0xD5: this.alu.aad(this.fetchByte()); break;
+
+            case 0x98: // CBW: sign-extend AL into AX
+                this.registers.set16('AX', (this.registers.get8('AL') << 24) >> 24);
+                break;
+
+            case 0x99: // CWD: sign-extend AX into DX:AX
+                this.registers.set16('DX', (this.registers.get16('AX') & 0x8000) ? 0xFFFF : 0x0000);
+                break;
+
+            case 0xD7: { // XLAT: AL <- [DS:BX + AL] (segment overridable)
+                const offset = (this.registers.get16('BX') + this.registers.get8('AL')) & 0xFFFF;
+                const operand = { mod: 0, offset, segment: this.segmentOverride ?? 'DS' };
+                this.registers.set8('AL', this.readRM(operand, 8));
+                break;
+            }
 
             // Fast XCHG: AX with reg16 (0x91 to 0x97)
             // Note: 0x90 is XCHG AX, AX, which is technically NOP.
@@ -485,38 +1009,15 @@ export class CPU {
                 break;
             }
 
-            // General XCHG: reg16 with mem/reg16
-            case 0x87: {
-                const modRM = this.fetchByte();
-                const mod = (modRM >> 6) & 0x03;
-                const reg = (modRM >> 3) & 0x07;
-                const rm = modRM & 0x07;
-                const regNames = ['AX', 'CX', 'DX', 'BX', 'SP', 'BP', 'SI', 'DI'];
-                
-                const valReg = this.registers.get16(regNames[reg]);
+            // General XCHG: reg with mem/reg (0x86 = 8-bit, 0x87 = 16-bit)
+            case 0x86: case 0x87: {
+                const operand = this.decodeModRM();
+                const width = opcode === 0x87 ? 16 : 8;
+                const regName = (width === 16 ? REG16 : REG8)[operand.reg];
 
-                if (mod === 3) {
-                    // Register-to-Register swap
-                    const valRM = this.registers.get16(regNames[rm]);
-                    this.registers.set16(regNames[reg], valRM);
-                    this.registers.set16(regNames[rm], valReg);
-                } else {
-                    // Register-to-Memory swap
-                    const { offset, segment } = this.resolveEffectiveAddress(mod, rm);
-                    const ss = this.registers.get16(segment);
-                    
-                    // Read from memory
-                    const low = this.memory.readByte(ss, offset);
-                    const high = this.memory.readByte(ss, offset + 1);
-                    const valMem = (high << 8) | low;
-                    
-                    // Write register value to memory
-                    this.memory.writeByte(ss, offset, valReg & 0xFF);
-                    this.memory.writeByte(ss, offset + 1, (valReg >> 8) & 0xFF);
-                    
-                    // Write memory value to register
-                    this.registers.set16(regNames[reg], valMem);
-                }
+                const valReg = this._getReg(regName, width);
+                this._setReg(regName, width, this.readRM(operand, width));
+                this.writeRM(operand, width, valReg);
                 break;
             }
 
@@ -0,0 +1,89 @@
+/**
+ * Role 1: Engine Architect - Source-Level Debugging
+ * Maps CS:IP back to the assembly source through the assembler's source map,
+ * so the UI can highlight the current line and step one source line at a time.
+ *
+ * The source map holds offsets relative to the segment the program is loaded in
+ * (the .COM-style layout: CS = load segment, IP = offset). Addresses are compared
+ * as physical addresses, so any CS:IP pair that points into the program resolves.
+ */
+
+export class SourceDebugger {
+    /**
+     * @param {CPU} cpu
+     * @param {object} sourceMap - `sourceMap` from runAssembler ({ ranges, labels })
+     * @param {object} [options]
+     * @param {number} [options.segment] - Segment the program was loaded in (default: the current CS)
+     */
+    constructor(cpu, sourceMap, { segment = cpu.registers.get16('CS') } = {}) {
+        this.cpu = cpu;
+        this.sourceMap = sourceMap;
+        this.segment = segment & 0xFFFF;
+    }
+
+    /**
+     * Source location of the instruction at CS:IP (default: the CPU's current CS:IP)
+     * @returns {{ line: number, column: number, start: number, end: number, file?: string } | null}
+     *   null when the address is not inside the assembled program (e.g. a BIOS handler);
+     *   file is set when the line is in an INCLUDE file.
+     */
+    locate(cs = this.cpu.registers.get16('CS'), ip = this.cpu.registers.get16('IP')) {
+        const physical = this.cpu.memory.getPhysicalAddress(cs, ip);
+        const offset = physical - this.segment * 16;
+        if (offset < 0 || offset > 0xFFFF) return null;
+
+        // Ranges are sorted and do not overlap: binary search for the one containing offset
+        const { ranges } = this.sourceMap;
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const range = ranges[mid];
+            if (offset < range.start) {
+                high = mid - 1;
+            } else if (offset >= range.end) {
+                low = mid + 1;
+            } else {
+                return { ...range };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Line number at the current CS:IP, or null outside the program
+     */
+    currentLine() {
+        return this.locate()?.line ?? null;
+    }
+
+    /**
+     * Offset of the first instruction generated by a source line (for breakpoints), or null
+     * @param {number} line
+     * @param {string} [file] - INCLUDE file the line is in (default: the main source)
+     */
+    addressOfLine(line, file = undefined) {
+        const range = this.sourceMap.ranges.find(r => r.line === line && r.file === file);
+        return range ? range.start : null;
+    }
+
+    /**
+     * Steps one source line: executes instructions until CS:IP is on a different source
+     * line of the program. Code outside the program (interrupt handlers) runs through.
+     * Stops early when the CPU halts or after maxSteps instructions (JMP $ never leaves its line).
+     * @returns {number} The number of instructions executed
+     */
+    stepLine({ maxSteps = 100000 } = {}) {
+        const start = this.locate();
+        let steps = 0;
+
+        do {
+            this.cpu.step();
+            steps++;
+            const here = this.locate();
+            if (here !== null && (here.line !== start?.line || here.file !== start?.file)) break;
+        } while (!this.cpu.halted && steps < maxSteps);
+
+        return steps;
+    }
+}
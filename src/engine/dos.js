@@ -0,0 +1,163 @@
+/**
+ * Role 1: Engine Architect - DOS Services Layer
+ * Emulates the subset of MS-DOS INT 21h that textbook console programs use,
+ * so they run unmodified without a real DOS in memory.
+ *
+ * Supported functions (AH):
+ * - 01h: Read character from input with echo -> AL
+ * - 02h: Write character in DL
+ * - 09h: Write '$'-terminated string at DS:DX
+ * - 0Ah: Buffered line input into DS:DX (byte 0 = max, byte 1 = count, then chars + CR)
+ * - 4Ch: Terminate program with return code AL
+ *
+ * Input and output go through a terminal object:
+ *   { write(text), read() }  where read() returns the next character code,
+ *   or null when no input is available yet.
+ * When input is not available the INT 21h instruction is retried on the next step(),
+ * just like a program blocked inside DOS waiting for a key.
+ */
+
+const CR = 0x0D;
+const LF = 0x0A;
+const BACKSPACE = 0x08;
+
+/**
+ * In-memory console: queue input with type(), inspect everything written in `output`.
+ * Used by the Node tests and by the UI when it renders the console itself.
+ */
+export class BufferConsole {
+    constructor(input = '') {
+        this.input = [];
+        this.output = '';
+        this.type(input);
+    }
+
+    type(text) {
+        for (const ch of text) this.input.push(ch.charCodeAt(0) & 0xFF);
+    }
+
+    read() {
+        return this.input.length > 0 ? this.input.shift() : null;
+    }
+
+    write(text) {
+        this.output += text;
+    }
+}
+
+export class DOSServices {
+    /**
+     * @param {object} terminal - { write(text), read() }, defaults to a BufferConsole
+     */
+    constructor(terminal = new BufferConsole()) {
+        this.terminal = terminal;
+        this.exitCode = null;
+        this.waitingForInput = false;
+
+        // Characters collected so far by a blocked AH=0Ah call
+        this.lineBuffer = [];
+    }
+
+    /**
+     * Hooks INT 21h on the given CPU
+     * @returns {Function} Call it to detach the services again.
+     */
+    attach(cpu) {
+        return cpu.hookInterrupt(0x21, (c) => this.handle(c));
+    }
+
+    handle(cpu) {
+        const regs = cpu.registers;
+        const ah = regs.get8('AH');
+        this.waitingForInput = false;
+
+        switch (ah) {
+            case 0x01: { // Read character with echo
+                const ch = this.terminal.read();
+                if (ch === null) return this._block(cpu);
+                this.terminal.write(String.fromCharCode(ch));
+                regs.set8('AL', ch);
+                break;
+            }
+
+            case 0x02: { // Write character
+                const dl = regs.get8('DL');
+                this.terminal.write(String.fromCharCode(dl));
+                regs.set8('AL', dl);
+                break;
+            }
+
+            case 0x09: { // Write '$'-terminated string
+                const ds = regs.get16('DS');
+                let offset = regs.get16('DX');
+                let text = '';
+                // Stop after a full segment in case the terminator is missing
+                for (let i = 0; i < 0x10000; i++) {
+                    const ch = cpu.memory.readByte(ds, offset);
+                    if (ch === 0x24) break; // '$'
+                    text += String.fromCharCode(ch);
+                    offset = (offset + 1) & 0xFFFF;
+                }
+                this.terminal.write(text);
+                regs.set8('AL', 0x24);
+                break;
+            }
+
+            case 0x0A: // Buffered input
+                return this._bufferedInput(cpu);
+
+            case 0x4C: // Terminate with return code
+                this.exitCode = regs.get8('AL');
+                cpu.halted = true;
+                break;
+
+            default:
+                console.warn(`INT 21h function ${ah.toString(16).padStart(2, '0')}h not implemented`);
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * AH=0Ah: read characters until CR, echoing them and honoring backspace.
+     * Input beyond the buffer's capacity (max - 1 characters) is ignored.
+     */
+    _bufferedInput(cpu) {
+        const ds = cpu.registers.get16('DS');
+        const dx = cpu.registers.get16('DX');
+        const max = cpu.memory.readByte(ds, dx);
+
+        let ch;
+        while ((ch = this.terminal.read()) !== null) {
+            if (ch === CR) {
+                this.terminal.write('\r\n');
+                const line = this.lineBuffer;
+                this.lineBuffer = [];
+
+                cpu.memory.writeByte(ds, dx + 1, line.length);
+                line.forEach((c, i) => cpu.memory.writeByte(ds, dx + 2 + i, c));
+                cpu.memory.writeByte(ds, dx + 2 + line.length, CR);
+                return true;
+            }
+            if (ch === BACKSPACE) {
+                if (this.lineBuffer.length > 0) {
+                    this.lineBuffer.pop();
+                    this.terminal.write('\b \b');
+                }
+            } else if (ch !== LF && this.lineBuffer.length < max - 1) {
+                this.lineBuffer.push(ch);
+                this.terminal.write(String.fromCharCode(ch));
+            }
+        }
+        return this._block(cpu);
+    }
+
+    /**
+     * No input yet: rewind to the INT 21h instruction so the next step() retries it
+     */
+    _block(cpu) {
+        this.waitingForInput = true;
+        cpu.registers.set16('IP', cpu.instructionStart);
+        return true;
+    }
+}
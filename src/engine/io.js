@@ -0,0 +1,92 @@
+/**
+ * Role 1: Engine Architect
+ * 64K I/O Port Space with Pluggable Device Handlers
+ *
+ * The 8086 addresses peripherals through a separate 16-bit port space (IN/OUT),
+ * not through memory. Devices (timer, keyboard controller, LED panel, ...) claim a
+ * port range on the bus and receive the reads and writes that fall inside it.
+ */
+export class IOBus {
+    constructor() {
+        // Registered devices: { start, end, handler }
+        this.devices = [];
+    }
+
+    /**
+     * Maps a device onto the inclusive port range [start, end].
+     * The handler provides read(port) and/or write(port, value) for byte access,
+     * and may provide readWord(port) / writeWord(port, value) for 16-bit ports.
+     * @returns {Function} Call it to unregister the device again.
+     */
+    register(start, end, handler) {
+        start &= 0xFFFF;
+        end &= 0xFFFF;
+        if (end < start) {
+            throw new Error(`Invalid I/O port range 0x${start.toString(16)}-0x${end.toString(16)}`);
+        }
+        for (const device of this.devices) {
+            if (start <= device.end && end >= device.start) {
+                throw new Error(`I/O ports 0x${start.toString(16)}-0x${end.toString(16)} overlap an existing device`);
+            }
+        }
+
+        const device = { start, end, handler };
+        this.devices.push(device);
+        return () => {
+            this.devices = this.devices.filter(d => d !== device);
+        };
+    }
+
+    /**
+     * Finds the handler that owns a port, or null when nothing is mapped there
+     */
+    findDevice(port) {
+        port &= 0xFFFF;
+        return this.devices.find(d => port >= d.start && port <= d.end) ?? null;
+    }
+
+    /**
+     * Unmapped ports read as 0xFF, like a floating data bus
+     */
+    readByte(port) {
+        port &= 0xFFFF;
+        const device = this.findDevice(port);
+        if (!device || !device.handler.read) return 0xFF;
+        return device.handler.read(port) & 0xFF;
+    }
+
+    /**
+     * Writes to unmapped ports are silently dropped
+     */
+    writeByte(port, value) {
+        port &= 0xFFFF;
+        const device = this.findDevice(port);
+        if (device && device.handler.write) {
+            device.handler.write(port, value & 0xFF);
+        }
+    }
+
+    /**
+     * 16-bit port read: uses the device's readWord if it has one,
+     * otherwise two byte reads from port (low) and port + 1 (high)
+     */
+    readWord(port) {
+        port &= 0xFFFF;
+        const device = this.findDevice(port);
+        if (device && device.handler.readWord) {
+            return device.handler.readWord(port) & 0xFFFF;
+        }
+        return (this.readByte(port + 1) << 8) | this.readByte(port);
+    }
+
+    writeWord(port, value) {
+        port &= 0xFFFF;
+        const device = this.findDevice(port);
+        if (device && device.handler.writeWord) {
+            device.handler.writeWord(port, value & 0xFFFF);
+            return;
+        }
+        this.writeByte(port, value & 0xFF);
+        this.writeByte(port + 1, (value >> 8) & 0xFF);
+    }
+}
@@ -1,28 +1,166 @@
 /**
  * Role 1: Engine Architect
- * 1MB Memory Space with 20-bit Wraparound Logic
+ * 1MB Memory Bus with 20-bit Wraparound Logic
+ *
+ * Plain RAM by default, the BIOS area included (see protectBiosRom). Physical address
+ * ranges can additionally be:
+ * - mapped to a handler (memory-mapped devices), which takes over reads and/or writes
+ * - marked read-only (ROM), so writes are ignored
+ * - watched, to observe accesses without changing them (breakpoints, visualizer highlights)
+ * All accesses - byte or word, from the CPU or from devices - go through the same path.
  */
+
+// The top 64KB (F000:0000 - F000:FFFF) holds the BIOS ROM on a PC
+export const BIOS_ROM_START = 0xF0000;
+export const BIOS_ROM_END = 0xFFFFF;
+
 export class Memory {
     constructor() {
         // 1MB = 2^20 bytes
         this.data = new Uint8Array(1024 * 1024);
+
+        // Mapped regions, most recently mapped first: { start, end, handler }
+        this.regions = [];
+        // Access watchers: { start, end, callback }
+        this.watchers = [];
     }
 
     /**
      * Physical Address = (Segment * 16) + Offset
-     * 20-bit Wraparound: Masking with 0xFFFFF ensures the address 
+     * 20-bit Wraparound: Masking with 0xFFFFF ensures the address
      * stays within 1MB boundaries, mimicking real 8086 hardware.
      */
     getPhysicalAddress(segment, offset) {
         const address = ((segment & 0xFFFF) << 4) + (offset & 0xFFFF);
-        return address & 0xFFFFF; 
+        return address & 0xFFFFF;
+    }
+
+    // ==========================================
+    // REGION MAPPING
+    // ==========================================
+
+    /**
+     * Maps the inclusive physical range [start, end] to a handler with optional
+     * read(address) and write(address, value) methods. An access the handler does
+     * not implement falls through to RAM. Later mappings take precedence.
+     * @returns {Function} Call it to remove the mapping again.
+     */
+    mapRegion(start, end, handler) {
+        start &= 0xFFFFF;
+        end &= 0xFFFFF;
+        if (end < start) {
+            throw new Error(`Invalid memory range 0x${start.toString(16)}-0x${end.toString(16)}`);
+        }
+        const region = { start, end, handler };
+        this.regions.unshift(region);
+        return () => {
+            this.regions = this.regions.filter(r => r !== region);
+        };
+    }
+
+    /**
+     * Makes the range behave like ROM: reads come from RAM contents, writes are dropped.
+     * Use load() to put the ROM image in place.
+     * @returns {Function} Call it to make the range writable again.
+     */
+    setReadOnly(start, end) {
+        return this.mapRegion(start, end, { write: () => {}, readOnly: true });
+    }
+
+    /**
+     * Makes the BIOS area (F0000h - FFFFFh) read-only, as the ROM is on a PC. Not done by
+     * default, so programs that use the top of memory as RAM keep working.
+     * @returns {Function} Call it to make the area writable again.
+     */
+    protectBiosRom() {
+        return this.setReadOnly(BIOS_ROM_START, BIOS_ROM_END);
+    }
+
+    isReadOnly(address) {
+        return this._findRegion(address & 0xFFFFF, 'write')?.handler.readOnly === true;
+    }
+
+    /**
+     * Calls callback(type, address, value) on every 'read' or 'write' inside [start, end]
+     * @returns {Function} Call it to stop watching.
+     */
+    watch(start, end, callback) {
+        const watcher = { start: start & 0xFFFFF, end: end & 0xFFFFF, callback };
+        this.watchers.push(watcher);
+        return () => {
+            this.watchers = this.watchers.filter(w => w !== watcher);
+        };
+    }
+
+    /**
+     * Copies bytes straight into RAM at a physical address, bypassing handlers and
+     * read-only protection (loading programs and ROM images)
+     */
+    load(address, bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.data[(address + i) & 0xFFFFF] = bytes[i] & 0xFF;
+        }
     }
 
+    // ==========================================
+    // PHYSICAL ACCESS
+    // ==========================================
+
+    // Plain RAM, with no regions or watchers, skips the lookups: it is every access
+    readPhysical(address) {
+        address &= 0xFFFFF;
+        const region = this.regions.length === 0 ? null : this._findRegion(address, 'read');
+        const value = region ? region.handler.read(address) & 0xFF : this.data[address];
+        if (this.watchers.length > 0) this._notify('read', address, value);
+        return value;
+    }
+
+    writePhysical(address, value) {
+        address &= 0xFFFFF;
+        value &= 0xFF;
+        const region = this.regions.length === 0 ? null : this._findRegion(address, 'write');
+        if (region) {
+            region.handler.write(address, value);
+        } else {
+            this.data[address] = value;
+        }
+        if (this.watchers.length > 0) this._notify('write', address, value);
+    }
+
+    _findRegion(address, access) {
+        return this.regions.find(r => address >= r.start && address <= r.end && r.handler[access]) ?? null;
+    }
+
+    _notify(type, address, value) {
+        for (const w of this.watchers) {
+            if (address >= w.start && address <= w.end) w.callback(type, address, value);
+        }
+    }
+
+    // ==========================================
+    // SEGMENTED ACCESS
+    // ==========================================
+
     readByte(seg, off) {
-        return this.data[this.getPhysicalAddress(seg, off)];
+        return this.readPhysical(this.getPhysicalAddress(seg, off));
     }
 
     writeByte(seg, off, value) {
-        this.data[this.getPhysicalAddress(seg, off)] = value & 0xFF;
+        this.writePhysical(this.getPhysicalAddress(seg, off), value);
+    }
+
+    /**
+     * Little-endian word access. The offset of the high byte wraps inside the
+     * segment (offset FFFFh + 1 = 0000h), as on the 8086.
+     */
+    readWord(seg, off) {
+        const low = this.readByte(seg, off);
+        const high = this.readByte(seg, (off + 1) & 0xFFFF);
+        return (high << 8) | low;
+    }
+
+    writeWord(seg, off, value) {
+        this.writeByte(seg, off, value & 0xFF);
+        this.writeByte(seg, (off + 1) & 0xFFFF, (value >> 8) & 0xFF);
     }
-}
\ No newline at end of file
+}
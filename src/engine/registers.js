@@ -16,6 +16,11 @@ export const FLAGS = {
     OF: 11  // Overflow Flag
 };
 
+// The 8086 has no storage behind FLAGS bits 1, 3, 5 and 12-15: when FLAGS is pushed,
+// bit 1 and bits 12-15 read as 1 and bits 3/5 as 0. Only the bits below can be loaded.
+export const FLAGS_FIXED_ONES = 0xF002;
+export const FLAGS_WRITABLE = 0x0FD5;
+
 export class Registers {
     constructor() {
         // 14 registers, 2 bytes each = 28 bytes
@@ -29,6 +34,9 @@ export class Registers {
             ES: 16, CS: 18, SS: 20, DS: 22,
             IP: 24, FLAGS: 26
         };
+
+        // Interrupt type raised by triggerInterrupt(), waiting for the CPU to dispatch it
+        this.pendingInterrupt = null;
     }
 
     // 16-bit Access
@@ -65,15 +73,12 @@ export class Registers {
         return (this.get16('FLAGS') >> flagBit) & 1;
     }
 
+    /**
+     * Raises an internal interrupt (e.g. type 0, divide error) from components that only
+     * see the register file, such as the ALU. The CPU dispatches it through the interrupt
+     * vector table once the current instruction has finished.
+     */
     triggerInterrupt(type) {
-        console.warn(`CPU TRAP: Interrupt Type ${type} triggered.`);
-        // Realistic 8086 behavior:
-        // 1. Push FLAGS to stack
-        // 2. Push CS to stack
-        // 3. Push IP to stack
-        // 4. Load New IP from [type * 4] and New CS from [type * 4 + 2]
-        
-        // For our current version, we'll halt and notify the user.
-        this.set16('IP', this.get16('IP') - 1); // Point back to the offending instruction
+        this.pendingInterrupt = type & 0xFF;
     }
 }
\ No newline at end of file
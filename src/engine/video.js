@@ -0,0 +1,278 @@
+/**
+ * Role 1: Engine Architect - CGA Text-Mode Video
+ * 80x25 text mode (mode 03h) backed by video memory at B800:0000, plus the
+ * BIOS INT 10h functions console programs rely on.
+ *
+ * Each screen cell is two bytes in video memory: the character code, then its
+ * attribute (low nibble = foreground color, high nibble = background color).
+ * Programs may write the buffer directly or go through INT 10h; either way the
+ * snapshot API (getText / getGrid) reads the buffer back for the UI and for tests.
+ *
+ * Supported INT 10h functions (AH):
+ * - 00h: Set video mode (text mode 03h; clears the screen)
+ * - 02h: Set cursor position (DH = row, DL = column)
+ * - 03h: Get cursor position -> DH, DL (and cursor shape in CX)
+ * - 06h / 07h: Scroll window up / down (AL = lines, 0 = clear; BH = fill attribute;
+ *              CH,CL = top-left row,column; DH,DL = bottom-right row,column)
+ * - 08h: Read character (AL) and attribute (AH) at the cursor
+ * - 09h: Write character AL with attribute BL, CX times, at the cursor (cursor does not move)
+ * - 0Eh: Teletype output of AL (handles BEL, BS, LF, CR; scrolls at the bottom)
+ * - 0Fh: Get video mode -> AL = mode, AH = columns, BH = page
+ */
+
+export const TEXT_COLUMNS = 80;
+export const TEXT_ROWS = 25;
+export const VIDEO_SEGMENT = 0xB800;
+
+// Light gray on black, the attribute DOS leaves on a cleared screen
+export const DEFAULT_ATTRIBUTE = 0x07;
+
+// The BIOS Data Area keeps the page 0 cursor at 0040:0050 (column, row)
+const BDA_SEGMENT = 0x0040;
+const BDA_CURSOR = 0x0050;
+
+export class TextModeVideo {
+    /**
+     * @param {Memory} memory - The memory holding the video buffer (cpu.memory)
+     */
+    constructor(memory) {
+        this.memory = memory;
+        this.mode = 0x03;
+        this.cursor = { row: 0, col: 0 };
+
+        // Like the BIOS at power-on: blank screen in the default attribute
+        this.clear();
+    }
+
+    /**
+     * Hooks INT 10h on the given CPU
+     * @returns {Function} Call it to detach the BIOS services again.
+     */
+    attach(cpu) {
+        return cpu.hookInterrupt(0x10, (c) => this.handle(c));
+    }
+
+    // ==========================================
+    // VIDEO BUFFER ACCESS
+    // ==========================================
+
+    readCell(row, col) {
+        const offset = (row * TEXT_COLUMNS + col) * 2;
+        return {
+            char: this.memory.readByte(VIDEO_SEGMENT, offset),
+            attr: this.memory.readByte(VIDEO_SEGMENT, offset + 1)
+        };
+    }
+
+    writeCell(row, col, char, attr) {
+        const offset = (row * TEXT_COLUMNS + col) * 2;
+        this.memory.writeByte(VIDEO_SEGMENT, offset, char);
+        this.memory.writeByte(VIDEO_SEGMENT, offset + 1, attr);
+    }
+
+    /**
+     * Fills the whole screen with blanks and homes the cursor
+     */
+    clear(attr = DEFAULT_ATTRIBUTE) {
+        this.scrollUp(0, 0, 0, TEXT_ROWS - 1, TEXT_COLUMNS - 1, attr);
+        this.setCursor(0, 0);
+    }
+
+    setCursor(row, col) {
+        this.cursor.row = Math.min(row, TEXT_ROWS - 1);
+        this.cursor.col = Math.min(col, TEXT_COLUMNS - 1);
+        this.memory.writeByte(BDA_SEGMENT, BDA_CURSOR, this.cursor.col);
+        this.memory.writeByte(BDA_SEGMENT, BDA_CURSOR + 1, this.cursor.row);
+    }
+
+    /**
+     * Scrolls the window [top..bottom] x [left..right] up by `lines`
+     * (0 or more than the window height clears it), filling with blanks in `attr`.
+     */
+    scrollUp(lines, top, left, bottom, right, attr) {
+        this._scroll(lines, top, left, bottom, right, attr, 1);
+    }
+
+    scrollDown(lines, top, left, bottom, right, attr) {
+        this._scroll(lines, top, left, bottom, right, attr, -1);
+    }
+
+    _scroll(lines, top, left, bottom, right, attr, direction) {
+        bottom = Math.min(bottom, TEXT_ROWS - 1);
+        right = Math.min(right, TEXT_COLUMNS - 1);
+        if (top > bottom || left > right) return;
+
+        const height = bottom - top + 1;
+        if (lines === 0 || lines > height) lines = height;
+
+        // Walk rows in the direction that never overwrites a source row before it is copied
+        for (let i = 0; i < height; i++) {
+            const row = direction > 0 ? top + i : bottom - i;
+            const source = row + lines * direction;
+            const inside = direction > 0 ? source <= bottom : source >= top;
+            for (let col = left; col <= right; col++) {
+                if (inside) {
+                    const cell = this.readCell(source, col);
+                    this.writeCell(row, col, cell.char, cell.attr);
+                } else {
+                    this.writeCell(row, col, 0x20, attr);
+                }
+            }
+        }
+    }
+
+    /**
+     * Teletype output: writes a character at the cursor and advances it,
+     * interpreting BEL, BS, LF and CR like the BIOS does.
+     */
+    teletype(char) {
+        let { row, col } = this.cursor;
+
+        switch (char) {
+            case 0x07: // BEL
+                return;
+            case 0x08: // BS: move left, no erase
+                if (col > 0) col--;
+                break;
+            case 0x0A: // LF
+                row++;
+                break;
+            case 0x0D: // CR
+                col = 0;
+                break;
+            default:
+                // Teletype keeps the attribute already on screen
+                this.writeCell(row, col, char, this.readCell(row, col).attr);
+                col++;
+                if (col >= TEXT_COLUMNS) {
+                    col = 0;
+                    row++;
+                }
+        }
+
+        if (row >= TEXT_ROWS) {
+            // The new bottom line takes the attribute of the cell at the cursor
+            this.scrollUp(1, 0, 0, TEXT_ROWS - 1, TEXT_COLUMNS - 1, this.readCell(TEXT_ROWS - 1, 0).attr);
+            row = TEXT_ROWS - 1;
+        }
+        this.setCursor(row, col);
+    }
+
+    /**
+     * Terminal interface ({ write(text) }), so DOS console output can be drawn on screen
+     */
+    write(text) {
+        for (const ch of text) this.teletype(ch.charCodeAt(0) & 0xFF);
+    }
+
+    // ==========================================
+    // SNAPSHOT API
+    // ==========================================
+
+    /**
+     * The screen as plain text: one line per row, NUL shown as a space.
+     * @param {object} [options]
+     * @param {boolean} [options.trimRight=true] - Drop trailing blanks on each line
+     */
+    getText({ trimRight = true } = {}) {
+        const lines = [];
+        for (let row = 0; row < TEXT_ROWS; row++) {
+            let line = '';
+            for (let col = 0; col < TEXT_COLUMNS; col++) {
+                const { char } = this.readCell(row, col);
+                line += String.fromCharCode(char === 0 ? 0x20 : char);
+            }
+            lines.push(trimRight ? line.trimEnd() : line);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * The screen as a TEXT_ROWS x TEXT_COLUMNS grid of { char, attr } cells
+     */
+    getGrid() {
+        const grid = [];
+        for (let row = 0; row < TEXT_ROWS; row++) {
+            const cells = [];
+            for (let col = 0; col < TEXT_COLUMNS; col++) {
+                cells.push(this.readCell(row, col));
+            }
+            grid.push(cells);
+        }
+        return grid;
+    }
+
+    // ==========================================
+    // BIOS INT 10h
+    // ==========================================
+
+    handle(cpu) {
+        const regs = cpu.registers;
+        const ah = regs.get8('AH');
+
+        switch (ah) {
+            case 0x00: // Set video mode
+                this.mode = regs.get8('AL') & 0x7F;
+                if (this.mode !== 0x03) {
+                    console.warn(`INT 10h: video mode ${this.mode.toString(16)}h not supported, staying in text mode`);
+                }
+                this.clear();
+                break;
+
+            case 0x02: // Set cursor position
+                this.setCursor(regs.get8('DH'), regs.get8('DL'));
+                break;
+
+            case 0x03: // Get cursor position and shape
+                regs.set8('DH', this.cursor.row);
+                regs.set8('DL', this.cursor.col);
+                regs.set16('CX', 0x0607);
+                break;
+
+            case 0x06: // Scroll window up
+            case 0x07: { // Scroll window down
+                const args = [
+                    regs.get8('AL'),
+                    regs.get8('CH'), regs.get8('CL'),
+                    regs.get8('DH'), regs.get8('DL'),
+                    regs.get8('BH')
+                ];
+                if (ah === 0x06) this.scrollUp(...args);
+                else this.scrollDown(...args);
+                break;
+            }
+
+            case 0x08: { // Read character and attribute at cursor
+                const cell = this.readCell(this.cursor.row, this.cursor.col);
+                regs.set8('AL', cell.char);
+                regs.set8('AH', cell.attr);
+                break;
+            }
+
+            case 0x09: { // Write character and attribute at cursor, CX times
+                const start = this.cursor.row * TEXT_COLUMNS + this.cursor.col;
+                const count = Math.min(regs.get16('CX'), TEXT_ROWS * TEXT_COLUMNS - start);
+                for (let i = 0; i < count; i++) {
+                    const pos = start + i;
+                    this.writeCell(Math.floor(pos / TEXT_COLUMNS), pos % TEXT_COLUMNS, regs.get8('AL'), regs.get8('BL'));
+                }
+                break;
+            }
+
+            case 0x0E: // Teletype output
+                this.teletype(regs.get8('AL'));
+                break;
+
+            case 0x0F: // Get video mode
+                regs.set8('AL', this.mode);
+                regs.set8('AH', TEXT_COLUMNS);
+                regs.set8('BH', 0);
+                break;
+
+            default:
+                console.warn(`INT 10h function ${ah.toString(16).padStart(2, '0')}h not implemented`);
+                break;
+        }
+        return true;
+    }
+}
@@ -1,20 +1,42 @@
+/* eslint-env node */
+import { readSync } from 'node:fs';
 import { CPU } from './engine/cpu.js';
+import { DOSServices } from './engine/dos.js';
 
 const myCpu = new CPU();
+// The BIOS area is ROM on a PC
+myCpu.memory.protectBiosRom();
 
-// Manually "Assemble" a small test: 
-// MOV AX, 0x0005 (B8 05 00)
-// ADD AX, 0x0002 (05 02 00)
-// HLT            (F4)
-const program = new Uint8Array([0xB8, 0x05, 0x00, 0x05, 0x02, 0x00, 0xF4]);
+// Route INT 21h console I/O to this process's stdin/stdout
+const dos = new DOSServices({
+    write: (text) => process.stdout.write(text),
+    read: () => {
+        const buf = Buffer.alloc(1);
+        try {
+            return readSync(0, buf, 0, 1) === 1 ? buf[0] : 0x1A; // Ctrl-Z at end of input, as DOS does
+        } catch {
+            return 0x1A;
+        }
+    }
+});
+dos.attach(myCpu);
+
+// Manually "Assemble" a small test:
+// MOV AH, 09h        (B4 09)
+// MOV DX, MSG        (BA 0C 00)
+// INT 21h            (CD 21)
+// MOV AX, 4C00h      (B8 00 4C)
+// INT 21h            (CD 21)
+// MSG DB 'Hello, 8086!', 0Dh, 0Ah, '$'
+const code = [0xB4, 0x09, 0xBA, 0x0C, 0x00, 0xCD, 0x21, 0xB8, 0x00, 0x4C, 0xCD, 0x21];
+const message = Array.from('Hello, 8086!\r\n$', (ch) => ch.charCodeAt(0));
+const program = new Uint8Array([...code, ...message]);
 
 // Load into memory at 0000:0000
-for(let i = 0; i < program.length; i++) {
-    myCpu.memory.data[i] = program[i];
-}
+myCpu.memory.load(0, program);
 
 console.log("Starting Execution...");
 while(!myCpu.halted) {
     myCpu.step();
-    console.log(`AX: ${myCpu.registers.get16('AX').toString(16).padStart(4, '0')}`);
-}
\ No newline at end of file
+}
+console.log(`Program exited with code ${dos.exitCode ?? 'none (HLT)'}`);
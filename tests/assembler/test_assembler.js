@@ -0,0 +1,933 @@
+import assert from 'node:assert';
+import runAssembler from '../../src/assembler/index.js';
+import link from '../../src/assembler/linker.js';
+import { CPU } from '../../src/engine/cpu.js';
+import { DOSServices, BufferConsole } from '../../src/engine/dos.js';
+
+const bytes = (source) => Array.from(runAssembler(source).machineCode);
+
+// Register and immediate forms are unchanged
+assert.deepStrictEqual(bytes('MOV AX, BX'), [0x89, 0xD8], 'MOV reg, reg');
+assert.deepStrictEqual(bytes('ADD CX, 0x1234'), [0x81, 0xC1, 0x34, 0x12], 'ADD reg, imm');
+
+// ModR/M addressing modes: mod 00 without displacement
+assert.deepStrictEqual(bytes('MOV AX, [BX+SI]'), [0x8B, 0x00], '[BX+SI]');
+assert.deepStrictEqual(bytes('MOV AX, [BX+DI]'), [0x8B, 0x01], '[BX+DI]');
+assert.deepStrictEqual(bytes('MOV AX, [BP+SI]'), [0x8B, 0x02], '[BP+SI]');
+assert.deepStrictEqual(bytes('MOV AX, [BP+DI]'), [0x8B, 0x03], '[BP+DI]');
+assert.deepStrictEqual(bytes('MOV AX, [SI]'), [0x8B, 0x04], '[SI]');
+assert.deepStrictEqual(bytes('MOV AX, [DI]'), [0x8B, 0x05], '[DI]');
+assert.deepStrictEqual(bytes('MOV AX, [BX]'), [0x8B, 0x07], '[BX]');
+
+// [BP] has no mod 00 form: it is encoded as [BP+0] with a disp8
+assert.deepStrictEqual(bytes('MOV AX, [BP]'), [0x8B, 0x46, 0x00], '[BP] takes disp8 0');
+
+// Direct address: mod 00, r/m 110, disp16
+assert.deepStrictEqual(bytes('MOV AX, [0x1234]'), [0x8B, 0x06, 0x34, 0x12], 'direct address');
+
+// Displacement size follows the value
+assert.deepStrictEqual(bytes('MOV AX, [BX+SI+4]'), [0x8B, 0x40, 0x04], 'disp8');
+assert.deepStrictEqual(bytes('MOV AX, [BP-2]'), [0x8B, 0x46, 0xFE], 'negative disp8');
+assert.deepStrictEqual(bytes('MOV AX, [DI+0x200]'), [0x8B, 0x85, 0x00, 0x02], 'disp16');
+assert.deepStrictEqual(bytes('MOV AX, 4[BX][SI]'), [0x8B, 0x40, 0x04], 'MASM disp[base][index] form');
+assert.deepStrictEqual(bytes('MOV AX, [SI+BX]'), [0x8B, 0x00], 'index before base');
+
+// Register as source, and the other directions
+assert.deepStrictEqual(bytes('MOV [BX+2], CX'), [0x89, 0x4F, 0x02], 'MOV mem, reg');
+assert.deepStrictEqual(bytes('ADD DX, [SI]'), [0x03, 0x14], 'ADD reg, mem');
+assert.deepStrictEqual(bytes('CMP [DI], AX'), [0x39, 0x05], 'CMP mem, reg');
+assert.deepStrictEqual(bytes('LEA SI, [BX+DI+6]'), [0x8D, 0x71, 0x06], 'LEA');
+
+// Immediate to memory needs an explicit size
+assert.deepStrictEqual(bytes('MOV WORD PTR [BX], 0x1234'), [0xC7, 0x07, 0x34, 0x12], 'MOV WORD PTR');
+assert.deepStrictEqual(bytes('MOV BYTE PTR [BX], 5'), [0xC6, 0x07, 0x05], 'MOV BYTE PTR');
+assert.deepStrictEqual(bytes('ADD BYTE PTR [BP+SI+1], 3'), [0x80, 0x42, 0x01, 0x03], 'ADD BYTE PTR');
+assert.deepStrictEqual(bytes('INC WORD PTR [SI]'), [0xFF, 0x04], 'INC WORD PTR');
+assert.deepStrictEqual(bytes('DEC BYTE PTR [SI]'), [0xFE, 0x0C], 'DEC BYTE PTR');
+assert.throws(() => runAssembler('MOV [BX], 5'), /ambiguous/, 'missing size is rejected');
+assert.throws(() => runAssembler('MOV BYTE PTR [BX], AX'), /size mismatch/, 'BYTE PTR with a 16-bit register');
+
+// Indirect jumps and stack operations through memory
+assert.deepStrictEqual(bytes('JMP [BX]'), [0xFF, 0x27], 'JMP near indirect');
+assert.deepStrictEqual(bytes('CALL [0x0100]'), [0xFF, 0x16, 0x00, 0x01], 'CALL near indirect, direct address');
+assert.deepStrictEqual(bytes('PUSH [BP+4]'), [0xFF, 0x76, 0x04], 'PUSH mem');
+assert.deepStrictEqual(bytes('POP [DI]'), [0x8F, 0x05], 'POP mem');
+
+// Segment overrides, before or inside the brackets
+assert.deepStrictEqual(bytes('MOV AX, ES:[DI]'), [0x26, 0x8B, 0x05], 'ES: override');
+assert.deepStrictEqual(bytes('MOV [CS:BX], AX'), [0x2E, 0x89, 0x07], '[CS:...] override');
+
+// Invalid addressing modes
+assert.throws(() => runAssembler('MOV AX, [AX]'), /Invalid addressing mode/, '[AX]');
+assert.throws(() => runAssembler('MOV AX, [BX+BP]'), /Invalid addressing mode/, 'two bases');
+assert.throws(() => runAssembler('MOV AX, [SI+DI]'), /Invalid addressing mode/, 'two indexes');
+assert.throws(() => runAssembler('MOV AX, [BX-SI]'), /cannot be subtracted/, 'subtracted register');
+assert.throws(() => runAssembler('MOV AX, [BX'), /Malformed/, 'unbalanced bracket');
+
+// Label addresses in displacements always use disp16, as with MASM
+const labelled = runAssembler([
+    'JMP START',
+    'TABLE: NOP',
+    'START: MOV AX, [TABLE]',
+    'MOV BX, [SI+TABLE+1]'
+].join('\n'));
+assert.strictEqual(labelled.symbolTable.START, 3, 'label after a short jump');
+assert.deepStrictEqual(Array.from(labelled.machineCode.slice(3)), [
+    0x8B, 0x06, 0x02, 0x00,  // MOV AX, [0002]
+    0x8B, 0x9C, 0x03, 0x00   // MOV BX, [SI+0003]
+], 'label displacements');
+assert.throws(() => runAssembler('MOV AX, [NOWHERE]'), /Undefined symbol/, 'undefined label in operand');
+
+// 8-bit registers select the byte-width opcodes
+assert.deepStrictEqual(bytes('MOV AL, 5'), [0xB0, 0x05], 'MOV reg8, imm');
+assert.deepStrictEqual(bytes('MOV BH, 0x12'), [0xB7, 0x12], 'MOV BH, imm');
+assert.deepStrictEqual(bytes('MOV AH, CL'), [0x88, 0xCC], 'MOV reg8, reg8');
+assert.deepStrictEqual(bytes('ADD AH, BL'), [0x00, 0xDC], 'ADD reg8, reg8');
+assert.deepStrictEqual(bytes('CMP DL, 0x7F'), [0x80, 0xFA, 0x7F], 'CMP reg8, imm');
+assert.deepStrictEqual(bytes('AND AL, 0x0F'), [0x80, 0xE0, 0x0F], 'AND reg8, imm');
+assert.deepStrictEqual(bytes('AND AX, 0x0FF0'), [0x81, 0xE0, 0xF0, 0x0F], 'AND reg, imm');
+assert.deepStrictEqual(bytes('TEST BL, 1'), [0xF6, 0xC3, 0x01], 'TEST reg8, imm');
+assert.deepStrictEqual(bytes('MOV CL, [SI+1]'), [0x8A, 0x4C, 0x01], 'MOV reg8, mem');
+assert.deepStrictEqual(bytes('MOV [DI], DH'), [0x88, 0x35], 'MOV mem, reg8');
+assert.deepStrictEqual(bytes('XCHG AL, AH'), [0x86, 0xE0], 'XCHG reg8, reg8');
+assert.deepStrictEqual(bytes('INC CH'), [0xFE, 0xC5], 'INC reg8');
+assert.deepStrictEqual(bytes('DEC AL'), [0xFE, 0xC8], 'DEC reg8');
+assert.deepStrictEqual(bytes('MUL BL'), [0xF6, 0xE3], 'MUL reg8');
+assert.deepStrictEqual(bytes('NOT DH'), [0xF6, 0xD6], 'NOT reg8');
+assert.deepStrictEqual(bytes('MOV BYTE PTR [BX], AL'), [0x88, 0x07], 'BYTE PTR agrees with reg8');
+
+// Operand sizes must agree
+assert.throws(() => runAssembler('MOV AL, BX'), /size mismatch/, 'MOV AL, BX');
+assert.throws(() => runAssembler('ADD CX, DL'), /size mismatch/, 'ADD CX, DL');
+assert.throws(() => runAssembler('MOV AL, WORD PTR [SI]'), /size mismatch/, 'WORD PTR with reg8');
+assert.throws(() => runAssembler('PUSH AL'), /Unsupported instruction PUSH_REG8/, 'PUSH reg8');
+
+// Shifts and rotates: by 1 (also written without a count) or by CL
+assert.deepStrictEqual(bytes('SHL AL, CL'), [0xD2, 0xE0], 'SHL reg8, CL');
+assert.deepStrictEqual(bytes('SHL AX, 1'), [0xD1, 0xE0], 'SHL reg, 1');
+assert.deepStrictEqual(bytes('SHL AX'), [0xD1, 0xE0], 'SHL reg');
+assert.deepStrictEqual(bytes('SAL BL, 1'), [0xD0, 0xE3], 'SAL is SHL');
+assert.deepStrictEqual(bytes('ROL DX, CL'), [0xD3, 0xC2], 'ROL reg, CL');
+assert.deepStrictEqual(bytes('ROR AH, 1'), [0xD0, 0xCC], 'ROR reg8, 1');
+assert.deepStrictEqual(bytes('RCL SI, 1'), [0xD1, 0xD6], 'RCL');
+assert.deepStrictEqual(bytes('RCR WORD PTR [SI+2], 1'), [0xD1, 0x5C, 0x02], 'RCR mem, 1');
+assert.deepStrictEqual(bytes('SHR BYTE PTR [BX], CL'), [0xD2, 0x2F], 'SHR mem, CL');
+assert.deepStrictEqual(bytes('SAR CX, CL'), [0xD3, 0xF9], 'SAR');
+assert.throws(() => runAssembler('SHL AX, 4'), /Shift count must be 1 or CL: 4/, 'the 8086 shifts by 1 or CL');
+assert.throws(() => runAssembler('SHL AX, DL'), /Shift count must be 1 or CL: DL/, 'count in another register');
+assert.throws(() => runAssembler('SHL [BX], 1'), /ambiguous/, 'shift of memory needs a size');
+
+// ADC, SBB, NEG, IMUL and IDIV
+assert.deepStrictEqual(bytes('ADC AX, BX'), [0x11, 0xD8], 'ADC reg, reg');
+assert.deepStrictEqual(bytes('ADC WORD PTR [DI], 1'), [0x81, 0x15, 0x01, 0x00], 'ADC mem, imm');
+assert.deepStrictEqual(bytes('SBB AL, 5'), [0x80, 0xD8, 0x05], 'SBB reg8, imm');
+assert.deepStrictEqual(bytes('SBB DX, [SI]'), [0x1B, 0x14], 'SBB reg, mem');
+assert.deepStrictEqual(bytes('NEG DX'), [0xF7, 0xDA], 'NEG');
+assert.deepStrictEqual(bytes('IMUL BYTE PTR [BX]'), [0xF6, 0x2F], 'IMUL mem');
+assert.deepStrictEqual(bytes('IDIV CX'), [0xF7, 0xF9], 'IDIV');
+
+// IN and OUT: AL or AX, and the port as a number or in DX
+assert.deepStrictEqual(bytes('IN AL, DX'), [0xEC], 'IN AL, DX');
+assert.deepStrictEqual(bytes('IN AX, 60h'), [0xE5, 0x60], 'IN AX, imm8');
+assert.deepStrictEqual(bytes('OUT 43h, AL'), [0xE6, 0x43], 'OUT imm8, AL');
+assert.deepStrictEqual(bytes('OUT DX, AX'), [0xEF], 'OUT DX, AX');
+assert.throws(() => runAssembler('IN BL, DX'), /IN needs AL or AX: BL/, 'IN into another register');
+assert.throws(() => runAssembler('OUT CX, AL'), /OUT takes the port as a number or in DX: CX/, 'port in another register');
+assert.throws(() => runAssembler('OUT 100h, AL'), /does not fit in 8 bits/, 'port number out of range');
+assert.throws(() => runAssembler('FOO AL, BX'), /Unsupported instruction FOO_REG8_REG/, 'unknown mnemonic');
+
+// Segment registers
+assert.deepStrictEqual(bytes('MOV DS, AX'), [0x8E, 0xD8], 'MOV sreg, reg');
+assert.deepStrictEqual(bytes('MOV BX, ES'), [0x8C, 0xC3], 'MOV reg, sreg');
+assert.deepStrictEqual(bytes('MOV ES, [BX+2]'), [0x8E, 0x47, 0x02], 'MOV sreg, mem');
+assert.deepStrictEqual(bytes('MOV [0x0010], SS'), [0x8C, 0x16, 0x10, 0x00], 'MOV mem, sreg');
+assert.deepStrictEqual(bytes('PUSH CS'), [0x0E], 'PUSH CS');
+assert.deepStrictEqual(bytes('POP DS'), [0x1F], 'POP DS');
+assert.throws(() => runAssembler('MOV CS, AX'), /CS cannot be a destination/, 'MOV CS');
+assert.throws(() => runAssembler('POP CS'), /POP CS/, 'POP CS');
+assert.throws(() => runAssembler('MOV DS, AL'), /size mismatch/, 'MOV sreg, reg8');
+assert.throws(() => runAssembler('MOV DS, 0x1000'), /Unsupported instruction MOV_SREG_IMM/, 'MOV sreg, imm');
+
+// Data directives
+assert.deepStrictEqual(bytes('DB 1, 2, 0xFF, -1'), [0x01, 0x02, 0xFF, 0xFF], 'DB list');
+assert.deepStrictEqual(bytes('DW 0x1234, -2'), [0x34, 0x12, 0xFE, 0xFF], 'DW list');
+assert.deepStrictEqual(bytes('DD 0x12345678'), [0x78, 0x56, 0x34, 0x12], 'DD');
+assert.deepStrictEqual(bytes("DB 'Hi; you', 0"), [0x48, 0x69, 0x3B, 0x20, 0x79, 0x6F, 0x75, 0x00], 'string keeps case and ;');
+assert.deepStrictEqual(bytes('DB "it\'s"'), [0x69, 0x74, 0x27, 0x73], 'double-quoted string');
+assert.deepStrictEqual(bytes('DB 3 DUP(0xAA)'), [0xAA, 0xAA, 0xAA], 'DUP');
+assert.deepStrictEqual(bytes('DW 2 DUP(1, ?)'), [1, 0, 0, 0, 1, 0, 0, 0], 'DUP list with ?');
+assert.deepStrictEqual(bytes('DB 2 DUP(1, 2 DUP(0))'), [1, 0, 0, 1, 0, 0], 'nested DUP');
+assert.throws(() => runAssembler('DB 256'), /Value 256 does not fit in 8 bits/, 'DB range');
+assert.throws(() => runAssembler("DW 'ABC'"), /only allowed in DB/, 'string in DW');
+assert.throws(() => runAssembler('DB 1000000000 DUP(0)'), /DUP count 1000000000 does not fit in a 64K segment/, 'huge DUP');
+assert.throws(() => runAssembler('ORG 100h\nDW 8000h DUP(?)'), /Data does not fit in a 64K segment: 8000H DUP\(\?\)/, 'DUP past the segment');
+assert.throws(() => runAssembler('S STRUC\nF DD ?\nS ENDS\nX S 4000h DUP (<>)\nY S 2 DUP (<>)'), /Data does not fit in a 64K segment/,
+    'structure DUP past the segment');
+assert.strictEqual(runAssembler('DB 10000h DUP(0)').machineCode.length, 0x10000, 'DUP up to a full segment');
+assert.throws(() => runAssembler('DB 3 DUP()'), /DUP needs at least one item: 3 DUP\(\)/, 'empty DUP list');
+assert.throws(() => runAssembler('DB 65535 DUP(65535 DUP(0))'),
+    /Nested DUP counts come to 4294836225, more than a 64K segment holds: 65535 DUP\(0\)/, 'nested DUP counts');
+assert.throws(() => runAssembler("DB 65535 DUP(65535 DUP(''))"), /Nested DUP counts come to/, 'nested DUP of items that emit nothing');
+assert.throws(() => runAssembler('E STRUC\nE ENDS\nX E 300 DUP (300 DUP (<>))'), /Nested DUP counts come to 90000/,
+    'nested structure DUP');
+assert.strictEqual(runAssembler('DB 256 DUP(256 DUP(0))').machineCode.length, 0x10000, 'nested DUP up to a full segment');
+
+// Labels on data lines carry type and size
+const data = runAssembler([
+    'ORG 0x100',
+    'JMP NEAR START',
+    "MSG DB 'Hello', 0x0D, 0x0A, '$'",
+    'COUNT DW 3',
+    'TABLE: DW START, MSG',
+    'BUF DB 16 DUP(?)',
+    'LIMIT EQU 10',
+    'STEP = 2',
+    'START: MOV AX, COUNT',
+    'MOV AL, MSG',
+    'MOV CX, LIMIT',
+    'ADD [BUF], STEP',
+    'INC COUNT',
+    'MOV DX, [TABLE+2]'
+].join('\n'));
+assert.strictEqual(data.origin, 0x100, 'ORG sets the origin');
+assert.deepStrictEqual(data.symbols.MSG, { value: 0x103, type: 'BYTE', size: 1, length: 8 }, 'MSG is a BYTE array');
+assert.deepStrictEqual(data.symbols.COUNT, { value: 0x10B, type: 'WORD', size: 2, length: 1 }, 'COUNT is a WORD');
+assert.deepStrictEqual(data.symbols.TABLE, { value: 0x10D, type: 'WORD', size: 2, length: 2 }, 'a colon label on a data line is typed too');
+assert.strictEqual(data.symbols.BUF.length, 16, 'DUP length');
+assert.strictEqual(data.symbols.LIMIT.type, 'CONST', 'EQU constant');
+assert.strictEqual(data.symbolTable.LIMIT, 10, 'flat symbolTable holds values');
+assert.strictEqual(data.symbolTable.START, 0x121, 'START after the data');
+assert.deepStrictEqual(Array.from(data.machineCode.slice(0, 3)), [0xE9, 0x1E, 0x00], 'near JMP over the data');
+assert.deepStrictEqual(Array.from(data.machineCode.slice(0x0D, 0x0F)), [0x21, 0x01], 'DW START');
+assert.deepStrictEqual(Array.from(data.machineCode.slice(0x21)), [
+    0x8B, 0x06, 0x0B, 0x01,        // MOV AX, [COUNT]
+    0x8A, 0x06, 0x03, 0x01,        // MOV AL, [MSG]
+    0xB9, 0x0A, 0x00,              // MOV CX, 10
+    0x80, 0x06, 0x11, 0x01, 0x02,  // ADD BYTE PTR [BUF], 2
+    0xFF, 0x06, 0x0B, 0x01,        // INC WORD PTR [COUNT]
+    0x8B, 0x16, 0x0F, 0x01         // MOV DX, [TABLE+2]
+], 'data references');
+assert.throws(() => runAssembler('COUNT DB 1\nMOV AX, COUNT'), /size mismatch/, 'word register with a byte variable');
+assert.throws(() => runAssembler('X DB 1\nX DB 2'), /Duplicate symbol: X/, 'duplicate symbol');
+assert.throws(() => runAssembler('X EQU 1\nX EQU 2'), /Duplicate symbol: X/, 'EQU cannot be redefined');
+
+// '=' may be redefined; each line sees the value in effect at that point
+assert.deepStrictEqual(bytes('N = 1\nDB N\nN = 2\nDB N'), [1, 2], '= redefinition');
+
+// A later ORG pads forward; it may not move backwards
+assert.deepStrictEqual(bytes('ORG 0x10\nDB 1\nORG 0x14\nDB 2'), [1, 0, 0, 0, 2], 'ORG padding');
+assert.throws(() => runAssembler('ORG 0x10\nDB 1, 2\nORG 0x10'), /backwards/, 'ORG backwards');
+
+// Expressions: radix suffixes, character literals, precedence
+assert.deepStrictEqual(bytes('MOV AX, 0FFh'), [0xB8, 0xFF, 0x00], 'hex suffix');
+assert.deepStrictEqual(bytes('MOV AL, 1010b'), [0xB0, 0x0A], 'binary suffix');
+assert.deepStrictEqual(bytes('MOV AL, 17o'), [0xB0, 0x0F], 'octal suffix');
+assert.deepStrictEqual(bytes('MOV AL, 17q'), [0xB0, 0x0F], 'octal q suffix');
+assert.deepStrictEqual(bytes('MOV AL, 99d'), [0xB0, 0x63], 'decimal suffix');
+assert.deepStrictEqual(bytes("MOV AL, 'A'"), [0xB0, 0x41], 'character literal');
+assert.deepStrictEqual(bytes("MOV AX, 'AB'"), [0xB8, 0x42, 0x41], 'two-character literal');
+assert.deepStrictEqual(bytes("CMP AL, ','"), [0x80, 0xF8, 0x2C], 'comma inside a character literal');
+assert.deepStrictEqual(bytes('MOV AX, 2+3*4'), [0xB8, 0x0E, 0x00], 'multiplication binds tighter');
+assert.deepStrictEqual(bytes('MOV AX, (2+3)*4'), [0xB8, 0x14, 0x00], 'parentheses');
+assert.deepStrictEqual(bytes('MOV AX, 17 MOD 5 + 100 / 7'), [0xB8, 0x10, 0x00], 'MOD and /');
+assert.deepStrictEqual(bytes('MOV AX, 1 SHL 4 OR 3'), [0xB8, 0x13, 0x00], 'SHL and OR');
+assert.deepStrictEqual(bytes('MOV AX, NOT 0 AND 0F0Fh'), [0xB8, 0x0F, 0x0F], 'NOT and AND');
+assert.deepStrictEqual(bytes('MOV AX, -2'), [0xB8, 0xFE, 0xFF], 'unary minus');
+assert.deepStrictEqual(bytes('MOV AL, HIGH 1234h'), [0xB0, 0x12], 'HIGH');
+assert.deepStrictEqual(bytes('INT 21h'), [0xCD, 0x21], 'INT with a suffixed number');
+assert.deepStrictEqual(bytes("DW 'AB'"), [0x42, 0x41], 'character literal in DW');
+assert.deepStrictEqual(bytes('DB 10h, 2 DUP(1+1)'), [0x10, 0x02, 0x02], 'expressions in data');
+assert.deepStrictEqual(bytes('JMP 1234h:0010h'), [0xEA, 0x10, 0x00, 0x34, 0x12], 'far pointer with suffixes');
+
+// Symbols, $ and OFFSET
+const exprs = runAssembler([
+    'ORG 100h',
+    "MSG DB 'Hello'",
+    'MSG_LEN EQU $-MSG',
+    'BUF DW 4 DUP(?)',
+    'START: MOV CX, MSG_LEN',
+    'MOV SI, OFFSET BUF',
+    'MOV DI, OFFSET BUF + 2',
+    'MOV AX, BUF+2',
+    'MOV BL, MSG[SI]',
+    'MOV DX, [BX+(MSG_LEN-1)*2]',
+    'MOV AX, START',
+    'JMP $',
+    'DW $, $'
+].join('\n'));
+assert.strictEqual(exprs.symbolTable.MSG_LEN, 5, '$-MSG');
+assert.deepStrictEqual(Array.from(exprs.machineCode.slice(0x0D)), [
+    0xB9, 0x05, 0x00,              // MOV CX, 5
+    0xBE, 0x05, 0x01,              // MOV SI, OFFSET BUF
+    0xBF, 0x07, 0x01,              // MOV DI, OFFSET BUF + 2
+    0x8B, 0x06, 0x07, 0x01,        // MOV AX, [BUF+2]
+    0x8A, 0x9C, 0x00, 0x01,        // MOV BL, [SI+MSG]
+    0x8B, 0x57, 0x08,              // MOV DX, [BX+8] (constants take the shortest displacement)
+    0xB8, 0x0D, 0x01,              // MOV AX, START (address as immediate)
+    0xEB, 0xFE,                    // JMP $
+    0x26, 0x01, 0x28, 0x01         // DW $, $ (each item has its own $)
+], 'symbol expressions');
+
+// Range checking against the destination width
+assert.throws(() => runAssembler('MOV AL, 256'), /Value 256 does not fit in 8 bits/, 'reg8 immediate');
+assert.throws(() => runAssembler('MOV AL, -129'), /does not fit in 8 bits/, 'negative reg8 immediate');
+assert.throws(() => runAssembler('MOV AX, 10000h'), /does not fit in 16 bits/, 'reg16 immediate');
+assert.throws(() => runAssembler('MOV BYTE PTR [BX], 100h'), /does not fit in 8 bits/, 'byte memory immediate');
+assert.throws(() => runAssembler('INT 256'), /does not fit in 8 bits/, 'INT number');
+assert.deepStrictEqual(bytes('MOV AL, -128'), [0xB0, 0x80], 'signed byte lower bound');
+assert.deepStrictEqual(bytes('MOV AL, 255'), [0xB0, 0xFF], 'unsigned byte upper bound');
+
+// Expression errors
+assert.throws(() => runAssembler('MOV AX, 12Z'), /Invalid number/, 'bad number');
+assert.throws(() => runAssembler('MOV AX, (1+2'), /Missing '\)'/, 'unbalanced parenthesis');
+assert.throws(() => runAssembler('X: MOV AX, X*2'), /needs constant operands/, 'label in multiplication');
+assert.throws(() => runAssembler('MOV AX, [BX+2*SI]'), /Register SI cannot be used in an expression/, 'scaled index');
+assert.throws(() => runAssembler('MOV AX, 1/0'), /Division by zero/, 'division by zero');
+
+// Branch relaxation: JMP and Jcc take the shortest form that reaches their target
+assert.deepStrictEqual(bytes('L: NOP\nJMP L'), [0x90, 0xEB, 0xFD], 'short JMP backwards');
+assert.deepStrictEqual(bytes('JMP L\nNOP\nL: NOP'), [0xEB, 0x01, 0x90, 0x90], 'short JMP forwards');
+assert.deepStrictEqual(bytes('JMP L\nDB 200 DUP(0)\nL: NOP').slice(0, 3), [0xE9, 0xC8, 0x00], 'near JMP forwards');
+assert.deepStrictEqual(bytes('L: NOP\nDB 200 DUP(0)\nJMP L').slice(-3), [0xE9, 0x34, 0xFF], 'near JMP backwards');
+assert.deepStrictEqual(bytes('JNZ L\nDB 200 DUP(0)\nL: NOP').slice(0, 5), [0x74, 0x03, 0xE9, 0xC8, 0x00], 'out-of-range JNZ becomes JZ over JMP');
+assert.deepStrictEqual(bytes('L: NOP\nDB 200 DUP(0)\nJL L').slice(-5), [0x7D, 0x03, 0xE9, 0x32, 0xFF], 'out-of-range JL backwards');
+assert.deepStrictEqual(bytes('L: NOP\nDB 125 DUP(0)\nJC L').slice(-2), [0x72, 0x80], 'Jcc at the edge of rel8');
+assert.deepStrictEqual(bytes('CALL L\nL: NOP'), [0xE8, 0x00, 0x00, 0x90], 'CALL stays near');
+assert.deepStrictEqual(bytes('JMP NEAR L\nL: NOP'), [0xE9, 0x00, 0x00, 0x90], 'JMP NEAR');
+assert.deepStrictEqual(bytes('JMP NEAR PTR L\nL: NOP'), [0xE9, 0x00, 0x00, 0x90], 'JMP NEAR PTR');
+assert.deepStrictEqual(bytes('JMP SHORT L\nL: NOP'), [0xEB, 0x00, 0x90], 'JMP SHORT');
+assert.throws(() => runAssembler('JMP SHORT L\nDB 200 DUP(0)\nL: NOP'), /Jump to L is too far/, 'SHORT out of range');
+assert.throws(() => runAssembler('L: NOP\nDB 200 DUP(0)\nLOOP L'), /Jump to L is too far/, 'LOOP has no long form');
+assert.throws(() => runAssembler('JMP SHORT [BX]'), /SHORT needs a jump target/, 'SHORT on an indirect jump');
+
+// Growing one branch can push another out of range; sizing repeats until addresses settle
+const relaxed = runAssembler([
+    'JZ T',
+    'DB 125 DUP(0)',
+    'JMP U',          // short, T would be in reach of JZ; near, it is not
+    'T: NOP',
+    'DB 200 DUP(0)',
+    'U: NOP'
+].join('\n'));
+assert.strictEqual(relaxed.symbolTable.T, 133, 'T after both branches grew');
+assert.strictEqual(relaxed.symbolTable.U, 334, 'U after both branches grew');
+assert.deepStrictEqual(Array.from(relaxed.machineCode.slice(0, 5)), [0x75, 0x03, 0xE9, 0x80, 0x00], 'JZ relaxed');
+assert.deepStrictEqual(Array.from(relaxed.machineCode.slice(130, 133)), [0xE9, 0xC9, 0x00], 'JMP relaxed');
+// Forward constants get the shortest displacement once their value is known
+assert.deepStrictEqual(bytes('MOV AX, [BX+N]\nN EQU 4'), [0x8B, 0x47, 0x04], 'forward constant displacement');
+
+// Macros: parameters, LOCAL labels, REPT and IRP
+const macros = runAssembler([
+    'Print MACRO text           ; case does not matter',
+    '        LOCAL done',
+    '        MOV DX, OFFSET text',
+    '        MOV AH, 9',
+    '        INT 21h',
+    '        JMP done',
+    'done:',
+    '        ENDM',
+    'LOADS MACRO REG, VALUE',
+    '        MOV REG&X, VALUE',
+    '        ENDM',
+    'COUNT EQU 2',
+    'START:  PRINT MSG',
+    '        print MSG',
+    '        LOADS A, <1 + 2>',
+    '        REPT COUNT',
+    '        NOP',
+    '        ENDM',
+    '        IRP R, <AX, BX>',
+    '        PUSH R',
+    '        ENDM',
+    "MSG     DB 'Hi$'"
+].join('\n'));
+assert.deepStrictEqual(Array.from(macros.machineCode), [
+    0xBA, 0x19, 0x00, 0xB4, 0x09, 0xCD, 0x21, 0xEB, 0x00,   // PRINT MSG
+    0xBA, 0x19, 0x00, 0xB4, 0x09, 0xCD, 0x21, 0xEB, 0x00,   // PRINT MSG, with its own LOCAL label
+    0xB8, 0x03, 0x00,                                       // MOV AX, 1 + 2
+    0x90, 0x90,                                             // REPT 2
+    0x50, 0x53,                                             // IRP
+    0x48, 0x69, 0x24
+], 'macro expansion');
+assert.strictEqual(macros.symbolTable['??0000'], 9, 'first LOCAL label');
+assert.strictEqual(macros.symbolTable['??0001'], 18, 'second LOCAL label');
+assert.deepStrictEqual(macros.sourceMap.ranges.slice(0, 4).map(r => r.line), [13, 13, 13, 13], 'expansion maps to the invocation');
+assert.deepStrictEqual(macros.listing.lines[12].bytes.length, 9, 'listing shows the expansion on the invocation line');
+assert.deepStrictEqual(macros.listing.lines[16].bytes, [0x90, 0x90], 'REPT body keeps its own line');
+
+// Nested blocks, empty arguments and strings
+assert.deepStrictEqual(bytes([
+    'TWICE MACRO A, B, C',
+    '  REPT 2',
+    '  DB A, C',
+    '  ENDM',
+    "  DB '&A&-&C, B'",
+    '  ENDM',
+    'TWICE 1,,3'
+].join('\n')), [1, 3, 1, 3, 0x31, 0x2D, 0x33, 0x2C, 0x20, 0x42], 'nested REPT, empty argument, &A& in a string');
+
+// Errors point at the line that invoked the macro
+const macroError = runAssembler([
+    'SETAL MACRO V',
+    '  MOV AL, V',
+    '  ENDM',
+    'NOP',
+    'SETAL 300'
+].join('\n'), { throwOnError: false });
+assert.deepStrictEqual(macroError.diagnostics.map(d => [d.line, d.message]), [[5, 'Value 300 does not fit in 8 bits']], 'error in an expansion');
+assert.throws(() => runAssembler('M MACRO\nNOP'), /Line 1, column 1: Missing ENDM for macro M/, 'missing ENDM');
+assert.throws(() => runAssembler('NOP\nENDM'), /Line 2, column 1: ENDM without MACRO/, 'stray ENDM');
+assert.throws(() => runAssembler('M MACRO A\nNOP\nENDM\nM 1, 2'), /Too many arguments for macro M/, 'too many arguments');
+assert.throws(() => runAssembler('M MACRO\nM\nENDM\nM'), /Line 4, column 1: Macro expansion nested too deeply in M/, 'recursive macro');
+assert.throws(() => runAssembler('REPT N\nNOP\nENDM'), /REPT count must be a constant/, 'unknown REPT count');
+assert.throws(() => runAssembler('REPT 100000000\nNOP\nENDM'), /REPT count must not be more than 100000/, 'huge REPT count');
+const runaway = runAssembler('REPT 1000\nREPT 1000\nNOP\nENDM\nENDM\nHLT', { throwOnError: false });
+assert.deepStrictEqual(runaway.diagnostics.map(d => `${d.line}: ${d.message}`),
+    ['3: Expansion stopped: the program is longer than 100000 lines', '3: The program does not fit in 64K'],
+    'nested REPT stops at the line limit');
+assert.strictEqual(runaway.machineCode.length, 100000, 'lines up to the limit are kept');
+const emptyRepeats = runAssembler('REPT 100000\nREPT 100000\nENDM\nENDM\nHLT', { throwOnError: false });
+assert.deepStrictEqual(emptyRepeats.diagnostics.map(d => `${d.line}: ${d.message}`),
+    ['2: Expansion stopped: more than 1000000 repetitions and macro expansions'], 'nested empty REPT stops');
+const emptyMacro = runAssembler('M MACRO\nENDM\nREPT 100000\nREPT 100000\nM\nENDM\nENDM\nHLT', { throwOnError: false });
+assert.deepStrictEqual(emptyMacro.diagnostics.map(d => `${d.line}: ${d.message}`),
+    ['5: Expansion stopped: more than 1000000 repetitions and macro expansions'], 'empty macro in nested REPT stops');
+assert.throws(() => runAssembler('IRP R, AX\nNOP\nENDM'), /IRP needs a parameter and a list/, 'IRP without <>');
+
+// Conditional assembly against defines and EQU constants
+const variant = [
+    'IFNDEF SIZE',
+    'SIZE EQU 8',
+    'ENDIF',
+    'IF DEBUG',
+    '  MOV AL, 1',
+    '  IF SIZE GT 8',
+    '    MOV AX, SIZE',
+    '  ELSE',
+    '    MOV AL, SIZE',
+    '  ENDIF',
+    'ELSE',
+    '  IFDEF SIZE',
+    '    NOP',
+    '  ENDIF',
+    'ENDIF',
+    'HLT'
+].join('\n');
+assert.deepStrictEqual(Array.from(runAssembler(variant, { defines: { DEBUG: 0 } }).machineCode), [0x90, 0xF4], 'DEBUG off');
+assert.deepStrictEqual(Array.from(runAssembler(variant, { defines: { DEBUG: 1 } }).machineCode),
+    [0xB0, 0x01, 0xB0, 0x08, 0xF4], 'DEBUG on, default SIZE');
+assert.deepStrictEqual(Array.from(runAssembler(variant, { defines: { DEBUG: 1, SIZE: '4 * 4' } }).machineCode),
+    [0xB0, 0x01, 0xB8, 0x10, 0x00, 0xF4], 'DEBUG on, SIZE defined from outside');
+assert.strictEqual(runAssembler(variant, { defines: { debug: 1 } }).symbols.DEBUG.value, 1, 'defines are symbols too');
+assert.deepStrictEqual(bytes('MOV AX, 3 GT 2\nMOV BX, 3 EQ 2\nMOV CX, 1 + 1 EQ 2'),
+    [0xB8, 0xFF, 0xFF, 0xBB, 0x00, 0x00, 0xB9, 0xFF, 0xFF], 'relational operators');
+assert.deepStrictEqual(bytes([
+    'WIDE MACRO N',
+    '  IF N GT 255',
+    '    DW N',
+    '  ELSE',
+    '    DB N',
+    '  ENDIF',
+    '  ENDM',
+    'WIDE 5',
+    'WIDE 300'
+].join('\n')), [0x05, 0x2C, 0x01], 'IF inside a macro sees its arguments');
+assert.deepStrictEqual(bytes('START: NOP\nIFDEF START\nNOP\nENDIF\nIFDEF LATER\nHLT\nENDIF\nLATER: NOP'), [0x90, 0x90, 0x90], 'IFDEF on labels defined so far');
+
+// Unbalanced blocks
+assert.throws(() => runAssembler('IF 1\nNOP'), /Line 1, column 1: Missing ENDIF for IF 1/, 'missing ENDIF');
+assert.throws(() => runAssembler('NOP\nELSE'), /Line 2, column 1: ELSE without IF/, 'stray ELSE');
+assert.throws(() => runAssembler('NOP\nENDIF'), /Line 2, column 1: ENDIF without IF/, 'stray ENDIF');
+assert.throws(() => runAssembler('IF 1\nELSE\nELSE\nENDIF'), /Line 3, column 1: ELSE after ELSE/, 'two ELSEs');
+const unknownCondition = runAssembler('IF LIMIT\nNOP\nELSE\nHLT\nENDIF\nMOV AX, 1', { throwOnError: false });
+assert.deepStrictEqual(unknownCondition.diagnostics.map(d => [d.line, d.message]), [[1, 'Undefined symbol: LIMIT']], 'IF with an unknown symbol');
+assert.deepStrictEqual(Array.from(unknownCondition.machineCode), [0xB8, 0x01, 0x00], 'neither part of a failed IF is assembled');
+assert.throws(() => runAssembler('DEBUG EQU 1', { defines: { DEBUG: 0 } }), /Duplicate symbol: DEBUG/, 'define redefined in the source');
+assert.throws(() => runAssembler('HLT', { defines: { '1X': 1 } }), /^Error: Assembly Error: Invalid define name: 1X$/, 'bad define name');
+const badDefines = runAssembler('MOV AX, SIZE\nHLT', { defines: { 'A-B': 1, SIZE: 'NOWHERE + 1' }, throwOnError: false });
+assert.deepStrictEqual(badDefines.diagnostics.map(d => [d.line, d.message]),
+    [[0, 'Invalid define name: A-B'], [0, 'Invalid value for define SIZE: Undefined symbol: NOWHERE'], [1, 'Undefined symbol: SIZE']],
+    'bad defines are reported, not thrown');
+
+// INCLUDE reads files through the readFile option; their lines are assembled in place
+const files = {
+    'DEFS.INC': 'CR EQU 0Dh\nLF EQU 0Ah\nINCLUDE "MORE.INC"',
+    'MORE.INC': 'EOL EQU CR',
+    'BAD.INC': 'NOP\nMOV AL, 300',
+    'SELF.INC': 'INCLUDE SELF.INC'
+};
+const readFile = name => files[name];
+assert.deepStrictEqual(Array.from(runAssembler('INCLUDE DEFS.INC\nDB CR, LF, EOL', { readFile }).machineCode),
+    [0x0D, 0x0A, 0x0D], 'nested include files');
+const included = runAssembler('NOP\nINCLUDE BAD.INC\nHLT', { readFile, throwOnError: false });
+assert.deepStrictEqual(Array.from(included.machineCode), [0x90, 0x90, 0xF4], 'included code in place');
+assert.deepStrictEqual(included.diagnostics.map(d => [d.file, d.line, d.column, d.includedAt]), [['BAD.INC', 2, 9, 2]],
+    'errors point into the included file');
+assert.strictEqual(included.listing.lines[1].offset, 1, 'included code is listed at the INCLUDE line');
+assert.ok(included.listingText.includes('**** Error (BAD.INC, line 2, column 9): Value 300 does not fit in 8 bits'),
+    'listed error names the file');
+assert.deepStrictEqual(included.sourceMap.ranges[1], { start: 1, end: 2, line: 1, column: 1, file: 'BAD.INC' },
+    'source map ranges name the file');
+assert.throws(() => runAssembler('INCLUDE BAD.INC', { readFile }), /BAD\.INC, line 2, column 9: Value 300/, 'error message names the file');
+assert.throws(() => runAssembler('INCLUDE DEFS.INC'), /Line 1, column 9: Cannot include DEFS\.INC: no file reader was given/, 'no reader');
+assert.throws(() => runAssembler('INCLUDE <GONE.INC>', { readFile }), /Cannot include GONE\.INC: file not found/, 'missing file');
+assert.throws(() => runAssembler('INCLUDE SELF.INC', { readFile }), /INCLUDE nested too deeply in SELF\.INC/, 'recursive include');
+
+// EXTRN symbols read as 0 in the image; the object module records where the linker patches
+const externJump = runAssembler('EXTRN FAR_AWAY:NEAR\nJZ FAR_AWAY');
+assert.deepStrictEqual(Array.from(externJump.machineCode), [0x75, 0x03, 0xE9, 0xFB, 0xFF], 'Jcc to an external is always long');
+assert.deepStrictEqual(externJump.object.relocations, [{ offset: 3, kind: 'REL16', symbol: 'FAR_AWAY' }], 'branch relocation');
+const externData = runAssembler('EXTRN TABLE:WORD\nDW TABLE+2, $');
+assert.deepStrictEqual(Array.from(externData.machineCode), [0x02, 0x00, 0x02, 0x00], 'external plus a constant');
+assert.deepStrictEqual(externData.object.relocations, [
+    { offset: 0, kind: 'OFFSET', symbol: 'TABLE' },
+    { offset: 2, kind: 'OFFSET', symbol: null }
+], 'data relocations');
+assert.throws(() => runAssembler('EXTRN X:WORD\nMOV AX, 5 - X'), /- cannot be used with external symbol X/, 'subtracting an external');
+assert.throws(() => runAssembler('EXTRN X:NEAR\nLOOP X'), /Jump to external symbol X needs a near jump/, 'short jump to an external');
+assert.throws(() => runAssembler('EXTRN X:BYTE\nMOV AL, OFFSET X'), /External symbol X needs a 16-bit operand/, 'external in a byte');
+assert.throws(() => runAssembler('EXTRN X:FAR'), /Unsupported EXTRN type FAR/, 'far externals');
+assert.throws(() => runAssembler('PUBLIC NOPE'), /PUBLIC symbol NOPE is not defined/, 'undefined public');
+
+// Linking a main module with a library: CALL and OFFSET across modules, relocated data
+const mainModule = runAssembler([
+    '        ORG 100h',
+    '        EXTRN PRINT:NEAR, GREETING:BYTE',
+    '        PUBLIC START',
+    'START:  MOV DX, OFFSET GREETING',
+    '        CALL PRINT',
+    '        MOV AX, 4C00h',
+    '        INT 21h'
+].join('\n'), { name: 'MAIN' });
+assert.deepStrictEqual(mainModule.object.externs, { PRINT: 'NEAR', GREETING: 'BYTE' }, 'externs');
+assert.deepStrictEqual(mainModule.object.publics, { START: { value: 0x100, type: 'NEAR' } }, 'publics');
+assert.deepStrictEqual(mainModule.object.relocations, [
+    { offset: 0x101, kind: 'OFFSET', symbol: 'GREETING' },
+    { offset: 0x104, kind: 'REL16', symbol: 'PRINT' }
+], 'main module relocations');
+const libraryModule = runAssembler([
+    '         PUBLIC PRINT, GREETING',
+    'PRINT:   MOV AH, 9',
+    '         INT 21h',
+    '         RET',
+    "GREETING DB 'Linked!$'",
+    'POINTER  DW GREETING'
+].join('\n'), { name: 'LIB' });
+const linked = link([mainModule.object, libraryModule.object]);
+assert.strictEqual(linked.origin, 0x100, 'image starts at the first module origin');
+assert.deepStrictEqual(linked.symbols, { START: 0x100, PRINT: 0x10B, GREETING: 0x110 }, 'public addresses');
+assert.deepStrictEqual(linked.modules, [
+    { name: 'MAIN', start: 0x100, end: 0x10B },
+    { name: 'LIB', start: 0x10B, end: 0x11A }
+], 'module placement');
+assert.deepStrictEqual(Array.from(linked.machineCode.slice(0, 6)), [0xBA, 0x10, 0x01, 0xE8, 0x05, 0x00], 'patched OFFSET and CALL');
+assert.deepStrictEqual(Array.from(linked.machineCode.slice(0x18)), [0x10, 0x01], 'library data relocated');
+const linkedCpu = new CPU();
+const linkedConsole = new BufferConsole();
+new DOSServices(linkedConsole).attach(linkedCpu);
+linkedCpu.memory.load(linked.origin, linked.machineCode);
+linkedCpu.registers.set16('IP', linked.origin);
+for (let i = 0; i < 100 && !linkedCpu.halted; i++) linkedCpu.step();
+assert.strictEqual(linkedConsole.output, 'Linked!', 'linked program runs');
+
+// Link errors: duplicate and unresolved symbols
+const duplicated = link([mainModule.object, libraryModule.object, libraryModule.object], { throwOnError: false });
+assert.deepStrictEqual(duplicated.diagnostics.map(d => [d.module, d.message]), [
+    ['LIB', 'Duplicate public symbol PRINT (also defined in LIB)'],
+    ['LIB', 'Duplicate public symbol GREETING (also defined in LIB)']
+], 'duplicate publics');
+assert.throws(() => link([mainModule.object]),
+    /^Error: Link Error: MAIN: Unresolved external symbol PRINT\nMAIN: Unresolved external symbol GREETING$/, 'unresolved externals');
+
+// Diagnostics: every problem is reported with its source line and column
+const broken = runAssembler([
+    '; header comment',
+    'START: MOV AX, 1',
+    '',
+    '    MOV AL, 300        ; out of range',
+    '    JMP NOWHERE',
+    'START: NOP',
+    "    MSG DB 'oops",
+    '    +++',
+    '    MOV CX, 2'
+].join('\r\n'), { throwOnError: false });
+assert.deepStrictEqual(broken.diagnostics.map(d => [d.severity, d.line, d.column]), [
+    ['error', 4, 13],
+    ['error', 5, 9],
+    ['error', 6, 1],
+    ['error', 7, 12],
+    ['error', 8, 5]
+], 'diagnostic positions: the operand or token at fault, otherwise the statement');
+assert.match(broken.diagnostics[0].message, /Value 300 does not fit in 8 bits/);
+assert.strictEqual(broken.diagnostics[0].snippet, '    MOV AL, 300        ; out of range', 'snippet is the source line');
+assert.match(broken.diagnostics[1].message, /Undefined symbol: NOWHERE/);
+assert.strictEqual(broken.diagnostics[2].message, 'Duplicate symbol: START');
+assert.strictEqual(broken.diagnostics[3].message, 'Unterminated string literal');
+assert.strictEqual(broken.diagnostics[4].message, 'Syntax error: +++');
+// The first START stays in effect, and the lines around the errors are still assembled
+assert.strictEqual(broken.symbolTable.START, 0, 'first definition wins');
+assert.deepStrictEqual(Array.from(broken.machineCode), [0xB8, 0x01, 0x00, 0x90, 0xB9, 0x02, 0x00], 'good lines assembled');
+
+// Columns point at the operand, and the token in it, that is wrong
+const columnOf = source => runAssembler(source, { throwOnError: false }).diagnostics.map(d => [d.column, d.message]);
+assert.deepStrictEqual(columnOf('MOV AL, BX'), [[9, 'Operand size mismatch: AL, BX']], 'operand size mismatch');
+assert.deepStrictEqual(columnOf('MOV AX, [NOWHERE]'), [[10, 'Undefined symbol: NOWHERE']], 'symbol in a memory operand');
+assert.deepStrictEqual(columnOf('MOV AL, 300'), [[9, 'Value 300 does not fit in 8 bits']], 'immediate out of range');
+assert.deepStrictEqual(columnOf('MOV AX, SIZE PT'), [[9, 'Undefined symbol: SIZE']], 'SIZE is not an operator');
+assert.deepStrictEqual(columnOf('PT STRUC\nX DW ?\nPT ENDS\nMOV AX, PT.X + QT.X'), [[16, 'Undefined symbol: QT']],
+    'second term of an expression');
+assert.deepStrictEqual(columnOf("  MOV WORD PTR [BX + 2], 1 + FOO"), [[30, 'Undefined symbol: FOO']], 'second operand');
+assert.deepStrictEqual(columnOf("DATA: DB 1, 2, 3 DUP (4, NOPE)"), [[26, 'Undefined symbol: NOPE']], 'inside DUP');
+assert.deepStrictEqual(columnOf('START: FOO AX'), [[8, 'Unsupported instruction FOO_REG']], 'instruction after a label');
+assert.deepStrictEqual(columnOf('MOV AX, 2 + .early'), [[13, 'Local label .EARLY needs a global label before it']],
+    'local label');
+assert.deepStrictEqual(columnOf('NOP\nJMP @B'), [[5, 'No @@ label before @B']], 'anonymous label');
+assert.deepStrictEqual(columnOf('REPT -1\nNOP\nENDM'), [[6, 'REPT count must not be negative: -1']], 'REPT count');
+assert.deepStrictEqual(columnOf('IF 1 + ZZ\nNOP\nENDIF'), [[8, 'Undefined symbol: ZZ']], 'IF expression');
+assert.deepStrictEqual(columnOf('M MACRO\nMOV AL, 300\nJMP NOWHERE\nENDM\nM'),
+    [[1, 'Value 300 does not fit in 8 bits'], [1, 'Undefined symbol: NOWHERE']], 'each problem in a macro expansion');
+assert.deepStrictEqual(columnOf("MSG DB 'oops\nMOV AX, OFFSET MSG"), [[8, 'Unterminated string literal']],
+    'an unterminated string is reported once, and its label still defined');
+assert.deepStrictEqual(runAssembler('START: MOV AX, 1\n  NOP').sourceMap.ranges.map(r => r.column), [8, 3],
+    'source map ranges start at the instruction');
+
+// By default errors still throw, listing all of them
+assert.throws(() => runAssembler('MOV AX, 1\nFOO AX\nMOV AL, BX'), (error) => {
+    assert.strictEqual(error.message, [
+        'Assembly Error: Line 2, column 1: Unsupported instruction FOO_REG',
+        'Line 3, column 9: Operand size mismatch: AL, BX'
+    ].join('\n'));
+    assert.strictEqual(error.diagnostics.length, 2, 'diagnostics attached to the error');
+    return true;
+}, 'all errors in the message');
+assert.deepStrictEqual(runAssembler('NOP').diagnostics, [], 'no diagnostics');
+
+// Listing: each source line with its address and bytes, then the symbol cross-reference
+const listed = runAssembler([
+    '; demo',
+    'ORG 100h',
+    'START: MOV DX, OFFSET MSG',
+    '  MOV CX, LEN',
+    '  JMP START',
+    "MSG DB 'Hello, world!', 0Dh, 0Ah",
+    'LEN EQU $-MSG'
+].join('\n'));
+assert.strictEqual(listed.listing.lines.length, 7, 'one entry per source line');
+assert.deepStrictEqual(listed.listing.lines[0], {
+    line: 1, segment: 0, offset: null, bytes: [], source: '; demo', diagnostics: []
+}, 'comment line');
+assert.deepStrictEqual(listed.listing.lines[2], {
+    line: 3, segment: 0, offset: 0x100, bytes: [0xBA, 0x08, 0x01], source: 'START: MOV DX, OFFSET MSG', diagnostics: []
+}, 'instruction line');
+assert.strictEqual(listed.listing.lines[6].value, 15, 'constant value');
+assert.deepStrictEqual(listed.listing.symbols, [
+    { name: 'LEN', type: 'CONST', value: 15, line: 7, references: [4] },
+    { name: 'MSG', type: 'BYTE', value: 0x108, line: 6, references: [3, 7] },
+    { name: 'START', type: 'NEAR', value: 0x100, line: 3, references: [5] }
+], 'cross-reference');
+assert.strictEqual(listed.listingText, [
+    'Line  Address    Code                Source',
+    '   1                                 ; demo',
+    '   2  0000:0100                      ORG 100h',
+    '   3  0000:0100  BA 08 01            START: MOV DX, OFFSET MSG',
+    '   4  0000:0103  B9 0F 00              MOV CX, LEN',
+    '   5  0000:0106  EB F8                 JMP START',
+    "   6  0000:0108  48 65 6C 6C 6F 2C   MSG DB 'Hello, world!', 0Dh, 0Ah",
+    '      0000:010E  20 77 6F 72 6C 64',
+    '      0000:0114  21 0D 0A',
+    '   7             = 000F              LEN EQU $-MSG',
+    '',
+    'Symbols:',
+    'Name              Type    Value  Line  References',
+    'LEN               CONST   000F      7  4',
+    'MSG               BYTE    0108      6  3 7',
+    'START             NEAR    0100      3  5',
+    ''
+].join('\n'), 'listing text');
+const listedErrors = runAssembler('NOP\nMOV AL, 300', { throwOnError: false }).listingText;
+assert.ok(listedErrors.includes('   2  0000:0001                      MOV AL, 300\n**** Error (column 9): Value 300 does not fit in 8 bits'),
+    'errors are listed under their line');
+
+// The CPU agrees on the effective address
+const cpu = new CPU();
+const program = runAssembler([
+    'MOV WORD PTR [BX+SI+4], 0xBEEF',
+    'MOV AX, [BX+SI+4]',
+    'MOV DL, AH',
+    'ADD DL, 0x11',
+    'MOV ES, BX',
+    'MOV ES:[DI], DL',
+    'HLT'
+].join('\n')).machineCode;
+cpu.memory.load(0x100, program);
+cpu.registers.set16('IP', 0x100);
+cpu.registers.set16('BX', 0x0200);
+cpu.registers.set16('SI', 0x0010);
+while (!cpu.halted) cpu.step();
+assert.strictEqual(cpu.memory.readWord(0, 0x0214), 0xBEEF, 'store through [BX+SI+4]');
+assert.strictEqual(cpu.registers.get16('AX'), 0xBEEF, 'load through [BX+SI+4]');
+assert.strictEqual(cpu.registers.get8('DL'), 0xCF, 'byte register arithmetic');
+assert.strictEqual(cpu.memory.readByte(0x0200, 0x0000), 0xCF, 'byte store through ES:[DI]');
+
+// POP r/m16 (8Fh /0) runs on the CPU
+const popped = new CPU();
+popped.memory.load(0x100, runAssembler([
+    'MOV AX, 1234h',
+    'PUSH AX',
+    'POP WORD PTR [200h]',
+    'MOV BX, 10h',
+    'PUSH AX',
+    'POP [BX+300h]',
+    'HLT'
+].join('\n')).machineCode);
+popped.registers.set16('IP', 0x100);
+popped.registers.set16('SP', 0x1000);
+while (!popped.halted) popped.step();
+assert.strictEqual(popped.memory.readWord(0, 0x200), 0x1234, 'POP WORD PTR [200h]');
+assert.strictEqual(popped.memory.readWord(0, 0x310), 0x1234, 'POP [BX+300h]');
+assert.strictEqual(popped.registers.get16('SP'), 0x1000, 'POP r/m16 balances the stack');
+
+// Shifts, rotates, ADC and NEG run on the CPU
+const shifted = new CPU();
+shifted.memory.load(0x100, runAssembler([
+    'MOV AX, 8001h',
+    'MOV CL, 4',
+    'ROL AX, CL',
+    'SHR AX',
+    'MOV BX, 0FFFFh',
+    'ADD BX, 1',
+    'ADC DX, 0',
+    'NEG DX',
+    'MOV BYTE PTR [200h], 81h',
+    'SAR BYTE PTR [200h], 1',
+    'HLT'
+].join('\n')).machineCode);
+shifted.registers.set16('IP', 0x100);
+while (!shifted.halted) shifted.step();
+assert.strictEqual(shifted.registers.get16('AX'), 0x000C, 'ROL by CL, then SHR by 1');
+assert.strictEqual(shifted.registers.get16('DX'), 0xFFFF, 'ADC adds the carry, NEG negates');
+assert.strictEqual(shifted.memory.readByte(0, 0x200), 0xC0, 'SAR keeps the sign');
+
+// A .COM style program: ORG 0x100, data after the code, printed through INT 21h
+const hello = runAssembler([
+    'ORG 100h',
+    'MOV DX, OFFSET MSG',
+    'MOV AH, 9',
+    'INT 21h',
+    'MOV AX, 4C00h',
+    'INT 21h',
+    "MSG DB 'Hello from the assembler!', 0Dh, 0Ah, '$'"
+].join('\n'));
+assert.strictEqual(hello.symbols.MSG.value, 0x10C, 'message offset');
+const com = new CPU();
+const console_ = new BufferConsole();
+new DOSServices(console_).attach(com);
+com.memory.load(hello.origin, hello.machineCode);
+com.registers.set16('IP', hello.origin);
+for (let i = 0; i < 100 && !com.halted; i++) com.step();
+assert.strictEqual(console_.output, 'Hello from the assembler!\r\n', 'program prints its data');
+
+// The MASM skeleton: separate data, stack and code segments, a FAR main procedure and END START
+const skeleton = runAssembler([
+    'POINT STRUC',
+    'X DW ?',
+    'Y DW 5',
+    'POINT ENDS',
+    "DATA SEGMENT PARA PUBLIC 'DATA'",
+    "MSG DB 'Segments!$'",
+    'ORIGIN POINT <>',
+    'CORNER POINT <3, 4>',
+    'DATA ENDS',
+    'EXTRA SEGMENT',
+    'FLAG DB 7',
+    'EXTRA ENDS',
+    'STK SEGMENT STACK',
+    'DW 32 DUP (?)',
+    'STK ENDS',
+    'CODE SEGMENT',
+    'ASSUME CS:CODE, DS:DATA, ES:EXTRA, SS:STK',
+    'MAIN PROC FAR',
+    'MOV AX, DATA',
+    'MOV DS, AX',
+    'MOV AX, EXTRA',
+    'MOV ES, AX',
+    'CALL PRINT',
+    'MOV BX, CORNER.Y',
+    'ADD BX, ORIGIN.Y',
+    'MOV CL, FLAG',
+    'MOV AX, 4C00h',
+    'INT 21h',
+    'MAIN ENDP',
+    'PRINT PROC FAR',
+    'MOV DX, OFFSET MSG',
+    'MOV AH, 9',
+    'INT 21h',
+    'RET',
+    'PRINT ENDP',
+    'CODE ENDS',
+    'END MAIN'
+].join('\n'));
+const { symbols: segs } = skeleton;
+assert.deepStrictEqual([segs.DATA.value, segs.EXTRA.value, segs.STK.value, segs.CODE.value], [0, 2, 3, 7],
+    'segments follow each other on paragraphs');
+assert.deepStrictEqual([segs.POINT.value, segs.X.value, segs.Y.value], [4, 0, 2], 'structure size and field offsets');
+assert.deepStrictEqual([segs.ORIGIN.value, segs.CORNER.value, segs.ORIGIN.type], [10, 14, 'POINT'], 'structure variables');
+assert.strictEqual(segs.FLAG.value, 0, 'labels count from the start of their segment');
+assert.deepStrictEqual(skeleton.entry, { segment: 7, offset: 0 }, 'END gives the entry point');
+assert.deepStrictEqual(Array.from(skeleton.machineCode.slice(10, 18)), [0, 0, 5, 0, 3, 0, 4, 0], 'structure defaults and values');
+assert.deepStrictEqual(Array.from(skeleton.machineCode.slice(0x70, 0x75)), [0xB8, 0, 0, 0x8E, 0xD8], 'MOV AX, DATA');
+const skeletonLines = skeleton.listingText.split('\n');
+assert.ok(skeletonLines.includes('  24  0007:000F  8B 1E 10 00         MOV BX, CORNER.Y'), 'field of a structure variable');
+assert.ok(skeletonLines.includes('  26  0007:0017  26 8A 0E 00 00      MOV CL, FLAG'), 'ES override from ASSUME');
+assert.ok(skeletonLines.includes('  23  0007:000A  9A 21 00 07 00      CALL PRINT'), 'far call to a PROC FAR');
+assert.ok(skeletonLines.includes('  34  0007:0028  CB                  RET'), 'RET in a FAR procedure is RETF');
+assert.deepStrictEqual(skeleton.object.relocations.filter(r => r.kind === 'SEG').map(r => r.offset), [0x71, 0x76, 0x7D],
+    'segment relocations for the loader');
+assert.throws(() => link([skeleton.object]), /Modules with segments cannot be linked/, 'the linker only links one segment');
+
+// A field through a register: [SI].Y is [SI+Y], and takes the field's size
+const fieldAt = source => bytes(`POINT STRUC\nX DW ?\nY DW ?\nC DB ?\nPOINT ENDS\n${source}`);
+assert.deepStrictEqual(fieldAt('MOV AX, [SI].Y'), [0x8B, 0x44, 0x02], '[SI].Y');
+assert.deepStrictEqual(fieldAt('MOV AL, [BX].C'), [0x8A, 0x47, 0x04], '[BX].FIELD');
+assert.deepStrictEqual(fieldAt('MOV AX, [BX][SI].Y'), [0x8B, 0x40, 0x02], 'field after several bracket groups');
+assert.deepStrictEqual(fieldAt('MOV [BX+2].Y, 5'), [0xC7, 0x47, 0x04, 0x05, 0x00], 'field offset adds to the displacement');
+assert.throws(() => fieldAt('MOV AL, [SI].Y'), /Operand size mismatch/, 'a word field in a byte register');
+assert.throws(() => fieldAt('MOV AX, [SI].Q'), /column 14: Undefined symbol: Q/, 'unknown field');
+
+// Loaded at paragraph 100h: the loader adds it to every segment relocation
+const loadSegment = 0x100;
+const image = Uint8Array.from(skeleton.machineCode);
+for (const { offset, kind } of skeleton.object.relocations) {
+    if (kind !== 'SEG') continue;
+    const word = (image[offset] | (image[offset + 1] << 8)) + loadSegment;
+    image[offset] = word & 0xFF;
+    image[offset + 1] = word >> 8;
+}
+const exe = new CPU();
+const exeConsole = new BufferConsole();
+new DOSServices(exeConsole).attach(exe);
+exe.memory.load(loadSegment * 16, image);
+exe.registers.set16('CS', loadSegment + skeleton.entry.segment);
+exe.registers.set16('IP', skeleton.entry.offset);
+exe.registers.set16('SS', loadSegment + segs.STK.value);
+exe.registers.set16('SP', 64);
+for (let i = 0; i < 100 && !exe.halted; i++) exe.step();
+assert.strictEqual(exeConsole.output, 'Segments!', 'far procedure prints from the data segment');
+assert.strictEqual(exe.registers.get16('BX'), 9, 'structure fields read through DS');
+assert.strictEqual(exe.registers.get8('CL'), 7, 'variable read through ES');
+
+// GROUP: the offsets of both segments count from the start of the group
+const grouped = runAssembler([
+    'DGROUP GROUP DATA, BSS',
+    'DATA SEGMENT',
+    'A DW 1',
+    'DATA ENDS',
+    'BSS SEGMENT',
+    'B DW ?',
+    'BSS ENDS',
+    'CODE SEGMENT',
+    'ASSUME CS:CODE, DS:DGROUP',
+    'START: MOV AX, B',
+    'MOV BX, OFFSET B',
+    'RET',
+    'CODE ENDS',
+    'END START'
+].join('\n'));
+assert.deepStrictEqual([grouped.symbols.DGROUP.value, grouped.symbols.A.value, grouped.symbols.B.value], [0, 0, 16], 'group offsets');
+assert.deepStrictEqual(Array.from(grouped.machineCode.slice(0x20)), [0x8B, 0x06, 0x10, 0x00, 0xBB, 0x10, 0x00, 0xC3],
+    'no override through the group, RET in no procedure is near');
+
+const segmentErrors = runAssembler([
+    'DATA SEGMENT',
+    'V DW 1',
+    'DATA ENDS',
+    'CODE SEGMENT',
+    'MOV AX, V',
+    'NEAR1 PROC',
+    'FARP PROC FAR',
+    'RETF',
+    'FARP ENDP',
+    'JZ FARP',
+    'CODE ENDS',
+    'S STRUC',
+    'MOV AX, 1',
+    'S ENDS',
+    'OPEN SEGMENT'
+].join('\n'), { throwOnError: false });
+assert.deepStrictEqual(segmentErrors.diagnostics.map(d => `${d.line}: ${d.message}`), [
+    '4: Missing ENDS for CODE',
+    '5: No segment register is ASSUMEd for segment DATA, using DS',
+    '6: Missing ENDP for NEAR1',
+    '10: JZ cannot jump to the far label FARP',
+    '11: CODE ENDS does not close an open SEGMENT or STRUC, NEAR1 PROC is open',
+    '13: Only DB, DW and DD are allowed in a structure',
+    '15: Missing ENDS for OPEN'
+], 'segment errors');
+
+// Warnings do not stop the assembly: a variable with no ASSUME for its segment is read through DS,
+// and what comes after END is left out
+const segmentWarnings = runAssembler([
+    'DATA SEGMENT',
+    'V DW 1',
+    'DATA ENDS',
+    'CODE SEGMENT',
+    'START: MOV AX, V',
+    '    MOV BX, [BP+V]',
+    'CODE ENDS',
+    'END START',
+    'NOP'
+].join('\n'));
+assert.deepStrictEqual(segmentWarnings.diagnostics.map(d => [d.severity, d.line, d.column, d.message]), [
+    ['warning', 5, 16, 'No segment register is ASSUMEd for segment DATA, using DS'],
+    ['warning', 6, 13, 'No segment register is ASSUMEd for segment DATA, using SS'],
+    ['warning', 9, 1, 'Lines after END are ignored']
+], 'segment warnings');
+assert.deepStrictEqual(Array.from(segmentWarnings.machineCode.slice(0x10)), [0x8B, 0x06, 0x00, 0x00, 0x8B, 0x9E, 0x00, 0x00],
+    'the default segment registers are used');
+assert.ok(segmentWarnings.listingText.includes('**** Warning (column 16): No segment register is ASSUMEd for segment DATA, using DS'),
+    'warnings are listed');
+
+// Local labels belong to the global label before them; @@ labels are found with @B / @F
+const locals = runAssembler([
+    'MAIN: MOV CX, 3',
+    '.loop: DEC CX',
+    'JNZ .loop',
+    'CALL PRINT',
+    'JMP @F',
+    '@@: NOP',
+    '@@: LOOP @B',
+    'MOV AX, PRINT.LOOP',
+    'PRINT PROC',
+    '.loop: MOV DX, OFFSET .msg',
+    'JMP .loop',
+    ".msg DB '.loop @F', 0",
+    'PRINT ENDP'
+].join('\n'));
+assert.deepStrictEqual(Object.keys(locals.symbols).sort(), ['@@1', '@@2', 'MAIN', 'MAIN.LOOP', 'PRINT', 'PRINT.LOOP', 'PRINT.MSG'],
+    'local and anonymous labels get full names');
+assert.deepStrictEqual(Array.from(locals.machineCode.slice(3, 6)), [0x49, 0x75, 0xFD], '.loop of MAIN');
+assert.deepStrictEqual(Array.from(locals.machineCode.slice(9, 14)), [0xEB, 0x00, 0x90, 0xE2, 0xFE], '@F and @B');
+assert.deepStrictEqual(Array.from(locals.machineCode.slice(14, 17)), [0xB8, 0x11, 0x00], 'a local label written out in full');
+assert.deepStrictEqual(Array.from(locals.machineCode.slice(17, 22)), [0xBA, 0x16, 0x00, 0xEB, 0xFB], '.loop and .msg of PRINT');
+assert.strictEqual(String.fromCharCode(...locals.machineCode.slice(22, 30)), '.loop @F', 'strings are left alone');
+assert.deepStrictEqual(locals.sourceMap.labels['PRINT.LOOP'], { offset: 0x11, line: 10, column: 1 }, 'source map uses the full name');
+assert.ok(locals.listingText.includes('\nPRINT.LOOP        NEAR    0011     10  8 11\n'), 'listing uses the full name');
+
+const localErrors = runAssembler([
+    '.early: NOP',
+    'JMP .early',
+    'JMP @B',
+    'START: NOP',
+    '.again: NOP',
+    '.again: NOP',
+    'JMP @F'
+].join('\n'), { throwOnError: false });
+assert.deepStrictEqual(localErrors.diagnostics.map(d => `${d.line}: ${d.message}`), [
+    '1: Local label .EARLY needs a global label before it',
+    '2: Local label .EARLY needs a global label before it',
+    '3: No @@ label before @B',
+    '6: Duplicate symbol: START.AGAIN',
+    '7: No @@ label after @F'
+], 'local label errors');
+
+console.log('tests/assembler/test_assembler.js: all assertions passed');
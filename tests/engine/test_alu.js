@@ -93,4 +93,138 @@ const rcr1 = alu.rcr16(0x0002, 1); // 0x0002 >> 1 | CF(1) << 15 = 0x8001
 assert.strictEqual(rcr1, 0x8001, 'rcr16 rotates through carry');
 assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'CF updated by RCR');
 
+// ADC/SBB (carry/borrow in)
+regs.set16('FLAGS', 0);
+regs.setFlag(FLAGS.CF, 1);
+assert.strictEqual(alu.adc16(0x7FFE, 1), 0x8000, 'adc16 adds CF');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'adc16 sets OF');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'adc16 clears CF without carry out');
+
+regs.setFlag(FLAGS.CF, 1);
+assert.strictEqual(alu.sbb16(0, 0), 0xFFFF, 'sbb16 subtracts CF');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'sbb16 sets borrow');
+
+regs.setFlag(FLAGS.CF, 1);
+assert.strictEqual(alu.adc8(0xFF, 0), 0x00, 'adc8 wraps at 8 bits');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'adc8 carries out of bit 7');
+
+// Logical ops clear CF/OF
+regs.setFlag(FLAGS.CF, 1);
+regs.setFlag(FLAGS.OF, 1);
+alu.or16(1, 2);
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'or16 clears CF');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 0, 'or16 clears OF');
+
+// 8-bit arithmetic flags
+regs.set16('FLAGS', 0);
+assert.strictEqual(alu.add8(0x7F, 1), 0x80, 'add8 result');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'add8 OF on signed overflow');
+assert.strictEqual(regs.getFlag(FLAGS.SF), 1, 'add8 SF from bit 7');
+assert.strictEqual(regs.getFlag(FLAGS.AF), 1, 'add8 AF on nibble carry');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'add8 no carry out');
+
+assert.strictEqual(alu.sub8(0x00, 0x01), 0xFF, 'sub8 borrow wraps');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'sub8 CF on borrow');
+assert.strictEqual(regs.getFlag(FLAGS.PF), 1, 'sub8 PF even for 0xFF');
+
+regs.setFlag(FLAGS.CF, 1);
+assert.strictEqual(alu.inc8(0xFF), 0x00, 'inc8 wraps');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'inc8 preserves CF');
+assert.strictEqual(regs.getFlag(FLAGS.ZF), 1, 'inc8 sets ZF');
+
+assert.strictEqual(alu.neg8(0x80), 0x80, 'neg8 of -128');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'neg8 OF on -128');
+
+// 8-bit multiply / divide
+regs.set16('AX', 0x0010);
+alu.mul8(0x10);
+assert.strictEqual(regs.get16('AX'), 0x0100, 'mul8 writes AX');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'mul8 CF when AH non-zero');
+
+regs.set8('AL', 0xFE); // -2
+alu.imul8(0x03);
+assert.strictEqual(regs.get16('AX'), 0xFFFA, 'imul8 sign-extends into AH');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'imul8 CF clear when result fits AL');
+
+regs.set16('AX', 257);
+alu.div8(10);
+assert.strictEqual(regs.get8('AL'), 25, 'div8 quotient in AL');
+assert.strictEqual(regs.get8('AH'), 7, 'div8 remainder in AH');
+
+regs.set16('AX', 0xFFF9); // -7
+alu.idiv8(2);
+assert.strictEqual(regs.get8('AL'), 0xFD, 'idiv8 truncates toward zero (-3)');
+assert.strictEqual(regs.get8('AH'), 0xFF, 'idiv8 remainder takes dividend sign (-1)');
+
+// 8-bit shifts/rotates
+assert.strictEqual(alu.shl8(0x81, 1), 0x02, 'shl8 drops bit 7');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'shl8 CF from bit 7');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'shl8 OF when sign changes');
+
+assert.strictEqual(alu.shr8(0x80, 1), 0x40, 'shr8 result');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'shr8 OF from original MSB');
+
+assert.strictEqual(alu.sar8(0x81, 2), 0xE0, 'sar8 preserves sign');
+assert.strictEqual(alu.rol8(0x81, 1), 0x03, 'rol8 wraps bit 7 to bit 0');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'rol8 CF from rotated bit');
+assert.strictEqual(alu.ror8(0x01, 1), 0x80, 'ror8 wraps bit 0 to bit 7');
+
+regs.setFlag(FLAGS.CF, 0);
+assert.strictEqual(alu.rcr8(0x01, 1), 0x00, 'rcr8 rotates through carry');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'rcr8 CF takes bit 0');
+assert.strictEqual(alu.rcl8(0x00, 1), 0x01, 'rcl8 rotates carry into bit 0');
+
+// Decimal adjust
+// DAA: 0x38 + 0x45 = 0x7D -> BCD 83
+regs.set16('FLAGS', 0);
+regs.set8('AL', alu.add8(0x38, 0x45));
+alu.daa();
+assert.strictEqual(regs.get8('AL'), 0x83, 'daa adjusts low nibble');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'daa no decimal carry');
+assert.strictEqual(regs.getFlag(FLAGS.OF), 1, 'daa OF when adjustment crosses into negative');
+
+// DAA: 0x99 + 0x01 = 0x9A -> BCD 00 with carry
+regs.set8('AL', alu.add8(0x99, 0x01));
+alu.daa();
+assert.strictEqual(regs.get8('AL'), 0x00, 'daa wraps to 00');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'daa sets decimal carry');
+assert.strictEqual(regs.getFlag(FLAGS.ZF), 1, 'daa sets ZF');
+
+// DAS: 0x83 - 0x38 = 0x4B -> BCD 45
+regs.set8('AL', alu.sub8(0x83, 0x38));
+alu.das();
+assert.strictEqual(regs.get8('AL'), 0x45, 'das adjusts');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'das no decimal borrow');
+
+// AAA: '9' + '5' (0x39 + 0x35 = 0x6E) -> AX = 0x0104
+regs.set16('AX', 0);
+regs.set8('AL', alu.add8(0x39, 0x35));
+alu.aaa();
+assert.strictEqual(regs.get16('AX'), 0x0104, 'aaa carries into AH and masks AL');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'aaa sets CF on adjustment');
+assert.strictEqual(regs.getFlag(FLAGS.AF), 1, 'aaa sets AF on adjustment');
+
+// AAS: 0x0102 ('1' '2' unpacked) minus 5 -> 0x0007 after borrow
+regs.set16('AX', 0x0102);
+regs.set8('AL', alu.sub8(0x02, 0x05));
+alu.aas();
+assert.strictEqual(regs.get16('AX'), 0x0007, 'aas borrows from AH');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 1, 'aas sets CF on adjustment');
+
+// AAM: 7 * 9 = 63 -> AX = 0x0603
+regs.set16('AX', 63);
+alu.aam();
+assert.strictEqual(regs.get16('AX'), 0x0603, 'aam splits AL into BCD digits');
+assert.strictEqual(regs.getFlag(FLAGS.CF), 0, 'aam leaves CF clear');
+
+// AAD: AX = 0x0603 -> AL = 63, AH = 0
+alu.aad();
+assert.strictEqual(regs.get16('AX'), 63, 'aad packs AH:AL into binary');
+
+// AAM with base 0 raises a divide error
+regs.pendingInterrupt = null;
+alu.aam(0);
+assert.strictEqual(regs.pendingInterrupt, 0, 'aam 0 raises interrupt type 0');
+regs.pendingInterrupt = null;
+
 console.log('tests/engine/test_alu.js: all assertions passed');
\ No newline at end of file
@@ -103,4 +103,454 @@ cpu.memory.writeByte(0, 28, 0xF8); // ModR/M: mod=3, ext=7 (SAR), rm=0 (AX)
 cpu.step();
 assert.strictEqual(cpu.registers.get16('AX'), 0xC000, 'SAR AX, 1 preserves sign');
 
+// ALU block: ModR/M and immediate-group forms
+// Each program is loaded at CS:IP = 0000:0100 on a fresh CPU
+function run(bytes, setup = () => {}) {
+    const c = new CPU();
+    bytes.forEach((b, i) => c.memory.writeByte(0, 0x100 + i, b));
+    c.registers.set16('IP', 0x100);
+    setup(c);
+    c.step();
+    return c;
+}
+
+// ADD BX, CX (0x01 /r, mod=3 reg=CX rm=BX)
+let c = run([0x01, 0xCB], (c) => { c.registers.set16('BX', 0x1000); c.registers.set16('CX', 0x0234); });
+assert.strictEqual(c.registers.get16('BX'), 0x1234, 'ADD r/m16, r16 executed');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'ADD r/m16, r16 consumed ModR/M byte');
+
+// SUB DX, [BX+SI+4] (0x2B /r, mod=1 reg=DX rm=0 disp8)
+c = run([0x2B, 0x50, 0x04], (c) => {
+    c.registers.set16('DX', 0x0010);
+    c.registers.set16('BX', 0x0200);
+    c.registers.set16('SI', 0x0002);
+    c.memory.writeByte(0, 0x206, 0x11);
+    c.memory.writeByte(0, 0x207, 0x00);
+});
+assert.strictEqual(c.registers.get16('DX'), 0xFFFF, 'SUB r16, r/m16 reads memory operand');
+assert.strictEqual(c.registers.getFlag(FLAGS.CF), 1, 'SUB r16, r/m16 sets borrow');
+
+// OR [0x0300], AX (0x09 /r, mod=0 rm=6 direct address)
+c = run([0x09, 0x06, 0x00, 0x03], (c) => {
+    c.registers.set16('AX', 0x00F0);
+    c.memory.writeByte(0, 0x300, 0x0F);
+});
+assert.strictEqual(c.memory.readByte(0, 0x300), 0xFF, 'OR r/m16, r16 writes memory low byte');
+assert.strictEqual(c.memory.readByte(0, 0x301), 0x00, 'OR r/m16, r16 writes memory high byte');
+
+// ADC AL, imm8 (0x14) with CF set
+c = run([0x14, 0x01], (c) => { c.registers.set8('AL', 0xFE); c.registers.setFlag(FLAGS.CF, 1); });
+assert.strictEqual(c.registers.get8('AL'), 0x00, 'ADC AL, imm8 adds carry in');
+assert.strictEqual(c.registers.getFlag(FLAGS.CF), 1, 'ADC AL, imm8 carries out');
+
+// SBB AH, BL (0x1A /r, reg=AH rm=BL)
+c = run([0x1A, 0xE3], (c) => { c.registers.set8('AH', 0x10); c.registers.set8('BL', 0x01); c.registers.setFlag(FLAGS.CF, 1); });
+assert.strictEqual(c.registers.get8('AH'), 0x0E, 'SBB r8, r/m8 subtracts borrow in');
+
+// CMP CX, DX leaves operands untouched (0x39 /r)
+c = run([0x39, 0xD1], (c) => { c.registers.set16('CX', 5); c.registers.set16('DX', 5); });
+assert.strictEqual(c.registers.get16('CX'), 5, 'CMP does not write back');
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 1, 'CMP r/m16, r16 sets ZF');
+
+// ADD SI, 0x1234 (0x81 /0 imm16)
+c = run([0x81, 0xC6, 0x34, 0x12], (c) => { c.registers.set16('SI', 1); });
+assert.strictEqual(c.registers.get16('SI'), 0x1235, 'ADD r/m16, imm16 executed');
+
+// SUB word [BP+2], -1 (0x83 /5 disp8 imm8) uses SS and sign-extends the immediate
+c = run([0x83, 0x6E, 0x02, 0xFF], (c) => {
+    c.registers.set16('SS', 0x1000);
+    c.registers.set16('BP', 0x0010);
+    c.memory.writeByte(0x1000, 0x12, 0x01);
+});
+assert.strictEqual(c.memory.readByte(0x1000, 0x12), 0x02, 'SUB r/m16, imm8 sign-extends (x - (-1))');
+assert.strictEqual(c.memory.readByte(0x1000, 0x13), 0x00, 'SUB r/m16, imm8 high byte');
+
+// AND byte [DI], 0x0F (0x80 /4 imm8)
+c = run([0x80, 0x25, 0x0F], (c) => { c.registers.set16('DI', 0x400); c.memory.writeByte(0, 0x400, 0xAB); });
+assert.strictEqual(c.memory.readByte(0, 0x400), 0x0B, 'AND r/m8, imm8 executed');
+assert.strictEqual(c.registers.getFlag(FLAGS.CF), 0, 'AND clears CF');
+
+// XOR AX, AX (0x31 /r) zeroes the register
+c = run([0x31, 0xC0], (c) => { c.registers.set16('AX', 0xBEEF); });
+assert.strictEqual(c.registers.get16('AX'), 0, 'XOR AX, AX zeroes');
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 1, 'XOR AX, AX sets ZF');
+
+// Byte-width operations
+// MOV AH, 0x12 (0xB4)
+c = run([0xB4, 0x12]);
+assert.strictEqual(c.registers.get16('AX'), 0x1200, 'MOV AH, imm8 writes the high byte');
+
+// MOV [BX], CL (0x88 /r)
+c = run([0x88, 0x0F], (c) => { c.registers.set16('BX', 0x500); c.registers.set8('CL', 0x5A); });
+assert.strictEqual(c.memory.readByte(0, 0x500), 0x5A, 'MOV r/m8, r8 writes memory');
+assert.strictEqual(c.memory.readByte(0, 0x501), 0x00, 'MOV r/m8, r8 writes a single byte');
+
+// MOV DH, [SI] (0x8A /r)
+c = run([0x8A, 0x34], (c) => { c.registers.set16('SI', 0x600); c.memory.writeByte(0, 0x600, 0x77); });
+assert.strictEqual(c.registers.get8('DH'), 0x77, 'MOV r8, r/m8 reads memory');
+
+// MOV BX, CX (0x89 /r)
+c = run([0x89, 0xCB], (c) => { c.registers.set16('CX', 0xCAFE); });
+assert.strictEqual(c.registers.get16('BX'), 0xCAFE, 'MOV r/m16, r16 register form');
+
+// MOV byte [0x0700], 0x99 (0xC6 /0)
+c = run([0xC6, 0x06, 0x00, 0x07, 0x99]);
+assert.strictEqual(c.memory.readByte(0, 0x700), 0x99, 'MOV r/m8, imm8 after displacement');
+
+// MOV AL, [0x0800] (0xA0)
+c = run([0xA0, 0x00, 0x08], (c) => { c.memory.writeByte(0, 0x800, 0x42); });
+assert.strictEqual(c.registers.get8('AL'), 0x42, 'MOV AL, moffs8');
+
+// SHL AL, CL (0xD2 /4)
+c = run([0xD2, 0xE0], (c) => { c.registers.set8('AL', 0x81); c.registers.set8('CL', 1); });
+assert.strictEqual(c.registers.get8('AL'), 0x02, 'SHL AL, CL executed');
+assert.strictEqual(c.registers.getFlag(FLAGS.CF), 1, 'SHL AL, CL sets CF');
+
+// ROR byte [DI], 1 (0xD0 /1)
+c = run([0xD0, 0x0D], (c) => { c.registers.set16('DI', 0x900); c.memory.writeByte(0, 0x900, 0x01); });
+assert.strictEqual(c.memory.readByte(0, 0x900), 0x80, 'ROR r/m8, 1 on memory');
+
+// MUL BL (0xF6 /4)
+c = run([0xF6, 0xE3], (c) => { c.registers.set8('AL', 200); c.registers.set8('BL', 2); });
+assert.strictEqual(c.registers.get16('AX'), 400, 'MUL r/m8 writes AX');
+
+// DIV CH (0xF6 /6)
+c = run([0xF6, 0xF5], (c) => { c.registers.set16('AX', 100); c.registers.set8('CH', 7); });
+assert.strictEqual(c.registers.get8('AL'), 14, 'DIV r/m8 quotient');
+assert.strictEqual(c.registers.get8('AH'), 2, 'DIV r/m8 remainder');
+
+// TEST AL, 0x80 (0xA8)
+c = run([0xA8, 0x80], (c) => { c.registers.set8('AL', 0x7F); });
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 1, 'TEST AL, imm8 sets ZF');
+
+// DEC byte [BX] (0xFE /1)
+c = run([0xFE, 0x0F], (c) => { c.registers.set16('BX', 0xA00); c.memory.writeByte(0, 0xA00, 0x01); });
+assert.strictEqual(c.memory.readByte(0, 0xA00), 0x00, 'DEC r/m8 on memory');
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 1, 'DEC r/m8 sets ZF');
+
+// XCHG AL, AH (0x86 /r)
+c = run([0x86, 0xE0], (c) => { c.registers.set16('AX', 0x1234); });
+assert.strictEqual(c.registers.get16('AX'), 0x3412, 'XCHG r8, r/m8 swaps bytes');
+
+// Interrupts
+// Helper: point IVT entry `type` at seg:off
+function setVector(c, type, seg, off) {
+    c.memory.writeByte(0, type * 4, off & 0xFF);
+    c.memory.writeByte(0, type * 4 + 1, off >> 8);
+    c.memory.writeByte(0, type * 4 + 2, seg & 0xFF);
+    c.memory.writeByte(0, type * 4 + 3, seg >> 8);
+}
+
+// INT 21h (0xCD 0x21) pushes FLAGS/CS/IP and vectors through the IVT
+c = run([0xCD, 0x21], (c) => {
+    c.registers.set16('SS', 0x2000);
+    c.registers.set16('SP', 0x0100);
+    c.registers.setFlag(FLAGS.IF, 1);
+    setVector(c, 0x21, 0x3000, 0x0040);
+});
+assert.strictEqual(c.registers.get16('CS'), 0x3000, 'INT loads CS from the IVT');
+assert.strictEqual(c.registers.get16('IP'), 0x0040, 'INT loads IP from the IVT');
+assert.strictEqual(c.registers.get16('SP'), 0x00FA, 'INT pushes three words');
+assert.strictEqual(c.registers.getFlag(FLAGS.IF), 0, 'INT clears IF');
+assert.strictEqual(c.pop16(), 0x0102, 'INT pushes the return IP');
+assert.strictEqual(c.pop16(), 0x0000, 'INT pushes the return CS');
+c.registers.set16('SP', 0x00FA);
+
+// IRET (0xCF) at the handler returns and restores FLAGS
+c.memory.writeByte(0x3000, 0x0040, 0xCF);
+c.step();
+assert.strictEqual(c.registers.get16('CS'), 0x0000, 'IRET restores CS');
+assert.strictEqual(c.registers.get16('IP'), 0x0102, 'IRET restores IP');
+assert.strictEqual(c.registers.getFlag(FLAGS.IF), 1, 'IRET restores IF');
+assert.strictEqual(c.registers.get16('SP'), 0x0100, 'IRET pops three words');
+
+// DIV by zero raises type 0 with the return address after the instruction
+c = run([0xF7, 0xF3], (c) => {
+    c.registers.set16('SP', 0x0100);
+    c.registers.set16('BX', 0);
+    setVector(c, 0, 0x0050, 0x0000);
+});
+assert.strictEqual(c.registers.get16('CS'), 0x0050, 'divide error vectors to type 0');
+assert.strictEqual(c.pop16(), 0x0102, 'divide error pushes IP of the next instruction');
+
+// Quotient overflow is a divide error too
+c = run([0xF7, 0xF3], (c) => {
+    c.registers.set16('SP', 0x0100);
+    c.registers.set16('DX', 0x0001);
+    c.registers.set16('BX', 1);
+    setVector(c, 0, 0x0050, 0x0000);
+});
+assert.strictEqual(c.registers.get16('CS'), 0x0050, 'DIV quotient overflow vectors to type 0');
+
+// INTO (0xCE) only interrupts when OF is set
+c = run([0xCE], (c) => { setVector(c, 4, 0x0060, 0x0000); });
+assert.strictEqual(c.registers.get16('IP'), 0x101, 'INTO falls through when OF = 0');
+c = run([0xCE], (c) => { c.registers.set16('SP', 0x100); c.registers.setFlag(FLAGS.OF, 1); setVector(c, 4, 0x0060, 0x0000); });
+assert.strictEqual(c.registers.get16('CS'), 0x0060, 'INTO vectors to type 4 when OF = 1');
+
+// INT 3 (0xCC)
+c = run([0xCC], (c) => { c.registers.set16('SP', 0x100); setVector(c, 3, 0x0070, 0x0010); });
+assert.strictEqual(c.registers.get16('IP'), 0x0010, 'INT 3 vectors to type 3');
+
+// Maskable requests wait for IF and wake the CPU from HLT
+c = run([0xF4], (c) => { c.registers.set16('SP', 0x100); setVector(c, 8, 0x0080, 0x0000); });
+assert.strictEqual(c.halted, true, 'HLT halts');
+c.requestInterrupt(8);
+c.step();
+assert.strictEqual(c.halted, true, 'request ignored while IF = 0');
+c.registers.setFlag(FLAGS.IF, 1);
+c.step();
+assert.strictEqual(c.halted, false, 'request wakes the CPU when IF = 1');
+assert.strictEqual(c.registers.get16('CS'), 0x0080, 'request vectors through the IVT');
+
+// Control transfer
+// Conditional jumps: taken/not-taken based on flag state (rel8 0x10 from 0x102)
+const jcc = (opcode, flags) => run([opcode, 0x10], (c) => {
+    for (const [flag, value] of Object.entries(flags)) c.registers.setFlag(FLAGS[flag], value);
+}).registers.get16('IP');
+assert.strictEqual(jcc(0x7C, { SF: 1, OF: 0 }), 0x112, 'JL taken when SF != OF');
+assert.strictEqual(jcc(0x7C, { SF: 1, OF: 1 }), 0x102, 'JL not taken when SF == OF');
+assert.strictEqual(jcc(0x7F, { ZF: 0, SF: 0, OF: 0 }), 0x112, 'JG taken when ZF = 0 and SF == OF');
+assert.strictEqual(jcc(0x7E, { ZF: 1 }), 0x112, 'JLE taken when ZF = 1');
+assert.strictEqual(jcc(0x77, { CF: 0, ZF: 0 }), 0x112, 'JA taken when CF = 0 and ZF = 0');
+assert.strictEqual(jcc(0x76, { CF: 1 }), 0x112, 'JBE taken when CF = 1');
+assert.strictEqual(jcc(0x70, { OF: 1 }), 0x112, 'JO taken when OF = 1');
+assert.strictEqual(jcc(0x7B, { PF: 1 }), 0x102, 'JNP not taken when PF = 1');
+assert.strictEqual(jcc(0x79, { SF: 0 }), 0x112, 'JNS taken when SF = 0');
+
+// JMP short backwards (0xEB 0xFE = jump to self)
+c = run([0xEB, 0xFE]);
+assert.strictEqual(c.registers.get16('IP'), 0x100, 'JMP rel8 backwards');
+
+// JMP near (0xE9 rel16)
+c = run([0xE9, 0x00, 0x10]);
+assert.strictEqual(c.registers.get16('IP'), 0x1103, 'JMP rel16');
+
+// JMP far (0xEA off seg)
+c = run([0xEA, 0x34, 0x12, 0x00, 0x20]);
+assert.strictEqual(c.registers.get16('CS'), 0x2000, 'JMP far loads CS');
+assert.strictEqual(c.registers.get16('IP'), 0x1234, 'JMP far loads IP');
+
+// CALL far (0x9A) then RETF imm16 (0xCA)
+c = run([0x9A, 0x00, 0x00, 0x00, 0x30], (c) => {
+    c.registers.set16('SP', 0x200);
+    c.memory.writeByte(0x3000, 0, 0xCA);
+    c.memory.writeByte(0x3000, 1, 0x04);
+    c.memory.writeByte(0x3000, 2, 0x00);
+});
+assert.strictEqual(c.registers.get16('CS'), 0x3000, 'CALL far loads CS');
+assert.strictEqual(c.registers.get16('SP'), 0x1FC, 'CALL far pushes CS and IP');
+c.step();
+assert.strictEqual(c.registers.get16('CS'), 0x0000, 'RETF restores CS');
+assert.strictEqual(c.registers.get16('IP'), 0x105, 'RETF restores IP');
+assert.strictEqual(c.registers.get16('SP'), 0x204, 'RETF imm16 releases arguments');
+
+// CALL BX (0xFF /2) and JMP [SI] (0xFF /4)
+c = run([0xFF, 0xD3], (c) => { c.registers.set16('SP', 0x200); c.registers.set16('BX', 0x4000); });
+assert.strictEqual(c.registers.get16('IP'), 0x4000, 'CALL r/m16 jumps to register value');
+assert.strictEqual(c.pop16(), 0x102, 'CALL r/m16 pushes return address');
+c = run([0xFF, 0x24], (c) => { c.registers.set16('SI', 0x300); c.memory.writeByte(0, 0x300, 0x78); c.memory.writeByte(0, 0x301, 0x56); });
+assert.strictEqual(c.registers.get16('IP'), 0x5678, 'JMP m16 reads target from memory');
+
+// JMP FAR [BX] (0xFF /5)
+c = run([0xFF, 0x2F], (c) => {
+    c.registers.set16('BX', 0x300);
+    [0x11, 0x00, 0x00, 0x40].forEach((b, i) => c.memory.writeByte(0, 0x300 + i, b));
+});
+assert.strictEqual(c.registers.get16('CS'), 0x4000, 'JMP m16:16 loads CS');
+assert.strictEqual(c.registers.get16('IP'), 0x0011, 'JMP m16:16 loads IP');
+
+// CALL FAR BX and JMP FAR BX (0xFF /3 and /5 with mod=3) are undefined; they change nothing
+c = run([0xFF, 0xDB], (c) => { c.registers.set16('SP', 0x200); c.registers.set16('BX', 0x4000); });
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'CALL FAR with a register operand is skipped');
+assert.strictEqual(c.registers.get16('SP'), 0x200, 'CALL FAR with a register operand pushes nothing');
+c = run([0xFF, 0xEB], (c) => { c.registers.set16('BX', 0x4000); });
+assert.strictEqual(c.registers.get16('CS'), 0x0000, 'JMP FAR with a register operand keeps CS');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'JMP FAR with a register operand is skipped');
+
+// LOOP (0xE2) decrements CX and jumps while non-zero
+c = run([0xE2, 0xFE], (c) => { c.registers.set16('CX', 2); });
+assert.strictEqual(c.registers.get16('CX'), 1, 'LOOP decrements CX');
+assert.strictEqual(c.registers.get16('IP'), 0x100, 'LOOP taken while CX != 0');
+c.step();
+assert.strictEqual(c.registers.get16('CX'), 0, 'LOOP reaches zero');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'LOOP falls through at CX = 0');
+
+// LOOPE (0xE1) stops when ZF = 0
+c = run([0xE1, 0xFE], (c) => { c.registers.set16('CX', 5); c.registers.setFlag(FLAGS.ZF, 0); });
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'LOOPE falls through when ZF = 0');
+
+// JCXZ (0xE3)
+c = run([0xE3, 0x10], (c) => { c.registers.set16('CX', 0); });
+assert.strictEqual(c.registers.get16('IP'), 0x112, 'JCXZ taken when CX = 0');
+
+// RET imm16 (0xC2)
+c = run([0xC2, 0x06, 0x00], (c) => { c.registers.set16('SP', 0x1FE); c.memory.writeByte(0, 0x1FE, 0x50); });
+assert.strictEqual(c.registers.get16('IP'), 0x0050, 'RET imm16 pops IP');
+assert.strictEqual(c.registers.get16('SP'), 0x206, 'RET imm16 releases arguments');
+
+// String instructions
+// REP MOVSB (0xF3 0xA4): one iteration per step, restarting at the prefix
+c = run([0xF3, 0xA4], (c) => {
+    c.registers.set16('DS', 0x1000);
+    c.registers.set16('ES', 0x2000);
+    c.registers.set16('SI', 0x0000);
+    c.registers.set16('DI', 0x0010);
+    c.registers.set16('CX', 3);
+    [0x41, 0x42, 0x43].forEach((b, i) => c.memory.writeByte(0x1000, i, b));
+});
+assert.strictEqual(c.registers.get16('CX'), 2, 'REP MOVSB runs one iteration per step');
+assert.strictEqual(c.registers.get16('IP'), 0x100, 'REP MOVSB rewinds IP to the prefix');
+c.step();
+c.step();
+assert.strictEqual(c.registers.get16('CX'), 0, 'REP MOVSB counts CX down to zero');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'REP MOVSB continues after the last iteration');
+assert.strictEqual(c.memory.readByte(0x2000, 0x12), 0x43, 'REP MOVSB copies DS:SI to ES:DI');
+assert.strictEqual(c.registers.get16('SI'), 3, 'MOVSB advances SI');
+assert.strictEqual(c.registers.get16('DI'), 0x13, 'MOVSB advances DI');
+
+// REP with CX = 0 does nothing
+c = run([0xF3, 0xAA], (c) => { c.registers.set16('CX', 0); c.registers.set16('DI', 0x50); });
+assert.strictEqual(c.registers.get16('DI'), 0x50, 'REP STOSB with CX = 0 is skipped');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'REP STOSB with CX = 0 falls through');
+
+// STD; STOSW stores AX and steps DI backwards
+c = run([0xFD, 0xAB], (c) => { c.registers.set16('AX', 0xABCD); c.registers.set16('DI', 0x60); });
+c.step();
+assert.strictEqual(c.memory.readByte(0, 0x60), 0xCD, 'STOSW stores AL at ES:DI');
+assert.strictEqual(c.memory.readByte(0, 0x61), 0xAB, 'STOSW stores AH at ES:DI+1');
+assert.strictEqual(c.registers.get16('DI'), 0x5E, 'STOSW with DF = 1 decrements DI by 2');
+
+// LODSB (0xAC)
+c = run([0xAC], (c) => { c.registers.set16('SI', 0x70); c.memory.writeByte(0, 0x70, 0x99); });
+assert.strictEqual(c.registers.get8('AL'), 0x99, 'LODSB loads AL from DS:SI');
+assert.strictEqual(c.registers.get16('SI'), 0x71, 'LODSB advances SI');
+
+// REPNE SCASB (0xF2 0xAE) stops on the first match
+c = run([0xF2, 0xAE], (c) => {
+    c.registers.set8('AL', 0x30);
+    c.registers.set16('DI', 0x80);
+    c.registers.set16('CX', 10);
+    [0x10, 0x20, 0x30, 0x40].forEach((b, i) => c.memory.writeByte(0, 0x80 + i, b));
+});
+while (c.registers.get16('IP') === 0x100) c.step();
+assert.strictEqual(c.registers.get16('DI'), 0x83, 'REPNE SCASB stops after the match');
+assert.strictEqual(c.registers.get16('CX'), 7, 'REPNE SCASB counted three iterations');
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 1, 'REPNE SCASB leaves ZF = 1 on match');
+
+// REPE CMPSB (0xF3 0xA6) stops on the first difference
+c = run([0xF3, 0xA6], (c) => {
+    c.registers.set16('SI', 0x90);
+    c.registers.set16('DI', 0xA0);
+    c.registers.set16('CX', 4);
+    [0x01, 0x02, 0x03, 0x04].forEach((b, i) => c.memory.writeByte(0, 0x90 + i, b));
+    [0x01, 0x02, 0x09, 0x04].forEach((b, i) => c.memory.writeByte(0, 0xA0 + i, b));
+});
+while (c.registers.get16('IP') === 0x100) c.step();
+assert.strictEqual(c.registers.get16('CX'), 1, 'REPE CMPSB stops at the mismatch');
+assert.strictEqual(c.registers.getFlag(FLAGS.ZF), 0, 'REPE CMPSB leaves ZF = 0 on mismatch');
+
+// Segment overrides and segment registers
+// MOV AX, ES:[BX] (0x26 0x8B /r)
+c = run([0x26, 0x8B, 0x07], (c) => {
+    c.registers.set16('ES', 0x5000);
+    c.registers.set16('BX', 0x0010);
+    c.memory.writeByte(0x5000, 0x10, 0x34);
+    c.memory.writeByte(0x5000, 0x11, 0x12);
+});
+assert.strictEqual(c.registers.get16('AX'), 0x1234, 'ES: override replaces DS');
+assert.strictEqual(c.registers.get16('IP'), 0x103, 'override prefix consumed');
+
+// MOV AX, DS:[BP] (0x3E 0x8B /r mod=1 disp8=0) overrides the BP rule
+c = run([0x3E, 0x8B, 0x46, 0x00], (c) => {
+    c.registers.set16('DS', 0x6000);
+    c.registers.set16('SS', 0x7000);
+    c.registers.set16('BP', 0x0020);
+    c.memory.writeByte(0x6000, 0x20, 0x55);
+});
+assert.strictEqual(c.registers.get16('AX'), 0x0055, 'DS: override beats the BP -> SS rule');
+
+// The override only lasts for one instruction
+c.memory.writeByte(0, 0x104, 0x8B);
+c.memory.writeByte(0, 0x105, 0x46);
+c.memory.writeByte(0, 0x106, 0x00);
+c.memory.writeByte(0x7000, 0x20, 0x66);
+c.step();
+assert.strictEqual(c.registers.get16('AX'), 0x0066, 'BP rule applies again after the prefixed instruction');
+
+// MOV DS, AX (0x8E /3) and MOV BX, ES (0x8C /0)
+c = run([0x8E, 0xD8], (c) => { c.registers.set16('AX', 0x1234); });
+assert.strictEqual(c.registers.get16('DS'), 0x1234, 'MOV Sreg, r/m16');
+c = run([0x8C, 0xC3], (c) => { c.registers.set16('ES', 0xB800); });
+assert.strictEqual(c.registers.get16('BX'), 0xB800, 'MOV r/m16, Sreg');
+
+// PUSH CS (0x0E); POP ES (0x07)
+c = run([0x0E, 0x07], (c) => { c.registers.set16('SP', 0x200); c.registers.set16('CS', 0); });
+c.step();
+assert.strictEqual(c.registers.get16('ES'), 0x0000, 'PUSH CS / POP ES copies CS into ES');
+assert.strictEqual(c.registers.get16('SP'), 0x200, 'PUSH/POP Sreg balance the stack');
+
+// CS: override on a string source (0x2E 0xAC = LODSB from CS:SI)
+c = run([0x2E, 0xAC], (c) => { c.registers.set16('DS', 0x9000); c.registers.set16('SI', 0x100); });
+assert.strictEqual(c.registers.get8('AL'), 0x2E, 'CS: override applies to the string source');
+
+// Loading SS holds off a pending interrupt for one instruction
+c = run([0x8E, 0xD0, 0x90], (c) => {
+    c.registers.set16('SP', 0x100);
+    c.registers.setFlag(FLAGS.IF, 1);
+    setVector(c, 9, 0x0090, 0x0000);
+    c.requestInterrupt(9);
+});
+assert.strictEqual(c.registers.get16('CS'), 0x0000, 'MOV SS delays interrupts');
+c.step();
+assert.strictEqual(c.registers.get16('CS'), 0x0090, 'interrupt serviced after the next instruction');
+
+// Flag and auxiliary instructions
+// PUSHF (0x9C) fills in the 8086's fixed bits
+c = run([0x9C], (c) => { c.registers.set16('SP', 0x100); c.registers.set16('FLAGS', 0); c.registers.setFlag(FLAGS.CF, 1); });
+assert.strictEqual(c.pop16(), 0xF003, 'PUSHF sets bits 1 and 12-15');
+
+// POPF (0x9D) ignores the fixed bits and restores the others
+c = run([0x9D], (c) => { c.registers.set16('SP', 0x100); c.push16(0xFFFF); });
+assert.strictEqual(c.registers.get16('FLAGS'), 0x0FD5, 'POPF only loads defined flags');
+assert.strictEqual(c.registers.getFlag(FLAGS.DF), 1, 'POPF restores DF');
+
+// LAHF (0x9F) / SAHF (0x9E)
+c = run([0x9F], (c) => { c.registers.setFlag(FLAGS.ZF, 1); c.registers.setFlag(FLAGS.CF, 1); });
+assert.strictEqual(c.registers.get8('AH'), 0x43, 'LAHF copies SF ZF AF PF CF with bit 1 set');
+c = run([0x9E], (c) => { c.registers.set8('AH', 0xFF); c.registers.setFlag(FLAGS.OF, 1); });
+assert.strictEqual(c.registers.get16('FLAGS'), 0x08D5, 'SAHF loads the low flags and leaves OF alone');
+
+// CBW (0x98) / CWD (0x99)
+c = run([0x98], (c) => { c.registers.set16('AX', 0x1280); });
+assert.strictEqual(c.registers.get16('AX'), 0xFF80, 'CBW sign-extends AL');
+c = run([0x99], (c) => { c.registers.set16('AX', 0x8000); });
+assert.strictEqual(c.registers.get16('DX'), 0xFFFF, 'CWD sign-extends AX into DX');
+c = run([0x99], (c) => { c.registers.set16('AX', 0x7FFF); c.registers.set16('DX', 0x1234); });
+assert.strictEqual(c.registers.get16('DX'), 0x0000, 'CWD clears DX for positive AX');
+
+// XLAT (0xD7)
+c = run([0xD7], (c) => { c.registers.set16('BX', 0x300); c.registers.set8('AL', 5); c.memory.writeByte(0, 0x305, 0xEE); });
+assert.strictEqual(c.registers.get8('AL'), 0xEE, 'XLAT loads AL from [BX+AL]');
+
+// CLI (0xFA) / STI (0xFB)
+c = run([0xFA], (c) => { c.registers.setFlag(FLAGS.IF, 1); });
+assert.strictEqual(c.registers.getFlag(FLAGS.IF), 0, 'CLI clears IF');
+c = run([0xFB, 0x90], (c) => {
+    c.registers.set16('SP', 0x100);
+    setVector(c, 9, 0x0090, 0x0000);
+    c.requestInterrupt(9);
+});
+assert.strictEqual(c.registers.getFlag(FLAGS.IF), 1, 'STI sets IF');
+assert.strictEqual(c.registers.get16('CS'), 0x0000, 'STI enables interrupts after the next instruction');
+c.step();
+assert.strictEqual(c.registers.get16('CS'), 0x0090, 'pending request serviced after the instruction following STI');
+
+// Decimal adjust via opcodes: DAA (0x27), AAM (0xD4 0x0A)
+c = run([0x27], (c) => { c.registers.set8('AL', 0x0F); });
+assert.strictEqual(c.registers.get8('AL'), 0x15, 'DAA executed');
+c = run([0xD4, 0x0A], (c) => { c.registers.set8('AL', 42); });
+assert.strictEqual(c.registers.get16('AX'), 0x0402, 'AAM imm8 executed');
+assert.strictEqual(c.registers.get16('IP'), 0x102, 'AAM consumes its base byte');
+
 console.log('tests/engine/test_cpu.js: all assertions passed');
\ No newline at end of file
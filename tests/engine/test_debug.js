@@ -0,0 +1,71 @@
+import assert from 'node:assert';
+import { CPU } from '../../src/engine/cpu.js';
+import { DOSServices, BufferConsole } from '../../src/engine/dos.js';
+import { SourceDebugger } from '../../src/engine/debug.js';
+import runAssembler from '../../src/assembler/index.js';
+
+const program = runAssembler([
+    '; counts to two through a subroutine',
+    'ORG 100h',
+    'START:  MOV CX, 2',
+    'AGAIN:  CALL BUMP',
+    '        LOOP AGAIN',
+    '        MOV AX, 4C00h',
+    '        INT 21h',
+    'BUMP:   INC BX',
+    '        RET'
+].join('\n'));
+
+// The source map covers every instruction, in address order
+assert.deepStrictEqual(program.sourceMap.ranges.slice(0, 3), [
+    { start: 0x100, end: 0x103, line: 3, column: 9 },
+    { start: 0x103, end: 0x106, line: 4, column: 9 },
+    { start: 0x106, end: 0x108, line: 5, column: 9 }
+], 'address ranges');
+assert.deepStrictEqual(program.sourceMap.labels.BUMP, { offset: 0x10D, line: 8, column: 1 }, 'label location');
+
+// Loaded .COM-style at 0700:0100
+const cpu = new CPU();
+new DOSServices(new BufferConsole()).attach(cpu);
+cpu.memory.load(0x7000 + program.origin, program.machineCode);
+cpu.registers.set16('CS', 0x0700);
+cpu.registers.set16('IP', program.origin);
+
+const debug = new SourceDebugger(cpu, program.sourceMap);
+assert.strictEqual(debug.currentLine(), 3, 'starts on the first instruction');
+assert.deepStrictEqual(debug.locate(0x0700, 0x104), { start: 0x103, end: 0x106, line: 4, column: 9 }, 'middle of an instruction');
+assert.strictEqual(debug.locate(0x0710, 0x0004)?.line, 4, 'another CS:IP for the same physical address');
+assert.strictEqual(debug.locate(0x0700, 0x0200), null, 'past the end of the program');
+assert.strictEqual(debug.locate(0x0000, 0x0100), null, 'below the load segment');
+assert.strictEqual(debug.addressOfLine(8), 0x10D, 'address of a line');
+assert.strictEqual(debug.addressOfLine(1), null, 'comment line has no address');
+
+// Stepping by source line follows calls, loops and returns
+const visited = [debug.currentLine()];
+while (!cpu.halted) {
+    debug.stepLine();
+    visited.push(debug.currentLine());
+}
+assert.deepStrictEqual(visited, [3, 4, 8, 9, 5, 4, 8, 9, 5, 6, 7, 8], 'lines visited');
+assert.strictEqual(cpu.registers.get16('BX'), 2, 'subroutine ran twice');
+
+// A line that jumps to itself stops after maxSteps
+const spin = runAssembler('NOP\nJMP $');
+const spinner = new CPU();
+spinner.memory.load(0, spin.machineCode);
+const spinDebug = new SourceDebugger(spinner, spin.sourceMap);
+assert.strictEqual(spinDebug.stepLine(), 1, 'NOP is one instruction');
+assert.strictEqual(spinDebug.stepLine({ maxSteps: 50 }), 50, 'JMP $ hits maxSteps');
+assert.strictEqual(spinDebug.currentLine(), 2, 'still on the jump');
+
+// Lines of an INCLUDE file are told apart from main-source lines with the same number
+const withInclude = runAssembler('CALL BUMP\nHLT\nINCLUDE BUMP.INC', { readFile: () => 'BUMP:   INC BX\n        RET' });
+const includeCpu = new CPU();
+includeCpu.memory.load(0, withInclude.machineCode);
+const includeDebug = new SourceDebugger(includeCpu, withInclude.sourceMap);
+assert.strictEqual(includeDebug.addressOfLine(1), 0, 'line 1 of the main source');
+assert.strictEqual(includeDebug.addressOfLine(1, 'BUMP.INC'), 4, 'line 1 of the include file');
+includeDebug.stepLine();
+assert.deepStrictEqual(includeDebug.locate(), { start: 4, end: 5, line: 1, column: 9, file: 'BUMP.INC' }, 'stepped into the include file');
+
+console.log('tests/engine/test_debug.js: all assertions passed');
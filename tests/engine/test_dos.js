@@ -0,0 +1,77 @@
+import assert from 'node:assert';
+import { CPU } from '../../src/engine/cpu.js';
+import { DOSServices, BufferConsole } from '../../src/engine/dos.js';
+
+// Loads a program at 0000:0100 with DOS services on a fresh CPU
+function boot(bytes, input = '') {
+    const cpu = new CPU();
+    const terminal = new BufferConsole(input);
+    const dos = new DOSServices(terminal);
+    dos.attach(cpu);
+    bytes.forEach((b, i) => cpu.memory.writeByte(0, 0x100 + i, b));
+    cpu.registers.set16('IP', 0x100);
+    cpu.registers.set16('SP', 0xFFFE);
+    return { cpu, dos, terminal };
+}
+
+function runToHalt(cpu, limit = 1000) {
+    for (let i = 0; i < limit && !cpu.halted; i++) cpu.step();
+}
+
+const ascii = (text) => Array.from(text, ch => ch.charCodeAt(0));
+
+// AH=09h prints a '$'-terminated string, AH=4Ch exits with AL
+let { cpu, dos, terminal } = boot([
+    0xB4, 0x09,             // MOV AH, 09h
+    0xBA, 0x0C, 0x01,       // MOV DX, 010Ch
+    0xCD, 0x21,             // INT 21h
+    0xB8, 0x03, 0x4C,       // MOV AX, 4C03h
+    0xCD, 0x21,             // INT 21h
+    ...ascii('Hi there$')
+]);
+runToHalt(cpu);
+assert.strictEqual(terminal.output, 'Hi there', 'AH=09h prints up to $');
+assert.strictEqual(dos.exitCode, 3, 'AH=4Ch records the return code');
+assert.strictEqual(cpu.halted, true, 'AH=4Ch stops the CPU');
+
+// AH=02h prints DL; no IVT entry or stack traffic is involved
+({ cpu, terminal } = boot([0xB4, 0x02, 0xB2, 0x41, 0xCD, 0x21, 0xF4]));
+runToHalt(cpu);
+assert.strictEqual(terminal.output, 'A', 'AH=02h prints DL');
+assert.strictEqual(cpu.registers.get16('SP'), 0xFFFE, 'hooked interrupt does not touch the stack');
+
+// AH=01h reads with echo, blocking until input arrives
+({ cpu, dos, terminal } = boot([0xB4, 0x01, 0xCD, 0x21, 0xF4]));
+cpu.step();
+cpu.step();
+assert.strictEqual(dos.waitingForInput, true, 'AH=01h blocks without input');
+assert.strictEqual(cpu.registers.get16('IP'), 0x102, 'blocked INT 21h is retried');
+terminal.type('x');
+cpu.step();
+assert.strictEqual(dos.waitingForInput, false, 'AH=01h resumes once input is available');
+assert.strictEqual(cpu.registers.get8('AL'), 0x78, 'AH=01h returns the character in AL');
+assert.strictEqual(terminal.output, 'x', 'AH=01h echoes');
+
+// AH=0Ah buffered input with backspace, spread across several steps
+({ cpu, dos, terminal } = boot([0xB4, 0x0A, 0xBA, 0x00, 0x02, 0xCD, 0x21, 0xF4], 'ab'));
+cpu.memory.writeByte(0, 0x200, 5); // room for 4 characters + CR
+cpu.step();
+cpu.step();
+cpu.step();
+assert.strictEqual(dos.waitingForInput, true, 'AH=0Ah waits for CR');
+terminal.type('\bcdefg\r');
+runToHalt(cpu);
+assert.strictEqual(cpu.memory.readByte(0, 0x201), 4, 'AH=0Ah stores the character count');
+assert.deepStrictEqual([0, 1, 2, 3, 4].map(i => cpu.memory.readByte(0, 0x202 + i)), [...ascii('acde'), 0x0D], 'AH=0Ah stores the line and CR');
+assert.strictEqual(terminal.output, 'ab\b \bcde\r\n', 'AH=0Ah echoes and erases on backspace');
+
+// Without DOS services attached, INT 21h vectors through the IVT as usual
+cpu = new CPU();
+cpu.registers.set16('SP', 0x100);
+cpu.memory.writeByte(0, 0x21 * 4 + 2, 0x34); // vector 21h -> 0034:0000
+cpu.memory.writeByte(0, 0, 0xCD);
+cpu.memory.writeByte(0, 1, 0x21);
+cpu.step();
+assert.strictEqual(cpu.registers.get16('CS'), 0x0034, 'INT 21h uses the IVT when not hooked');
+
+console.log('tests/engine/test_dos.js: all assertions passed');
@@ -0,0 +1,62 @@
+import assert from 'node:assert';
+import { IOBus } from '../../src/engine/io.js';
+import { CPU } from '../../src/engine/cpu.js';
+
+const bus = new IOBus();
+
+// Unmapped ports float high and swallow writes
+assert.strictEqual(bus.readByte(0x80), 0xFF, 'unmapped port reads 0xFF');
+bus.writeByte(0x80, 0x12); // no throw
+
+// Byte device over a port range
+const latch = {};
+const unregister = bus.register(0x60, 0x63, {
+    read: (port) => latch[port] ?? 0,
+    write: (port, value) => { latch[port] = value; }
+});
+bus.writeByte(0x61, 0x1AB);
+assert.strictEqual(latch[0x61], 0xAB, 'writeByte masks to 8 bits');
+assert.strictEqual(bus.readByte(0x61), 0xAB, 'readByte reaches the device');
+
+// Word access without readWord/writeWord splits into two byte accesses
+bus.writeWord(0x62, 0xBEEF);
+assert.strictEqual(latch[0x62], 0xEF, 'writeWord low byte to port');
+assert.strictEqual(latch[0x63], 0xBE, 'writeWord high byte to port + 1');
+assert.strictEqual(bus.readWord(0x62), 0xBEEF, 'readWord combines two ports');
+
+// Overlapping ranges are rejected
+assert.throws(() => bus.register(0x63, 0x70, {}), /overlap/, 'overlapping registration throws');
+
+// Unregistering frees the range
+unregister();
+assert.strictEqual(bus.readByte(0x61), 0xFF, 'port floats again after unregister');
+
+// Word-wide device
+bus.register(0x3F8, 0x3F8, { readWord: () => 0x1234 });
+assert.strictEqual(bus.readWord(0x3F8), 0x1234, 'readWord uses the device word handler');
+
+// CPU IN/OUT
+const cpu = new CPU();
+const written = [];
+cpu.io.register(0x40, 0x40, { read: () => 0x5A, write: (port, value) => written.push(value) });
+cpu.io.register(0x300, 0x301, { readWord: () => 0xCAFE, writeWord: (port, value) => written.push(value) });
+cpu.registers.set16('DX', 0x300);
+cpu.registers.set16('AX', 0x0077);
+[
+    0xE4, 0x40, // IN AL, 40h
+    0xE6, 0x40, // OUT 40h, AL
+    0xED,       // IN AX, DX
+    0xEF,       // OUT DX, AX
+    0xF4
+].forEach((b, i) => cpu.memory.writeByte(0, i, b));
+
+cpu.step();
+assert.strictEqual(cpu.registers.get8('AL'), 0x5A, 'IN AL, imm8');
+cpu.step();
+assert.deepStrictEqual(written, [0x5A], 'OUT imm8, AL');
+cpu.step();
+assert.strictEqual(cpu.registers.get16('AX'), 0xCAFE, 'IN AX, DX');
+cpu.step();
+assert.deepStrictEqual(written, [0x5A, 0xCAFE], 'OUT DX, AX');
+
+console.log('tests/engine/test_io.js: all assertions passed');
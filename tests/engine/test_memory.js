@@ -0,0 +1,96 @@
+import assert from 'node:assert';
+import { Memory, BIOS_ROM_START } from '../../src/engine/memory.js';
+import { CPU } from '../../src/engine/cpu.js';
+
+const mem = new Memory();
+
+// 20-bit wraparound: FFFF:0010 is physical 0x00000
+assert.strictEqual(mem.getPhysicalAddress(0xFFFF, 0x0010), 0x00000, 'FFFF:0010 wraps to 0');
+mem.writeByte(0xFFFF, 0x0010, 0x5A);
+assert.strictEqual(mem.readByte(0, 0), 0x5A, 'write through wrapped address lands at 0');
+
+// Little-endian words; the high byte wraps inside the segment
+mem.writeWord(0x1000, 0x0200, 0xBEEF);
+assert.strictEqual(mem.readByte(0x1000, 0x0200), 0xEF, 'writeWord low byte first');
+assert.strictEqual(mem.readByte(0x1000, 0x0201), 0xBE, 'writeWord high byte second');
+assert.strictEqual(mem.readWord(0x1000, 0x0200), 0xBEEF, 'readWord round trip');
+mem.writeWord(0x2000, 0xFFFF, 0x1234);
+assert.strictEqual(mem.readByte(0x2000, 0xFFFF), 0x34, 'word at FFFFh: low byte at FFFFh');
+assert.strictEqual(mem.readByte(0x2000, 0x0000), 0x12, 'word at FFFFh: high byte wraps to 0000h');
+assert.strictEqual(mem.readWord(0x2000, 0xFFFF), 0x1234, 'readWord wraps within the segment');
+
+// Memory-mapped device
+const device = { latch: 0, read: () => 0x42, write: (address, value) => { device.latch = value; } };
+const unmap = mem.mapRegion(0xD0000, 0xD000F, device);
+assert.strictEqual(mem.readByte(0xD000, 0x0003), 0x42, 'read goes to the handler');
+mem.writeByte(0xD000, 0x0003, 0x99);
+assert.strictEqual(device.latch, 0x99, 'write goes to the handler');
+assert.strictEqual(mem.data[0xD0003], 0, 'mapped write does not touch RAM');
+
+// Later mappings take precedence; handlers without read fall through to RAM
+mem.data[0xD0004] = 0x77;
+const unmapWriteOnly = mem.mapRegion(0xD0004, 0xD0004, { write: () => {} });
+assert.strictEqual(mem.readByte(0xD000, 0x0004), 0x42, 'read falls through to the older mapping');
+unmap();
+assert.strictEqual(mem.readByte(0xD000, 0x0004), 0x77, 'read falls through to RAM after unmap');
+mem.writeByte(0xD000, 0x0004, 0x11);
+assert.strictEqual(mem.data[0xD0004], 0x77, 'newest write handler wins');
+unmapWriteOnly();
+mem.writeByte(0xD000, 0x0004, 0x11);
+assert.strictEqual(mem.data[0xD0004], 0x11, 'plain RAM again after all unmaps');
+
+assert.throws(() => mem.mapRegion(0x200, 0x100, {}), /Invalid memory range/, 'reversed range throws');
+
+// The BIOS area is RAM until it is protected
+assert.ok(!mem.isReadOnly(BIOS_ROM_START), 'BIOS area is writable by default');
+mem.writeByte(0xF000, 0x0000, 0x42);
+assert.strictEqual(mem.readByte(0xF000, 0x0000), 0x42, 'writes to the BIOS area land by default');
+
+// Once protected, BIOS ROM is read-only, but load() can fill it
+const unprotectRom = mem.protectBiosRom();
+assert.ok(mem.isReadOnly(BIOS_ROM_START), 'BIOS area is read-only');
+assert.ok(!mem.isReadOnly(0x00500), 'conventional memory is writable');
+mem.load(0xFFFF0, [0xEA, 0x5B, 0xE0, 0x00, 0xF0]);
+assert.strictEqual(mem.readByte(0xFFFF, 0x0000), 0xEA, 'load() writes into ROM');
+mem.writeByte(0xFFFF, 0x0000, 0x90);
+assert.strictEqual(mem.readByte(0xFFFF, 0x0000), 0xEA, 'CPU-side writes to ROM are dropped');
+unprotectRom();
+assert.strictEqual(mem.regions.length, 0, 'no regions left once the ROM is unprotected');
+
+const unprotect = mem.setReadOnly(0x00500, 0x005FF);
+mem.writeWord(0x0050, 0x0000, 0xFFFF);
+assert.strictEqual(mem.readWord(0x0050, 0x0000), 0, 'custom read-only range drops writes');
+unprotect();
+mem.writeWord(0x0050, 0x0000, 0xFFFF);
+assert.strictEqual(mem.readWord(0x0050, 0x0000), 0xFFFF, 'writable after removing protection');
+
+// Watchers see every access without changing it
+const seen = [];
+const unwatch = mem.watch(0x00600, 0x00601, (type, address, value) => seen.push([type, address, value]));
+mem.writeWord(0x0060, 0x0000, 0xABCD);
+mem.readByte(0x0060, 0x0001);
+mem.readByte(0x0060, 0x0002); // outside the range
+assert.deepStrictEqual(seen, [
+    ['write', 0x600, 0xCD],
+    ['write', 0x601, 0xAB],
+    ['read', 0x601, 0xAB]
+], 'watcher records accesses in range');
+unwatch();
+mem.readByte(0x0060, 0x0000);
+assert.strictEqual(seen.length, 3, 'no notifications after unwatch');
+
+// The CPU goes through the bus: a stack push into ROM is dropped
+const cpu = new CPU();
+cpu.memory.protectBiosRom();
+cpu.memory.load(0x100, [0x50]); // PUSH AX
+cpu.registers.set16('AX', 0x1234);
+cpu.registers.set16('SS', 0xF000);
+cpu.registers.set16('SP', 0x0100);
+cpu.registers.set16('IP', 0x0100);
+const stackWrites = [];
+cpu.memory.watch(0xF00FE, 0xF00FF, (type, address, value) => stackWrites.push(value));
+cpu.step();
+assert.deepStrictEqual(stackWrites, [0x34, 0x12], 'PUSH writes the word through the bus');
+assert.strictEqual(cpu.memory.readWord(0xF000, 0x00FE), 0, 'PUSH into ROM leaves it unchanged');
+
+console.log('tests/engine/test_memory.js: all assertions passed');
@@ -0,0 +1,74 @@
+import assert from 'node:assert';
+import { CPU } from '../../src/engine/cpu.js';
+import { TextModeVideo, VIDEO_SEGMENT, DEFAULT_ATTRIBUTE } from '../../src/engine/video.js';
+
+// Boots a program at 0000:0100 with the video BIOS attached and runs it to HLT
+function boot(bytes) {
+    const cpu = new CPU();
+    const video = new TextModeVideo(cpu.memory);
+    video.attach(cpu);
+    bytes.forEach((b, i) => cpu.memory.writeByte(0, 0x100 + i, b));
+    cpu.registers.set16('IP', 0x100);
+    for (let i = 0; i < 1000 && !cpu.halted; i++) cpu.step();
+    return { cpu, video };
+}
+
+const firstLine = (video) => video.getText().split('\n')[0];
+
+// Power-on screen is blank light-gray-on-black
+let { video, cpu } = boot([0xF4]);
+assert.strictEqual(video.getText(), '\n'.repeat(24), 'screen starts blank');
+assert.strictEqual(video.getGrid()[10][10].attr, DEFAULT_ATTRIBUTE, 'screen starts with the default attribute');
+
+// Writing the buffer directly shows up in the snapshot
+cpu.memory.writeByte(VIDEO_SEGMENT, 0, 0x48);        // 'H' at row 0, col 0
+cpu.memory.writeByte(VIDEO_SEGMENT, 1, 0x1E);        // yellow on blue
+cpu.memory.writeByte(VIDEO_SEGMENT, 160 + 4, 0x69);  // 'i' at row 1, col 2
+assert.strictEqual(video.getText().split('\n').slice(0, 2).join('|'), 'H|  i', 'getText reads characters from B800:0000');
+assert.deepStrictEqual(video.getGrid()[0][0], { char: 0x48, attr: 0x1E }, 'getGrid returns character and attribute');
+assert.strictEqual(video.getText({ trimRight: false }).split('\n')[0].length, 80, 'untrimmed lines are 80 columns');
+
+// INT 10h AH=0Eh teletype advances the cursor and handles CR/LF
+({ video, cpu } = boot([
+    0xB4, 0x0E,             // MOV AH, 0Eh
+    0xB0, 0x4F, 0xCD, 0x10, // MOV AL, 'O' / INT 10h
+    0xB0, 0x4B, 0xCD, 0x10, // MOV AL, 'K' / INT 10h
+    0xB0, 0x0D, 0xCD, 0x10, // CR
+    0xB0, 0x0A, 0xCD, 0x10, // LF
+    0xB0, 0x21, 0xCD, 0x10, // '!'
+    0xF4
+]));
+assert.strictEqual(video.getText().split('\n').slice(0, 2).join('|'), 'OK|!', 'teletype output with CR/LF');
+assert.deepStrictEqual(video.cursor, { row: 1, col: 1 }, 'teletype leaves the cursor after the last character');
+assert.strictEqual(cpu.memory.readByte(0x40, 0x51), 1, 'cursor row mirrored in the BIOS data area');
+
+// INT 10h AH=02h sets the cursor, AH=09h writes a run of character + attribute, AH=03h reads the cursor back
+({ video, cpu } = boot([
+    0xB4, 0x02, 0xB6, 0x05, 0xB2, 0x0A, 0xCD, 0x10,       // set cursor row 5, col 10
+    0xB4, 0x09, 0xB0, 0x2A, 0xB3, 0x4F, 0xB9, 0x03, 0x00, // AH=09h, AL='*', BL=4Fh, CX=3
+    0xCD, 0x10,
+    0xB6, 0x00, 0xB2, 0x00,                               // clobber DH/DL
+    0xB4, 0x03, 0xCD, 0x10,                               // get cursor
+    0xF4
+]));
+assert.strictEqual(video.getText().split('\n')[5], '          ***', 'AH=09h writes CX copies at the cursor');
+assert.strictEqual(video.getGrid()[5][12].attr, 0x4F, 'AH=09h uses the attribute in BL');
+assert.strictEqual(cpu.registers.get8('DH'), 5, 'AH=03h returns the cursor row');
+assert.strictEqual(cpu.registers.get8('DL'), 10, 'AH=03h returns the cursor column');
+
+// Scrolling a window up and down
+video.clear();
+video.write('line0\r\nline1\r\nline2');
+video.scrollUp(1, 0, 0, 2, 79, 0x70);
+assert.strictEqual(video.getText().split('\n').slice(0, 3).join('|'), 'line1|line2|', 'scrollUp moves rows up and blanks the last one');
+assert.strictEqual(video.getGrid()[2][0].attr, 0x70, 'scrollUp fills with the given attribute');
+video.scrollDown(1, 0, 0, 2, 79, 0x07);
+assert.strictEqual(video.getText().split('\n').slice(0, 3).join('|'), '|line1|line2', 'scrollDown moves rows down');
+
+// Teletype past the bottom row scrolls the whole screen
+video.clear();
+for (let i = 0; i < 25; i++) video.write(`row ${i}\r\n`);
+assert.strictEqual(firstLine(video), 'row 1', 'teletype scrolls at the bottom of the screen');
+assert.deepStrictEqual(video.cursor, { row: 24, col: 0 }, 'cursor stays on the last row');
+
+console.log('tests/engine/test_video.js: all assertions passed');